@@ -34,7 +34,70 @@ app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
 // Import services and middleware
 const { analyzeCodebase } = require('./services/codebaseAnalyzer');
+const { toDot } = require('./services/dependencyGraph');
+const { validateFilterOptions } = require('./services/fileFilter');
+const { createJobQueue, describeJob } = require('./services/analysisJobs');
+const { createAnalysisStore } = require('./services/analysisStore');
+const { diffAnalyses } = require('./services/analysisDiff');
+const { buildTrends, summarizeTrends } = require('./services/analysisTrends');
+const { listRules } = require('./services/ruleEngine');
+const { toSarif } = require('./services/sarifFormatter');
+const { renderHtmlReport } = require('./services/htmlReport');
 const { verifyToken, optionalAuth } = require('./middleware/auth');
+const { parseArchiveUpload } = require('./middleware/archiveUpload');
+
+// Analysis history and background jobs live in Firestore; ANALYSIS_STORE=memory
+// keeps both in process instead
+const storeConfig = process.env.ANALYSIS_STORE === 'memory' ? {} : { firestore: admin.firestore() };
+const analysisStore = createAnalysisStore(storeConfig);
+const jobQueue = createJobQueue({ ...storeConfig, analysisStore });
+
+/**
+ * Where to save a request's analysis in the user's history, or null when
+ * the request opted out with `save: false`
+ */
+const getSaveTarget = (req) => {
+  const { projectName, projectId, save } = req.body;
+  if (save === false) return null;
+  return {
+    projectName: projectName || req.query.projectName,
+    projectId: projectId || req.query.projectId
+  };
+};
+
+/**
+ * Save an analysis to the user's history unless the request opted out.
+ * Returns the stored id, or null when not saved.
+ */
+const saveAnalysisResult = async (req, result) => {
+  const target = getSaveTarget(req);
+  if (!target) return null;
+
+  try {
+    const record = await analysisStore.saveAnalysis(req.user.uid, { ...target, result });
+    return record.id;
+  } catch (error) {
+    // A history write failure should not lose the analysis itself
+    console.error('Save analysis error:', error);
+    return null;
+  }
+};
+
+// ?format=sarif, or an Accept header that prefers SARIF over JSON
+const wantsSarif = (req) => {
+  if (req.query.format) {
+    return req.query.format.toLowerCase() === 'sarif';
+  }
+  return req.accepts(['application/json', 'application/sarif+json']) === 'application/sarif+json';
+};
+
+const sendSarif = (res, analysis) => {
+  res.type('application/sarif+json').send(JSON.stringify(toSarif(analysis), null, 2));
+};
+
+const sendHtmlReport = (res, analysis, title) => {
+  res.type('html').send(renderHtmlReport(analysis, { title }));
+};
 
 // Get Firebase Web API Key from environment or service account
 let firebaseWebApiKey = process.env.FIREBASE_WEB_API_KEY || process.env.REACT_APP_FIREBASE_API_KEY;
@@ -110,8 +173,20 @@ app.get('/', (req, res) => {
     message: 'Codebase Analyzer API is running',
     version: '1.0.0',
     endpoints: {
-      public: ['/api/health', '/api/auth/login', '/api/auth/verify'],
-      protected: ['/api/analyze', '/api/auth/user']
+      public: ['/api/health', '/api/rules', '/api/auth/login', '/api/auth/verify'],
+      protected: [
+        '/api/analyze',
+        '/api/analyze/graph',
+        '/api/analyze/stream',
+        '/api/analyze/jobs',
+        '/api/analyze/jobs/:id',
+        '/api/analyze/jobs/:id/result',
+        '/api/analyses',
+        '/api/analyses/compare',
+        '/api/analyses/:id',
+        '/api/projects/:projectId/trends',
+        '/api/auth/user'
+      ]
     }
   });
 });
@@ -124,6 +199,17 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+/**
+ * GET /api/rules
+ * List the insight rules with their default severity and options (public)
+ */
+app.get('/api/rules', (req, res) => {
+  res.json({
+    success: true,
+    rules: listRules()
+  });
+});
+
 // ==================== Authentication Routes ====================
 
 /**
@@ -334,10 +420,15 @@ app.get('/api/auth/user', verifyToken, async (req, res) => {
 /**
  * POST /api/analyze
  * Analyze codebase - Requires authentication
+ * Accepts a JSON `codebase` or a .zip/.tar.gz archive (multipart or raw body).
+ * The result is saved to the user's history under `projectName`/`projectId`
+ * unless the body sets `save: false`.
+ * Answers with a SARIF 2.1.0 log for ?format=sarif or Accept: application/sarif+json.
+ * ?format=html answers with a self-contained HTML report instead.
  */
-app.post('/api/analyze', verifyToken, async (req, res) => {
+app.post('/api/analyze', verifyToken, parseArchiveUpload, async (req, res) => {
   try {
-    const { codebase } = req.body;
+    const { codebase, options } = req.body;
 
     if (!codebase) {
       return res.status(400).json({
@@ -347,16 +438,52 @@ app.post('/api/analyze', verifyToken, async (req, res) => {
       });
     }
 
+    const optionsError = validateFilterOptions(options);
+    if (optionsError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid options',
+        message: optionsError
+      });
+    }
+
+    const format = (req.query.format || '').toLowerCase();
+    if (format && !['json', 'sarif', 'html'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unsupported format',
+        message: 'Format must be "json", "sarif" or "html"'
+      });
+    }
+
     // Analyze the codebase
-    const analysisResult = await analyzeCodebase(codebase);
+    const analysisResult = await analyzeCodebase(codebase, options);
+    const analysisId = await saveAnalysisResult(req, analysisResult);
+
+    // Report the gate verdict; ?failOnGate=true turns a failure into a 422 for CI
+    if (analysisResult.gate) {
+      res.set('X-Quality-Gate', analysisResult.gate.passed ? 'passed' : 'failed');
+      if (!analysisResult.gate.passed && req.query.failOnGate === 'true') {
+        res.status(422);
+      }
+    }
+
+    if (format === 'html' || wantsSarif(req)) {
+      if (analysisId) res.set('X-Analysis-Id', analysisId);
+      return format === 'html'
+        ? sendHtmlReport(res, analysisResult, req.body.projectName || req.query.projectName)
+        : sendSarif(res, analysisResult);
+    }
 
     res.json({
       success: true,
       data: analysisResult,
+      analysisId,
       analyzedBy: {
         uid: req.user.uid,
         email: req.user.email
-      }
+      },
+      ...(req.archive && { archive: req.archive })
     });
   } catch (error) {
     console.error('Analysis error:', error);
@@ -368,6 +495,571 @@ app.post('/api/analyze', verifyToken, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/analyze/graph
+ * Build the module dependency graph of a codebase - Requires authentication
+ * Query: ?format=json (default) or ?format=dot for Graphviz output
+ */
+app.post('/api/analyze/graph', verifyToken, parseArchiveUpload, async (req, res) => {
+  try {
+    const { codebase, options } = req.body;
+    const format = (req.query.format || req.body.format || 'json').toLowerCase();
+
+    if (!codebase) {
+      return res.status(400).json({
+        success: false,
+        error: 'Codebase is required',
+        message: 'Please provide a codebase in the request body'
+      });
+    }
+
+    const optionsError = validateFilterOptions(options);
+    if (optionsError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid options',
+        message: optionsError
+      });
+    }
+
+    if (!['json', 'dot'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unsupported format',
+        message: 'Format must be either "json" or "dot"'
+      });
+    }
+
+    const { dependencyGraph } = await analyzeCodebase(codebase, options);
+
+    if (format === 'dot') {
+      return res.type('text/vnd.graphviz').send(toDot(dependencyGraph));
+    }
+
+    res.json({
+      success: true,
+      data: dependencyGraph,
+      analyzedBy: {
+        uid: req.user.uid,
+        email: req.user.email
+      },
+      ...(req.archive && { archive: req.archive })
+    });
+  } catch (error) {
+    console.error('Graph error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/analyze/stream
+ * Analyze codebase and stream progress as Server-Sent Events - Requires authentication
+ * Takes the same body (or archive upload) as /api/analyze. Events:
+ *   start    - { total, skipped }
+ *   file     - { file, progress, statistics } after each file
+ *   complete - the analysis result without `files` (already streamed), plus `analysisId`
+ *   error    - { error, message }
+ */
+app.post('/api/analyze/stream', verifyToken, parseArchiveUpload, async (req, res) => {
+  const { codebase, options } = req.body;
+
+  if (!codebase) {
+    return res.status(400).json({
+      success: false,
+      error: 'Codebase is required',
+      message: 'Please provide a codebase in the request body'
+    });
+  }
+
+  const optionsError = validateFilterOptions(options);
+  if (optionsError) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid options',
+      message: optionsError
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Stop analyzing when the client goes away; keep idle proxies from closing the stream
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+  try {
+    const analysisResult = await analyzeCodebase(codebase, options, {
+      signal: controller.signal,
+      onStart: ({ total, skipped }) => {
+        sendEvent('start', { total, skipped, ...(req.archive && { archive: req.archive }) });
+      },
+      onFile: (file, { processed, total, statistics }) => {
+        sendEvent('file', {
+          file,
+          progress: {
+            processed,
+            total,
+            percent: total ? Math.round((processed / total) * 100) : 100
+          },
+          statistics
+        });
+      }
+    });
+
+    const analysisId = await saveAnalysisResult(req, analysisResult);
+    const { files, ...rest } = analysisResult;
+    sendEvent('complete', { ...rest, analysisId });
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      console.error('Stream analysis error:', error);
+      sendEvent('error', {
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
+});
+
+// ==================== Analysis Job Routes ====================
+
+/**
+ * POST /api/analyze/jobs
+ * Start an analysis in the background - Requires authentication
+ * Takes the same body (or archive upload) as /api/analyze and returns a job id immediately.
+ * The job runs in the runAnalysisJob function below.
+ */
+app.post('/api/analyze/jobs', verifyToken, parseArchiveUpload, async (req, res) => {
+  try {
+    const { codebase, options } = req.body;
+
+    if (!codebase) {
+      return res.status(400).json({
+        success: false,
+        error: 'Codebase is required',
+        message: 'Please provide a codebase in the request body'
+      });
+    }
+
+    const optionsError = validateFilterOptions(options);
+    if (optionsError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid options',
+        message: optionsError
+      });
+    }
+
+    const job = await jobQueue.createJob(req.user.uid, codebase, options, getSaveTarget(req));
+
+    res.status(202)
+      .location(`/api/analyze/jobs/${job.id}`)
+      .json({
+        success: true,
+        job: describeJob(job),
+        ...(req.archive && { archive: req.archive })
+      });
+  } catch (error) {
+    if (error.statusCode === 429) {
+      return res.status(429).json({
+        success: false,
+        error: 'Too many jobs',
+        message: error.message
+      });
+    }
+
+    console.error('Create job error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/analyze/jobs
+ * List the authenticated user's analysis jobs - Requires authentication
+ */
+app.get('/api/analyze/jobs', verifyToken, async (req, res) => {
+  try {
+    const jobs = await jobQueue.listJobs(req.user.uid);
+
+    res.json({
+      success: true,
+      jobs: jobs.map(describeJob)
+    });
+  } catch (error) {
+    console.error('List jobs error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/analyze/jobs/:id
+ * Report a job's status and progress - Requires authentication
+ */
+app.get('/api/analyze/jobs/:id', verifyToken, async (req, res) => {
+  try {
+    const job = await jobQueue.getJob(req.params.id, req.user.uid);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        message: 'No analysis job with this id exists for the current user'
+      });
+    }
+
+    res.json({
+      success: true,
+      job: describeJob(job)
+    });
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/analyze/jobs/:id/result
+ * Fetch a finished job's analysis - Requires authentication
+ */
+app.get('/api/analyze/jobs/:id/result', verifyToken, async (req, res) => {
+  try {
+    const job = await jobQueue.getJob(req.params.id, req.user.uid);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        message: 'No analysis job with this id exists for the current user'
+      });
+    }
+
+    if (job.status === 'failed') {
+      return res.status(500).json({
+        success: false,
+        error: 'Analysis failed',
+        message: job.error
+      });
+    }
+
+    if (job.status !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        error: 'Job not finished',
+        message: `The analysis is still ${job.status}`,
+        job: describeJob(job)
+      });
+    }
+
+    // Saved results are read from the history, so deleting the analysis removes them
+    const result = await jobQueue.getJobResult(job.id, req.user.uid);
+    if (!result) {
+      return res.status(410).json({
+        success: false,
+        error: 'Result deleted',
+        message: 'The analysis saved by this job has been deleted',
+        job: describeJob(job)
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result,
+      job: describeJob(job),
+      analyzedBy: {
+        uid: req.user.uid,
+        email: req.user.email
+      }
+    });
+  } catch (error) {
+    console.error('Get job result error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// ==================== Analysis History Routes ====================
+
+/**
+ * GET /api/analyses
+ * List the authenticated user's saved analyses, newest first - Requires authentication
+ * Query: ?projectId=, ?limit= (default 20, max 100), ?pageToken= from the previous page
+ */
+app.get('/api/analyses', verifyToken, async (req, res) => {
+  try {
+    const { analyses, nextPageToken } = await analysisStore.listAnalyses(req.user.uid, {
+      limit: req.query.limit,
+      pageToken: req.query.pageToken,
+      projectId: req.query.projectId
+    });
+
+    res.json({
+      success: true,
+      analyses,
+      nextPageToken
+    });
+  } catch (error) {
+    console.error('List analyses error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Resolve one side of a comparison: a saved analysis id, or an inline
+ * analysis result (or a whole /api/analyze response). Returns null when
+ * the id is unknown or the payload is not an analysis.
+ */
+const resolveAnalysis = async (uid, reference) => {
+  if (typeof reference === 'string') {
+    const analysis = await analysisStore.getAnalysis(uid, reference);
+    return analysis ? { id: analysis.id, createdAt: analysis.createdAt, result: analysis.result } : null;
+  }
+
+  const result = reference && reference.data && !reference.files ? reference.data : reference;
+  if (!result || !Array.isArray(result.files) || !result.statistics) {
+    return null;
+  }
+  return { id: null, createdAt: result.summary ? result.summary.analyzedAt : null, result };
+};
+
+/**
+ * POST /api/analyses/compare
+ * Report what changed between two analyses - Requires authentication
+ * Body: { base, head } where each is a saved analysis id or an inline analysis result
+ */
+app.post('/api/analyses/compare', verifyToken, async (req, res) => {
+  try {
+    const { base, head } = req.body;
+
+    if (!base || !head) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two analyses are required',
+        message: 'Please provide `base` and `head` as saved analysis ids or analysis results'
+      });
+    }
+
+    const [baseAnalysis, headAnalysis] = await Promise.all([
+      resolveAnalysis(req.user.uid, base),
+      resolveAnalysis(req.user.uid, head)
+    ]);
+
+    for (const [side, reference, analysis] of [['base', base, baseAnalysis], ['head', head, headAnalysis]]) {
+      if (analysis) continue;
+      if (typeof reference === 'string') {
+        return res.status(404).json({
+          success: false,
+          error: 'Analysis not found',
+          message: `No saved analysis with the ${side} id exists for the current user`
+        });
+      }
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid analysis',
+        message: `The ${side} analysis must include \`files\` and \`statistics\``
+      });
+    }
+
+    res.json({
+      success: true,
+      base: { id: baseAnalysis.id, analyzedAt: baseAnalysis.createdAt },
+      head: { id: headAnalysis.id, analyzedAt: headAnalysis.createdAt },
+      data: diffAnalyses(baseAnalysis.result, headAnalysis.result)
+    });
+  } catch (error) {
+    console.error('Compare analyses error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/analyses/:id
+ * Fetch a saved analysis with its full result - Requires authentication
+ * Query: ?format=sarif (or Accept: application/sarif+json) for a SARIF 2.1.0 log
+ */
+app.get('/api/analyses/:id', verifyToken, async (req, res) => {
+  try {
+    const analysis = await analysisStore.getAnalysis(req.user.uid, req.params.id);
+
+    if (!analysis) {
+      return res.status(404).json({
+        success: false,
+        error: 'Analysis not found',
+        message: 'No saved analysis with this id exists for the current user'
+      });
+    }
+
+    if (wantsSarif(req)) {
+      return sendSarif(res, analysis.result);
+    }
+
+    const { result, ...record } = analysis;
+    res.json({
+      success: true,
+      analysis: record,
+      data: result
+    });
+  } catch (error) {
+    console.error('Get analysis error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/analyses/:id/report.html
+ * Render a saved analysis as a self-contained HTML report - Requires authentication
+ * Query: ?download=true to save it as a file instead of viewing it inline
+ */
+app.get('/api/analyses/:id/report.html', verifyToken, async (req, res) => {
+  try {
+    const analysis = await analysisStore.getAnalysis(req.user.uid, req.params.id);
+
+    if (!analysis) {
+      return res.status(404).json({
+        success: false,
+        error: 'Analysis not found',
+        message: 'No saved analysis with this id exists for the current user'
+      });
+    }
+
+    if (req.query.download === 'true') {
+      res.attachment(`${analysis.projectId}-${analysis.id}.html`);
+    }
+    sendHtmlReport(res, analysis.result, analysis.projectName);
+  } catch (error) {
+    console.error('Analysis report error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/analyses/:id
+ * Delete a saved analysis - Requires authentication
+ */
+app.delete('/api/analyses/:id', verifyToken, async (req, res) => {
+  try {
+    const deleted = await analysisStore.deleteAnalysis(req.user.uid, req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Analysis not found',
+        message: 'No saved analysis with this id exists for the current user'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Analysis deleted'
+    });
+  } catch (error) {
+    console.error('Delete analysis error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// ==================== Project Routes ====================
+
+/**
+ * GET /api/projects/:projectId/trends
+ * Time series of key metrics across a project's saved analyses - Requires authentication
+ * Query: ?limit= most recent analyses to include (default 100, max 500)
+ */
+app.get('/api/projects/:projectId/trends', verifyToken, async (req, res) => {
+  try {
+    const records = await analysisStore.listProjectHistory(req.user.uid, req.params.projectId, {
+      limit: req.query.limit
+    });
+
+    if (records.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project not found',
+        message: 'No saved analyses exist for this project'
+      });
+    }
+
+    const trends = buildTrends(records);
+
+    res.json({
+      success: true,
+      project: {
+        projectId: records[records.length - 1].projectId,
+        projectName: records[records.length - 1].projectName,
+        analyses: records.length
+      },
+      data: {
+        ...trends,
+        changes: summarizeTrends(trends)
+      }
+    });
+  } catch (error) {
+    console.error('Project trends error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
 // Export the Express app as a Firebase Function
 exports.api = functions.https.onRequest(app);
 
+// Run background analysis jobs as they are created. The work happens in its
+// own invocation, so it keeps its CPU after POST /api/analyze/jobs answers.
+exports.runAnalysisJob = functions
+  .runWith({ timeoutSeconds: 540, memory: '1GB' })
+  .firestore.document('users/{uid}/jobs/{jobId}')
+  .onCreate((snapshot, context) => jobQueue.runJob(context.params.uid, context.params.jobId));
+
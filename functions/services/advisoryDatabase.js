@@ -0,0 +1,242 @@
+/**
+ * Advisory Database Service
+ * Loads OSV-format vulnerability advisories from a local file and matches
+ * them against the dependency inventory, without any network access
+ */
+
+const fs = require('fs');
+const semver = require('semver');
+const { normalizePythonName } = require('./dependencyManifests');
+
+// Ecosystems whose versions follow semver (Go with a leading `v`)
+const SEMVER_ECOSYSTEMS = ['npm', 'crates.io', 'Go'];
+
+const SEVERITY_LEVELS = ['low', 'moderate', 'high', 'critical'];
+
+let cached = null;
+
+const packageKey = (ecosystem, name) =>
+  `${ecosystem}:${ecosystem === 'PyPI' ? normalizePythonName(name) : name}`;
+
+// Words that mark a release after the version they follow, like 1.0.post1
+const POST_RELEASE = /^(?:post|rev|r|p|pl|patch)$/;
+
+/**
+ * Order two versions. Semver ecosystems use semver; PyPI, RubyGems and
+ * anything semver rejects compare dot-separated parts, numbers numerically,
+ * with pre-release tags like `rc1` or `beta` sorting before the release and
+ * missing parts counting as zero.
+ */
+const compareVersions = (ecosystem, a, b) => {
+  if (SEMVER_ECOSYSTEMS.includes(ecosystem)) {
+    const left = semver.valid(a.replace(/^v/, ''), { loose: true });
+    const right = semver.valid(b.replace(/^v/, ''), { loose: true });
+    if (left && right) return semver.compare(left, right);
+  }
+
+  const split = (version) => version.replace(/^v/, '').toLowerCase().match(/\d+|[a-z]+/g) || [];
+  const left = split(a);
+  const right = split(b);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const x = left[i];
+    const y = right[i];
+    if (x === y) continue;
+    if (x === undefined || y === undefined) {
+      const extra = x === undefined ? y : x;
+      const sign = x === undefined ? -1 : 1;
+      if (/^\d/.test(extra)) {
+        if (Number(extra) === 0) continue;
+        return sign;
+      }
+      // A release outranks its pre-releases, which add a word after it
+      return POST_RELEASE.test(extra) ? sign : -sign;
+    }
+
+    const xNumeric = /^\d/.test(x);
+    const yNumeric = /^\d/.test(y);
+    if (xNumeric && yNumeric) {
+      if (Number(x) === Number(y)) continue;
+      return Number(x) < Number(y) ? -1 : 1;
+    }
+    if (xNumeric !== yNumeric) return xNumeric ? 1 : -1;
+    return x < y ? -1 : 1;
+  }
+  return 0;
+};
+
+/**
+ * Index OSV entries by ecosystem and package name
+ * @param {Array} advisories - OSV vulnerability objects
+ */
+const indexAdvisories = (advisories) => {
+  const index = new Map();
+  for (const advisory of advisories) {
+    if (!advisory || typeof advisory.id !== 'string') continue;
+    for (const affected of advisory.affected || []) {
+      const pkg = affected && affected.package;
+      if (!pkg || !pkg.ecosystem || !pkg.name) continue;
+
+      const key = packageKey(pkg.ecosystem, pkg.name);
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push({ advisory, affected });
+    }
+  }
+  return { advisoryCount: advisories.length, index };
+};
+
+/**
+ * Read an OSV database file: one advisory, an array of advisories or a
+ * `{ "vulns": [...] }` query response. Reloaded only when the file changes.
+ * @param {string} filePath
+ */
+const loadAdvisoryDatabase = (filePath) => {
+  const { mtimeMs } = fs.statSync(filePath);
+  if (cached && cached.filePath === filePath && cached.mtimeMs === mtimeMs) {
+    return cached.database;
+  }
+
+  const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const advisories = Array.isArray(parsed)
+    ? parsed
+    : (parsed && Array.isArray(parsed.vulns) ? parsed.vulns : [parsed]);
+  const database = indexAdvisories(advisories);
+
+  cached = { filePath, mtimeMs, database };
+  return database;
+};
+
+/**
+ * The database at ADVISORY_DB_PATH, or null when none is configured
+ */
+const getAdvisoryDatabase = () => {
+  const filePath = process.env.ADVISORY_DB_PATH;
+  return filePath ? loadAdvisoryDatabase(filePath) : null;
+};
+
+/**
+ * Lowest version a declared range allows, for packages without a
+ * resolved version
+ */
+const lowestAllowedVersion = (ecosystem, range) => {
+  if (!range) return null;
+  if (ecosystem === 'npm' || ecosystem === 'crates.io') {
+    try {
+      const lowest = semver.minVersion(range.replace(/,/g, ' '));
+      return lowest ? lowest.version : null;
+    } catch (error) {
+      return null;
+    }
+  }
+  // The `=` of `!=` and `<=` excludes or caps a version rather than allowing it
+  const match = /(?<![!<>=~])(?:>=|~=|~>|==|=|^)\s*v?(\d[\w.]*)/.exec(range);
+  return match ? match[1] : null;
+};
+
+const describeRange = ({ introduced, fixed, lastAffected }) => {
+  if (introduced === lastAffected) return `=${introduced}`;
+  const parts = [];
+  if (introduced && introduced !== '0') parts.push(`>=${introduced}`);
+  if (fixed) parts.push(`<${fixed}`);
+  if (lastAffected) parts.push(`<=${lastAffected}`);
+  return parts.length > 0 ? parts.join(' ') : '*';
+};
+
+/**
+ * The interval of an OSV `affected` entry containing the version, or null.
+ * Events are read in order, each `introduced` opening an interval that the
+ * next `fixed` or `last_affected` closes; GIT ranges are ignored.
+ */
+const findAffectedRange = (affected, ecosystem, version) => {
+  const compare = (a, b) => compareVersions(ecosystem, a, b);
+  if ((affected.versions || []).some(listed => compare(listed, version) === 0)) {
+    return { introduced: version, fixed: null, lastAffected: version };
+  }
+
+  const contains = (interval) => (interval.introduced === '0' || compare(version, interval.introduced) >= 0) &&
+    (interval.fixed ? compare(version, interval.fixed) < 0 : true) &&
+    (interval.lastAffected ? compare(version, interval.lastAffected) <= 0 : true);
+
+  for (const range of affected.ranges || []) {
+    if (range.type === 'GIT') continue;
+
+    let introduced = null;
+    for (const event of range.events || []) {
+      if (event.introduced !== undefined) {
+        introduced = event.introduced;
+        continue;
+      }
+      if (introduced === null || (event.fixed === undefined && event.last_affected === undefined)) continue;
+
+      const interval = { introduced, fixed: event.fixed || null, lastAffected: event.last_affected || null };
+      if (contains(interval)) return interval;
+      introduced = null;
+    }
+
+    const open = { introduced, fixed: null, lastAffected: null };
+    if (introduced !== null && contains(open)) return open;
+  }
+
+  return null;
+};
+
+// GitHub advisories carry a qualitative severity; others only a CVSS vector
+const advisorySeverity = (advisory, affected) => {
+  const label = (advisory.database_specific && advisory.database_specific.severity) ||
+    (affected.ecosystem_specific && affected.ecosystem_specific.severity);
+  const normalized = typeof label === 'string' ? label.toLowerCase().replace('medium', 'moderate') : null;
+  return SEVERITY_LEVELS.includes(normalized) ? normalized : null;
+};
+
+/**
+ * Match inventory packages against the database.
+ * @param {Object} database - From loadAdvisoryDatabase
+ * @param {Array} packages - `dependencies.packages` of an analysis
+ * @returns {Array<{ id, aliases, summary, severity, cvss, package, ecosystem, version,
+ *   inferredVersion, affectedRange, fixedVersion, dev, manifest }>}
+ */
+const matchAdvisories = (database, packages) => {
+  const vulnerabilities = [];
+
+  for (const pkg of packages) {
+    const candidates = database.index.get(packageKey(pkg.ecosystem, pkg.name));
+    if (!candidates) continue;
+
+    const version = pkg.version || lowestAllowedVersion(pkg.ecosystem, pkg.range);
+    if (!version) continue;
+
+    const seen = new Set();
+    for (const { advisory, affected } of candidates) {
+      if (seen.has(advisory.id)) continue;
+      const interval = findAffectedRange(affected, pkg.ecosystem, version);
+      if (!interval) continue;
+      seen.add(advisory.id);
+
+      const cvss = (advisory.severity || []).find(entry => /^CVSS/.test(entry.type));
+      vulnerabilities.push({
+        id: advisory.id,
+        aliases: advisory.aliases || [],
+        summary: advisory.summary || (advisory.details || '').split('\n')[0],
+        severity: advisorySeverity(advisory, affected),
+        cvss: cvss ? cvss.score : null,
+        package: pkg.name,
+        ecosystem: pkg.ecosystem,
+        version,
+        inferredVersion: !pkg.version,
+        affectedRange: describeRange(interval),
+        fixedVersion: interval.fixed,
+        dev: pkg.dev,
+        manifest: pkg.manifest
+      });
+    }
+  }
+
+  return vulnerabilities;
+};
+
+module.exports = {
+  SEVERITY_LEVELS,
+  compareVersions,
+  getAdvisoryDatabase,
+  loadAdvisoryDatabase,
+  matchAdvisories
+};
@@ -0,0 +1,267 @@
+/**
+ * Analysis Store Service
+ * Persists analysis results per user, in Firestore or in memory
+ *
+ * Firestore layout: users/{uid}/analyses/{analysisId} holds the metadata
+ * and summary; the full result is stored as JSON split across the
+ * `chunks` subcollection to stay under the 1MB document limit.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+// Bytes of UTF-8 JSON per chunk document, under Firestore's 1MiB limit
+const CHUNK_BYTES = 900 * 1024;
+const DEFAULT_HISTORY_SIZE = 100;
+const MAX_HISTORY_SIZE = 500;
+
+// "My App" -> "my-app"
+const toProjectId = (name) => {
+  const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return slug || 'default';
+};
+
+/**
+ * Split a string into pieces of at most `maxBytes` UTF-8 bytes without
+ * cutting a character in two
+ */
+const splitByBytes = (text, maxBytes) => {
+  const buffer = Buffer.from(text, 'utf8');
+  const pieces = [];
+  let start = 0;
+  while (start < buffer.length) {
+    let end = Math.min(start + maxBytes, buffer.length);
+    // Back up to the first byte of a multi-byte character
+    while (end < buffer.length && end > start && (buffer[end] & 0xc0) === 0x80) {
+      end--;
+    }
+    pieces.push(buffer.toString('utf8', start, end));
+    start = end;
+  }
+  return pieces;
+};
+
+const getPageSize = (limit, defaultSize = DEFAULT_PAGE_SIZE, maxSize = MAX_PAGE_SIZE) => {
+  const size = parseInt(limit, 10);
+  if (!size || size < 1) return defaultSize;
+  return Math.min(size, maxSize);
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Condensed view of an analysis result kept alongside each record, with
+ * everything the project trends need so they never load full results
+ */
+const summarizeAnalysis = (result) => {
+  const files = result.files || [];
+  const sum = (pick) => files.reduce((total, file) => total + (pick(file) || 0), 0);
+  const functionCount = sum(file => file.functions && file.functions.length);
+  const average = (key) => functionCount > 0
+    ? round(sum(file => file.complexity && file.complexity[key]) / functionCount)
+    : 0;
+
+  return {
+    totalFiles: result.summary.totalFiles,
+    skippedFiles: result.summary.skippedFiles || 0,
+    totalLines: result.statistics.totalLines,
+    totalSize: result.statistics.totalSize,
+    codeLines: sum(file => file.codeLines),
+    commentLines: sum(file => file.commentLines),
+    languages: Object.fromEntries(
+      Object.entries(result.statistics.languages).map(([language, stats]) => [language, stats.files])
+    ),
+    languageShare: Object.fromEntries(
+      Object.entries(result.statistics.languages).map(([language, stats]) => [language, stats.byteShare])
+    ),
+    functionCount,
+    averageCyclomatic: average('totalCyclomatic'),
+    averageCognitive: average('totalCognitive'),
+    insightCount: result.insights.length,
+    warningCount: result.insights.filter(insight => insight.type === 'warning').length
+  };
+};
+
+const buildRecord = (id, ownerId, { projectName, projectId, result }) => {
+  const name = projectName || 'Untitled project';
+  return {
+    id,
+    ownerId,
+    projectName: name,
+    projectId: projectId ? toProjectId(projectId) : toProjectId(name),
+    createdAt: new Date().toISOString(),
+    summary: summarizeAnalysis(result)
+  };
+};
+
+/**
+ * In-memory store, used for local development and tests
+ */
+const createMemoryStore = () => {
+  const records = new Map();
+  let seq = 0;
+
+  const ownedBy = (ownerId) => Array.from(records.values())
+    .filter(entry => entry.record.ownerId === ownerId)
+    .sort((a, b) => b.record.createdAt.localeCompare(a.record.createdAt) || b.seq - a.seq);
+
+  return {
+    async saveAnalysis(ownerId, entry) {
+      const record = buildRecord(crypto.randomUUID(), ownerId, entry);
+      records.set(record.id, { record, result: entry.result, seq: seq++ });
+      return record;
+    },
+
+    async listAnalyses(ownerId, { limit, pageToken, projectId } = {}) {
+      let entries = ownedBy(ownerId);
+      if (projectId) {
+        entries = entries.filter(entry => entry.record.projectId === toProjectId(projectId));
+      }
+      if (pageToken) {
+        const index = entries.findIndex(entry => entry.record.id === pageToken);
+        entries = index === -1 ? [] : entries.slice(index + 1);
+      }
+
+      const pageSize = getPageSize(limit);
+      const page = entries.slice(0, pageSize).map(entry => entry.record);
+      return {
+        analyses: page,
+        nextPageToken: entries.length > pageSize ? page[page.length - 1].id : null
+      };
+    },
+
+    async listProjectHistory(ownerId, projectId, { limit } = {}) {
+      return ownedBy(ownerId)
+        .filter(entry => entry.record.projectId === toProjectId(projectId))
+        .slice(0, getPageSize(limit, DEFAULT_HISTORY_SIZE, MAX_HISTORY_SIZE))
+        .map(entry => entry.record)
+        .reverse();
+    },
+
+    async getAnalysis(ownerId, id) {
+      const entry = records.get(id);
+      if (!entry || entry.record.ownerId !== ownerId) return null;
+      return { ...entry.record, result: entry.result };
+    },
+
+    async deleteAnalysis(ownerId, id) {
+      const entry = records.get(id);
+      if (!entry || entry.record.ownerId !== ownerId) return false;
+      records.delete(id);
+      return true;
+    }
+  };
+};
+
+/**
+ * Firestore-backed store. Works against the emulator when
+ * FIRESTORE_EMULATOR_HOST is set.
+ */
+const createFirestoreStore = (db) => {
+  const analysesOf = (ownerId) => db.collection('users').doc(ownerId).collection('analyses');
+
+  const readChunks = async (ref) => {
+    const snapshot = await ref.collection('chunks').orderBy('index').get();
+    return snapshot.docs.map(doc => doc.get('data')).join('');
+  };
+
+  return {
+    async saveAnalysis(ownerId, entry) {
+      const ref = analysesOf(ownerId).doc();
+      const record = buildRecord(ref.id, ownerId, entry);
+      const chunks = splitByBytes(JSON.stringify(entry.result), CHUNK_BYTES);
+
+      // Write the chunks first so a listed record always has its result
+      await Promise.all(chunks.map((data, index) =>
+        ref.collection('chunks').doc(String(index)).set({ index, data })));
+      await ref.set({ ...record, chunkCount: chunks.length });
+
+      return record;
+    },
+
+    async listAnalyses(ownerId, { limit, pageToken, projectId } = {}) {
+      const pageSize = getPageSize(limit);
+      let query = analysesOf(ownerId);
+
+      if (projectId) {
+        query = query.where('projectId', '==', toProjectId(projectId));
+      }
+      query = query.orderBy('createdAt', 'desc');
+
+      if (pageToken) {
+        const cursor = await analysesOf(ownerId).doc(pageToken).get();
+        if (!cursor.exists) {
+          return { analyses: [], nextPageToken: null };
+        }
+        query = query.startAfter(cursor);
+      }
+
+      const snapshot = await query.limit(pageSize + 1).get();
+      const docs = snapshot.docs.slice(0, pageSize);
+      const analyses = docs.map(doc => {
+        const { chunkCount, ...record } = doc.data();
+        return record;
+      });
+
+      return {
+        analyses,
+        nextPageToken: snapshot.docs.length > pageSize ? docs[docs.length - 1].id : null
+      };
+    },
+
+    async listProjectHistory(ownerId, projectId, { limit } = {}) {
+      // Same index as the filtered listing; newest first, then reversed
+      const snapshot = await analysesOf(ownerId)
+        .where('projectId', '==', toProjectId(projectId))
+        .orderBy('createdAt', 'desc')
+        .limit(getPageSize(limit, DEFAULT_HISTORY_SIZE, MAX_HISTORY_SIZE))
+        .get();
+
+      return snapshot.docs.map(doc => {
+        const { chunkCount, ...record } = doc.data();
+        return record;
+      }).reverse();
+    },
+
+    async getAnalysis(ownerId, id) {
+      const ref = analysesOf(ownerId).doc(id);
+      const doc = await ref.get();
+      if (!doc.exists) return null;
+
+      const { chunkCount, ...record } = doc.data();
+      return { ...record, result: JSON.parse(await readChunks(ref)) };
+    },
+
+    async deleteAnalysis(ownerId, id) {
+      const ref = analysesOf(ownerId).doc(id);
+      const doc = await ref.get();
+      if (!doc.exists) return false;
+
+      // One batch, so a failure never leaves chunks without their record
+      const chunks = await ref.collection('chunks').get();
+      const batch = db.batch();
+      chunks.docs.forEach(chunk => batch.delete(chunk.ref));
+      batch.delete(ref);
+      await batch.commit();
+      return true;
+    }
+  };
+};
+
+/**
+ * Create the store: Firestore when a Firestore instance is given,
+ * otherwise in memory
+ * @param {Object} [config]
+ * @param {Object} [config.firestore] - A firebase-admin Firestore instance
+ */
+const createAnalysisStore = ({ firestore } = {}) => {
+  return firestore ? createFirestoreStore(firestore) : createMemoryStore();
+};
+
+module.exports = {
+  createAnalysisStore,
+  splitByBytes,
+  summarizeAnalysis,
+  toProjectId
+};
@@ -0,0 +1,310 @@
+/**
+ * Archive Extractor Service
+ * Extracts .zip, .tar and .tar.gz archives in memory into the
+ * `{ path, content }` entries analyzeCodebase accepts
+ */
+
+const zlib = require('zlib');
+const path = require('path');
+const { TextDecoder } = require('util');
+
+const DEFAULT_LIMITS = {
+  maxEntries: 20000,
+  maxFileSize: 5 * 1024 * 1024,
+  maxTotalSize: 200 * 1024 * 1024,
+  maxCompressionRatio: 100
+};
+
+// Bytes inspected when deciding whether a file is binary
+const BINARY_SNIFF_SIZE = 8000;
+
+/**
+ * Raised for archives that are malformed, unsupported or exceed the
+ * extraction limits. Routes answer these with a 400/413 instead of a 500.
+ */
+class ArchiveError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ArchiveError';
+    this.statusCode = statusCode;
+  }
+}
+
+const detectArchiveFormat = (buffer) => {
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) return 'zip';
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x06054b50) return 'zip';
+  if (buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) return 'tar.gz';
+  if (buffer.length >= 262 && buffer.toString('latin1', 257, 262) === 'ustar') return 'tar';
+  return null;
+};
+
+/**
+ * Normalize an entry name, or return null when it could escape the
+ * extraction root (absolute paths, drive letters, `..` segments)
+ */
+const sanitizeEntryPath = (name) => {
+  const slashed = name.replace(/\\/g, '/');
+  if (slashed.startsWith('/') || /^[a-zA-Z]:/.test(slashed) || slashed.includes('\0')) {
+    return null;
+  }
+  if (slashed.split('/').includes('..')) {
+    return null;
+  }
+
+  const normalized = path.posix.normalize(slashed).replace(/^\.\//, '');
+  return normalized && normalized !== '.' ? normalized : null;
+};
+
+const decoder = new TextDecoder('utf-8', { fatal: true });
+
+// Text content, or null for binary data (NUL bytes or invalid UTF-8)
+const decodeText = (data) => {
+  if (data.subarray(0, BINARY_SNIFF_SIZE).includes(0)) {
+    return null;
+  }
+  try {
+    return decoder.decode(data);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Walk the zip central directory and inflate each entry, checking the
+ * declared sizes before and the actual output size during inflation
+ */
+const readZipEntries = (buffer, limits, onEntry) => {
+  const searchStart = Math.max(0, buffer.length - 65557);
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= searchStart; i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw new ArchiveError('Invalid zip archive: end of central directory not found');
+  }
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  if (entryCount === 0xffff || offset === 0xffffffff) {
+    throw new ArchiveError('ZIP64 archives are not supported');
+  }
+  if (entryCount > limits.maxEntries) {
+    throw new ArchiveError(`Archive has more than ${limits.maxEntries} entries`, 413);
+  }
+
+  for (let index = 0; index < entryCount; index++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new ArchiveError('Invalid zip archive: corrupt central directory');
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const externalAttributes = buffer.readUInt32LE(offset + 38);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    const fileType = (externalAttributes >>> 16) & 0o170000;
+    if (name.endsWith('/') || fileType === 0o040000) continue;
+
+    onEntry(name, {
+      size,
+      symlink: fileType === 0o120000,
+      read: () => {
+        if (flags & 0x1) {
+          return { skip: 'encrypted' };
+        }
+        if (compressedSize > 0 && size / compressedSize > limits.maxCompressionRatio) {
+          throw new ArchiveError(`Entry "${name}" exceeds the allowed compression ratio`, 413);
+        }
+        if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== 0x04034b50) {
+          throw new ArchiveError(`Invalid zip archive: missing local header for "${name}"`);
+        }
+
+        const localNameLength = buffer.readUInt16LE(localOffset + 26);
+        const localExtraLength = buffer.readUInt16LE(localOffset + 28);
+        const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+        if (method === 0) return { data };
+        if (method !== 8) return { skip: 'unsupported compression method' };
+
+        try {
+          return { data: zlib.inflateRawSync(data, { maxOutputLength: Math.max(size, 1) }) };
+        } catch (error) {
+          if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+            throw new ArchiveError(`Entry "${name}" inflates beyond its declared size`, 413);
+          }
+          throw new ArchiveError(`Invalid zip archive: cannot inflate "${name}"`);
+        }
+      }
+    });
+  }
+};
+
+const readTarString = (block, start, length) => {
+  const end = block.indexOf(0, start);
+  return block.toString('utf8', start, end === -1 || end > start + length ? start + length : end);
+};
+
+const parsePaxHeaders = (data) => {
+  const headers = {};
+  let offset = 0;
+  while (offset < data.length) {
+    const space = data.indexOf(0x20, offset);
+    if (space === -1) break;
+    const length = parseInt(data.toString('utf8', offset, space), 10);
+    if (!length) break;
+    const record = data.toString('utf8', space + 1, offset + length - 1);
+    const equals = record.indexOf('=');
+    if (equals !== -1) headers[record.slice(0, equals)] = record.slice(equals + 1);
+    offset += length;
+  }
+  return headers;
+};
+
+/**
+ * Walk ustar/GNU/pax tar headers. Only regular files are reported.
+ */
+const readTarEntries = (buffer, limits, onEntry) => {
+  let offset = 0;
+  let entries = 0;
+  let longName = null;
+
+  while (offset + 512 <= buffer.length) {
+    const header = buffer.subarray(offset, offset + 512);
+    if (header.every(byte => byte === 0)) break;
+
+    const sizeField = readTarString(header, 124, 12).trim();
+    if (header[124] & 0x80) {
+      throw new ArchiveError('Tar entries larger than 8GB are not supported', 413);
+    }
+    const size = parseInt(sizeField || '0', 8);
+    if (Number.isNaN(size)) {
+      throw new ArchiveError('Invalid tar archive: corrupt header');
+    }
+
+    const type = String.fromCharCode(header[156] || 0x30);
+    const dataStart = offset + 512;
+    const data = buffer.subarray(dataStart, dataStart + size);
+    offset = dataStart + Math.ceil(size / 512) * 512;
+
+    if (type === 'L') {
+      longName = data.toString('utf8').replace(/\0+$/, '');
+      continue;
+    }
+    if (type === 'x') {
+      longName = parsePaxHeaders(data).path || longName;
+      continue;
+    }
+    if (type === 'g') continue;
+
+    const prefix = readTarString(header, 345, 155);
+    const baseName = readTarString(header, 0, 100);
+    const name = longName || (prefix ? `${prefix}/${baseName}` : baseName);
+    longName = null;
+
+    if (type === '5') continue;
+
+    entries++;
+    if (entries > limits.maxEntries) {
+      throw new ArchiveError(`Archive has more than ${limits.maxEntries} entries`, 413);
+    }
+
+    onEntry(name, {
+      size,
+      symlink: type === '1' || type === '2',
+      read: () => (type === '0' || type === '7') ? { data } : { skip: 'not a regular file' }
+    });
+  }
+};
+
+/**
+ * Extract a .zip, .tar or .tar.gz archive held in memory.
+ * Returns `{ format, files, skipped }` where `files` are UTF-8 text
+ * entries and `skipped` lists `{ path, reason }` for everything left out
+ * (unsafe paths, symlinks, binary or oversized files).
+ */
+const extractArchive = (buffer, overrides = {}) => {
+  const limits = { ...DEFAULT_LIMITS, ...overrides };
+  const format = detectArchiveFormat(buffer);
+
+  if (!format) {
+    throw new ArchiveError('Unsupported archive format. Upload a .zip, .tar or .tar.gz file');
+  }
+
+  const files = [];
+  const skipped = [];
+  let totalSize = 0;
+
+  const onEntry = (name, entry) => {
+    const safePath = sanitizeEntryPath(name);
+    if (!safePath) {
+      skipped.push({ path: name, reason: 'unsafe path' });
+      return;
+    }
+    if (entry.symlink) {
+      skipped.push({ path: safePath, reason: 'symbolic link' });
+      return;
+    }
+    if (entry.size > limits.maxFileSize) {
+      skipped.push({ path: safePath, reason: 'file too large' });
+      return;
+    }
+
+    totalSize += entry.size;
+    if (totalSize > limits.maxTotalSize) {
+      throw new ArchiveError(`Archive expands beyond ${limits.maxTotalSize} bytes`, 413);
+    }
+
+    const { data, skip } = entry.read();
+    if (skip) {
+      skipped.push({ path: safePath, reason: skip });
+      return;
+    }
+
+    const content = decodeText(data);
+    if (content === null) {
+      skipped.push({ path: safePath, reason: 'binary file' });
+      return;
+    }
+
+    files.push({ path: safePath, content });
+  };
+
+  if (format === 'zip') {
+    readZipEntries(buffer, limits, onEntry);
+  } else {
+    let tarBuffer = buffer;
+    if (format === 'tar.gz') {
+      try {
+        tarBuffer = zlib.gunzipSync(buffer, { maxOutputLength: limits.maxTotalSize + 1024 * 1024 });
+      } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+          throw new ArchiveError(`Archive expands beyond ${limits.maxTotalSize} bytes`, 413);
+        }
+        throw new ArchiveError('Invalid gzip data');
+      }
+      if (tarBuffer.length / buffer.length > limits.maxCompressionRatio) {
+        throw new ArchiveError('Archive exceeds the allowed compression ratio', 413);
+      }
+    }
+    readTarEntries(tarBuffer, limits, onEntry);
+  }
+
+  return { format, files, skipped };
+};
+
+module.exports = {
+  ArchiveError,
+  detectArchiveFormat,
+  extractArchive
+};
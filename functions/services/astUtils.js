@@ -0,0 +1,83 @@
+/**
+ * AST Utilities
+ * Shared helpers for walking and naming Babel syntax tree nodes
+ */
+
+// Keys that hold position info or comments rather than child nodes
+const SKIPPED_KEYS = new Set([
+  'loc', 'start', 'end', 'extra', 'range',
+  'leadingComments', 'trailingComments', 'innerComments'
+]);
+
+const FUNCTION_TYPES = new Set([
+  'FunctionDeclaration',
+  'FunctionExpression',
+  'ArrowFunctionExpression',
+  'ObjectMethod',
+  'ClassMethod',
+  'ClassPrivateMethod'
+]);
+
+const isNode = (value) => value && typeof value.type === 'string';
+
+// Call `callback` for every direct child node, in source order
+const forEachChild = (node, callback) => {
+  for (const key of Object.keys(node)) {
+    if (SKIPPED_KEYS.has(key)) continue;
+
+    const child = node[key];
+    if (Array.isArray(child)) {
+      for (const item of child) {
+        if (isNode(item)) callback(item);
+      }
+    } else if (isNode(child)) {
+      callback(child);
+    }
+  }
+};
+
+/**
+ * Depth-first walk over every node. `visit(node, parent)` may return
+ * false to skip the node's children.
+ */
+const walk = (node, visit, parent = null) => {
+  if (visit(node, parent) === false) {
+    return;
+  }
+
+  forEachChild(node, child => walk(child, visit, node));
+};
+
+// Render identifiers, member chains and literal keys as readable names
+const getNodeName = (node) => {
+  if (!node) return null;
+
+  switch (node.type) {
+    case 'Identifier':
+      return node.name;
+    case 'PrivateName':
+      return `#${node.id.name}`;
+    case 'StringLiteral':
+      return node.value;
+    case 'NumericLiteral':
+      return String(node.value);
+    case 'ThisExpression':
+      return 'this';
+    case 'MemberExpression':
+    case 'OptionalMemberExpression': {
+      const object = getNodeName(node.object);
+      const property = node.computed ? null : getNodeName(node.property);
+      return object && property ? `${object}.${property}` : null;
+    }
+    default:
+      return null;
+  }
+};
+
+module.exports = {
+  FUNCTION_TYPES,
+  isNode,
+  forEachChild,
+  walk,
+  getNodeName
+};
@@ -3,7 +3,59 @@
  * Analyzes codebase structure, files, and provides insights
  */
 
-const analyzeCodebase = async (codebase) => {
+const { isParsableScript, parseScript } = require('./jsParser');
+const { detectClones } = require('./cloneDetector');
+const { findFileDeadCode, findUnusedExports } = require('./deadCode');
+const { summarizeComplexity } = require('./complexity');
+const { detectLanguage } = require('./languageDetector');
+const { classifyLines } = require('./lineClassifier');
+const { scanSecrets } = require('./secretScanner');
+const { scanSecurity } = require('./securityScanner');
+const { detectStack } = require('./stackDetector');
+const {
+  normalizePath,
+  buildDependencyGraph,
+  findCycles,
+  findEntryPoints,
+  findOrphans
+} = require('./dependencyGraph');
+const { getAdvisoryDatabase, matchAdvisories } = require('./advisoryDatabase');
+const { buildDependencyInventory } = require('./dependencyManifests');
+const { LOCKFILE_EXCLUDES, filterFiles } = require('./fileFilter');
+const { countLicenses, detectLicenses, evaluateLicensePolicy } = require('./licenseDetector');
+const { readProjectConfig } = require('./projectConfig');
+const { evaluateGate } = require('./qualityGate');
+const { resolveRuleSettings, runRules } = require('./ruleEngine');
+
+/**
+ * Analyze a codebase
+ * @param {string|Object|Array} codebase - Files as `{ path, content }` entries
+ * @param {Object} [options]
+ * @param {number} [options.hotspotCount=5] - Number of most complex functions to report
+ *   (shorthand for the `complexity-hotspots` rule's `count` option)
+ * @param {Object} [options.rules] - Insight rule settings by rule id: `false` to disable, or
+ *   `{ enabled, severity, options }`; override the `rules` section of `.codeanalyzer.json`
+ * @param {string[]} [options.entryPoints] - Extra entry point paths, never reported as orphans
+ * @param {string[]} [options.include] - Only analyze files matching these globs
+ * @param {string[]} [options.exclude] - Skip files matching these globs
+ * @param {boolean} [options.useGitignore=true] - Skip files ignored by submitted .gitignore files
+ * @param {boolean} [options.defaultExcludes=true] - Skip dependencies, build output, lockfiles and minified files
+ * @param {boolean} [options.scanSecrets=true] - Look for hardcoded credentials
+ * @param {boolean} [options.scanSecurity=true] - Look for vulnerable code patterns
+ * @param {boolean} [options.scanAdvisories=true] - Match dependencies against the advisory
+ *   database at ADVISORY_DB_PATH, when one is configured
+ * @param {Object} [options.gate] - Quality gate thresholds; override the `gate` section of `.codeanalyzer.json`
+ * @param {Object|boolean} [options.duplication] - Clone detection `{ minTokens, minLines }`, or
+ *   `false` to skip it; overrides the `duplication` section of `.codeanalyzer.json`
+ * @param {Object} [options.licenses] - License policy `{ allow, deny, includeDev }`; overrides the
+ *   `licenses` section of `.codeanalyzer.json`
+ * @param {Object} [callbacks] - Progress hooks for long-running analyses
+ * @param {Function} [callbacks.onStart] - Called with `{ total, skipped }` once files are selected
+ * @param {Function} [callbacks.onFile] - Called with `(fileAnalysis, { processed, total, statistics })`
+ *   after each file; the event loop is yielded to between files when set
+ * @param {AbortSignal} [callbacks.signal] - Stops the analysis between files once aborted
+ */
+const analyzeCodebase = async (codebase, options = {}, callbacks = {}) => {
   try {
     // Handle different input formats
     let files = [];
@@ -23,9 +75,18 @@ const analyzeCodebase = async (codebase) => {
       files = [codebase];
     }
 
+    const sourceFiles = files.map(file => ({
+      path: file.path || file.name || 'unknown',
+      content: file.content || file.code || ''
+    }));
+
+    // Leave out ignored, excluded and generated files
+    const { included, skipped } = filterFiles(sourceFiles, options);
+
     const analysis = {
       summary: {
-        totalFiles: files.length,
+        totalFiles: included.length,
+        skippedFiles: skipped.length,
         analyzedAt: new Date().toISOString()
       },
       files: [],
@@ -35,15 +96,30 @@ const analyzeCodebase = async (codebase) => {
         fileTypes: {},
         languages: {}
       },
+      skipped: skipped,
       insights: []
     };
 
+    const packageFiles = [];
+
+    if (callbacks.onStart) {
+      callbacks.onStart({ total: included.length, skipped });
+    }
+
     // Analyze each file
-    for (const file of files) {
-      const filePath = file.path || file.name || 'unknown';
-      const fileContent = file.content || file.code || '';
+    for (const file of included) {
+      if (callbacks.signal && callbacks.signal.aborted) {
+        throw new Error('Analysis aborted');
+      }
+
+      const filePath = file.path;
+      const fileContent = file.content;
+      
+      if (/(^|[\\/])package\.json$/.test(filePath)) {
+        packageFiles.push({ path: filePath, content: fileContent });
+      }
       
-      const fileAnalysis = analyzeFile(filePath, fileContent);
+      const fileAnalysis = analyzeFile(filePath, fileContent, options);
       analysis.files.push(fileAnalysis);
       
       // Update statistics
@@ -56,15 +132,114 @@ const analyzeCodebase = async (codebase) => {
           (analysis.statistics.fileTypes[extension] || 0) + 1;
       }
       
-      const language = detectLanguage(filePath, fileContent);
-      if (language) {
-        analysis.statistics.languages[language] = 
-          (analysis.statistics.languages[language] || 0) + 1;
+      const languageStats = analysis.statistics.languages[fileAnalysis.language] ||
+        (analysis.statistics.languages[fileAnalysis.language] = { files: 0, bytes: 0, byteShare: 0 });
+      languageStats.files += 1;
+      languageStats.bytes += fileAnalysis.size;
+
+      if (callbacks.onFile) {
+        callbacks.onFile(fileAnalysis, {
+          processed: analysis.files.length,
+          total: included.length,
+          statistics: analysis.statistics
+        });
+        // Let other requests (status polls, stream writes) run between files
+        await new Promise(resolve => setImmediate(resolve));
       }
     }
 
+    // Share of the codebase's bytes written in each language
+    for (const languageStats of Object.values(analysis.statistics.languages)) {
+      languageStats.byteShare = analysis.statistics.totalSize > 0
+        ? Math.round((languageStats.bytes / analysis.statistics.totalSize) * 10000) / 100
+        : 0;
+    }
+
+    // Possible credentials, with redacted previews only
+    analysis.secrets = analysis.files.flatMap(file =>
+      (file.secrets || []).map(secret => ({ path: file.path, ...secret })));
+
+    // Vulnerable code patterns
+    analysis.security = analysis.files.flatMap(file =>
+      (file.security || []).map(issue => ({ path: file.path, ...issue })));
+
+    // Resolve imports between the submitted files
+    analysis.dependencyGraph = buildDependencyGraph(analysis.files);
+
+    // Detect import cycles and modules nothing depends on
+    const knownPaths = new Set(analysis.files.map(f => normalizePath(f.path)));
+    const entryPoints = findEntryPoints(packageFiles, knownPaths);
+    for (const entryPoint of options.entryPoints || []) {
+      entryPoints.add(normalizePath(entryPoint));
+    }
+    const { cycles, truncated } = findCycles(analysis.dependencyGraph);
+    analysis.cycles = cycles;
+    analysis.cyclesTruncated = truncated;
+    analysis.orphans = findOrphans(analysis.dependencyGraph, entryPoints);
+
+    // Exports nothing imports, plus each file's unused functions and
+    // unreachable statements
+    analysis.deadCode = {
+      unusedExports: findUnusedExports(analysis.files, entryPoints),
+      unusedFunctions: analysis.files.flatMap(file =>
+        (file.deadCode ? file.deadCode.unusedFunctions : []).map(fn => ({ path: file.path, ...fn }))),
+      unreachable: analysis.files.flatMap(file =>
+        (file.deadCode ? file.deadCode.unreachable : []).map(block => ({ path: file.path, ...block })))
+    };
+
+    // Third-party packages from manifests, and from lockfiles even though
+    // they are skipped by default
+    const lockfilePaths = new Set(skipped
+      .filter(entry => entry.reason === 'default exclude' && LOCKFILE_EXCLUDES.includes(entry.rule))
+      .map(entry => entry.path));
+    const lockfiles = sourceFiles
+      .map(file => ({ ...file, path: normalizePath(file.path) }))
+      .filter(file => lockfilePaths.has(file.path));
+    analysis.dependencies = buildDependencyInventory([...included, ...lockfiles]);
+
+    // Known-vulnerable dependency versions, from the local advisory database
+    // `advisoryDatabase` tells "not checked" apart from "nothing found"
+    const advisories = options.scanAdvisories === false
+      ? { vulnerabilities: [], status: { checked: false, advisoryCount: null, error: null } }
+      : findVulnerabilities(analysis.dependencies.packages);
+    analysis.vulnerabilities = advisories.vulnerabilities;
+    analysis.advisoryDatabase = advisories.status;
+
+    const projectConfig = readProjectConfig(sourceFiles);
+
+    // Copy-pasted blocks across files; .codeanalyzer.json's `duplication`
+    // settings are overridden by the request
+    if (options.duplication === false) {
+      analysis.clones = [];
+      analysis.statistics.duplication = null;
+    } else {
+      const { clones, duplication } = detectClones(
+        included.map((file, index) => ({ ...file, language: analysis.files[index].language })),
+        { ...(projectConfig.config.duplication || {}), ...(options.duplication || {}) }
+      );
+      analysis.clones = clones;
+      analysis.statistics.duplication = duplication;
+    }
+
+    // License inventory, checked against .codeanalyzer.json's `licenses`
+    // policy, overridden by the request
+    const licenseInventory = detectLicenses(included, analysis.dependencies.packages);
+    const licensePolicy = { ...(projectConfig.config.licenses || {}), ...(options.licenses || {}) };
+    analysis.licenses = {
+      inventory: licenseInventory,
+      counts: countLicenses(licenseInventory),
+      policy: licensePolicy.allow || licensePolicy.deny ? evaluateLicensePolicy(licenseInventory, licensePolicy) : null
+    };
+
+    // Frameworks, build tools, test runners and platforms in use
+    analysis.stack = detectStack(included, analysis.dependencies.packages);
+
     // Generate insights
-    analysis.insights = generateInsights(analysis);
+    analysis.insights = generateInsights(analysis, options, projectConfig);
+
+    // Quality gate: .codeanalyzer.json thresholds, overridden by the request
+    const gateRules = { ...(projectConfig.config.gate || {}), ...(options.gate || {}) };
+    analysis.gate = Object.keys(gateRules).length > 0 ? evaluateGate(analysis, gateRules) : null;
 
     return analysis;
   } catch (error) {
@@ -72,23 +247,104 @@ const analyzeCodebase = async (codebase) => {
   }
 };
 
-const analyzeFile = (filePath, content) => {
+// A missing or malformed database should not fail the whole analysis, but
+// the result says so: an empty list alone would read as "nothing known"
+const findVulnerabilities = (packages) => {
+  try {
+    const database = getAdvisoryDatabase();
+    if (!database) {
+      return { vulnerabilities: [], status: { checked: false, advisoryCount: null, error: null } };
+    }
+    return {
+      vulnerabilities: matchAdvisories(database, packages),
+      status: { checked: true, advisoryCount: database.advisoryCount, error: null }
+    };
+  } catch (error) {
+    console.error('Advisory database error:', error.message);
+    // File system errors name the server's path; keep that in the log
+    const reason = error.code ? 'could not be read' : `is not valid JSON (${error.message})`;
+    return {
+      vulnerabilities: [],
+      status: { checked: false, advisoryCount: null, error: `The advisory database ${reason}` }
+    };
+  }
+};
+
+const analyzeFile = (filePath, content, options = {}) => {
   const lines = content.split('\n');
   const size = Buffer.byteLength(content, 'utf8');
+  const { language, confidence, source } = detectLanguage(filePath, content);
   
-  // Count code metrics
-  const codeLines = lines.filter(line => {
-    const trimmed = line.trim();
-    return trimmed.length > 0 && !trimmed.startsWith('//') && !trimmed.startsWith('/*');
-  }).length;
-  
-  const commentLines = lines.filter(line => {
-    const trimmed = line.trim();
-    return trimmed.startsWith('//') || trimmed.startsWith('/*') || trimmed.startsWith('*');
-  }).length;
-  
-  const blankLines = lines.filter(line => line.trim().length === 0).length;
+  // Count code metrics using the language's comment and string syntax
+  const { codeLines, commentLines, blankLines } = classifyLines(content, language);
   
+  const fileAnalysis = {
+    path: filePath,
+    lines: lines.length,
+    size: size,
+    codeLines: codeLines,
+    commentLines: commentLines,
+    blankLines: blankLines,
+    metrics: null,
+    language: language,
+    languageConfidence: confidence,
+    languageSource: source
+  };
+
+  if (options.scanSecrets !== false) {
+    const secrets = scanSecrets(content, { path: filePath, language });
+    if (secrets.length > 0) {
+      fileAnalysis.secrets = secrets;
+    }
+  }
+
+  // JavaScript/TypeScript files get a real syntax tree
+  if (isParsableScript(filePath)) {
+    const parsed = parseScript(filePath, content);
+
+    if (!parsed.parseError) {
+      fileAnalysis.metrics = {
+        hasFunctions: parsed.functions.length > 0,
+        hasClasses: parsed.classes.length > 0,
+        hasImports: parsed.imports.length > 0,
+        hasExports: parsed.exports.length > 0,
+        functionCount: parsed.functions.length,
+        classCount: parsed.classes.length,
+        importCount: parsed.imports.length
+      };
+      fileAnalysis.complexity = summarizeComplexity(parsed.functions);
+      fileAnalysis.functions = parsed.functions;
+      fileAnalysis.classes = parsed.classes;
+      fileAnalysis.imports = parsed.imports;
+      fileAnalysis.exports = parsed.exports;
+      const deadCode = findFileDeadCode(parsed.ast);
+      if (deadCode.unusedFunctions.length > 0 || deadCode.unreachable.length > 0) {
+        fileAnalysis.deadCode = deadCode;
+      }
+      addSecurityFindings(fileAnalysis, content, parsed.ast, options);
+      return fileAnalysis;
+    }
+
+    // Keep the heuristic metrics below so the file still counts
+    fileAnalysis.parseError = parsed.parseError;
+  }
+
+  fileAnalysis.metrics = getPatternMetrics(content);
+  addSecurityFindings(fileAnalysis, content, null, options);
+  return fileAnalysis;
+};
+
+const addSecurityFindings = (fileAnalysis, content, ast, options) => {
+  if (options.scanSecurity === false) return;
+
+  const security = scanSecurity({ language: fileAnalysis.language, content, ast });
+  if (security.length > 0) {
+    fileAnalysis.security = security;
+  }
+};
+
+// Regex-based indicators for files we cannot parse into a syntax tree
+const getPatternMetrics = (content) => {
   // Detect complexity indicators
   const hasFunctions = /function\s+\w+|const\s+\w+\s*=\s*\(|=>\s*\{/g.test(content);
   const hasClasses = /class\s+\w+/g.test(content);
@@ -101,22 +357,13 @@ const analyzeFile = (filePath, content) => {
   const importCount = (content.match(/import\s+.*from|require\(/g) || []).length;
 
   return {
-    path: filePath,
-    lines: lines.length,
-    size: size,
-    codeLines: codeLines,
-    commentLines: commentLines,
-    blankLines: blankLines,
-    metrics: {
-      hasFunctions,
-      hasClasses,
-      hasImports,
-      hasExports,
-      functionCount,
-      classCount,
-      importCount
-    },
-    language: detectLanguage(filePath, content)
+    hasFunctions,
+    hasClasses,
+    hasImports,
+    hasExports,
+    functionCount,
+    classCount,
+    importCount
   };
 };
 
@@ -125,109 +372,17 @@ const getFileExtension = (filePath) => {
   return match ? match[1].toLowerCase() : null;
 };
 
-const detectLanguage = (filePath, content) => {
-  const extension = getFileExtension(filePath);
-  
-  const languageMap = {
-    'js': 'JavaScript',
-    'jsx': 'JavaScript',
-    'ts': 'TypeScript',
-    'tsx': 'TypeScript',
-    'py': 'Python',
-    'java': 'Java',
-    'cpp': 'C++',
-    'c': 'C',
-    'cs': 'C#',
-    'php': 'PHP',
-    'rb': 'Ruby',
-    'go': 'Go',
-    'rs': 'Rust',
-    'swift': 'Swift',
-    'kt': 'Kotlin',
-    'html': 'HTML',
-    'css': 'CSS',
-    'scss': 'SCSS',
-    'json': 'JSON',
-    'xml': 'XML',
-    'yaml': 'YAML',
-    'yml': 'YAML',
-    'md': 'Markdown',
-    'sh': 'Shell',
-    'sql': 'SQL'
-  };
-  
-  if (extension && languageMap[extension]) {
-    return languageMap[extension];
-  }
-  
-  // Fallback: detect by content patterns
-  if (/function\s+\w+|const\s+\w+\s*=|let\s+\w+\s*=/.test(content)) {
-    return 'JavaScript';
-  }
-  if (/def\s+\w+\s*\(|import\s+\w+|class\s+\w+/.test(content)) {
-    return 'Python';
-  }
-  
-  return 'Unknown';
-};
+/**
+ * Run the insight rules, configured by `.codeanalyzer.json` and then the request
+ */
+const generateInsights = (analysis, options = {}, projectConfig = { config: {} }) => {
+  const { settings, invalid } = resolveRuleSettings(
+    projectConfig.config.rules,
+    options.hotspotCount && { 'complexity-hotspots': { options: { count: options.hotspotCount } } },
+    options.rules
+  );
 
-const generateInsights = (analysis) => {
-  const insights = [];
-  
-  if (analysis.summary.totalFiles === 0) {
-    insights.push({
-      type: 'warning',
-      message: 'No files found in codebase'
-    });
-    return insights;
-  }
-  
-  // File count insights
-  if (analysis.summary.totalFiles > 100) {
-    insights.push({
-      type: 'info',
-      message: `Large codebase detected with ${analysis.summary.totalFiles} files`
-    });
-  }
-  
-  // Language diversity
-  const languageCount = Object.keys(analysis.statistics.languages).length;
-  if (languageCount > 3) {
-    insights.push({
-      type: 'info',
-      message: `Multi-language project detected with ${languageCount} different languages`
-    });
-  }
-  
-  // Most common file type
-  const mostCommonType = Object.entries(analysis.statistics.fileTypes)
-    .sort((a, b) => b[1] - a[1])[0];
-  if (mostCommonType) {
-    insights.push({
-      type: 'info',
-      message: `Most common file type: .${mostCommonType[0]} (${mostCommonType[1]} files)`
-    });
-  }
-  
-  // Average file size
-  const avgFileSize = analysis.statistics.totalSize / analysis.summary.totalFiles;
-  if (avgFileSize > 10000) {
-    insights.push({
-      type: 'warning',
-      message: 'Some files are quite large. Consider splitting them for better maintainability.'
-    });
-  }
-  
-  // Files with many functions
-  const complexFiles = analysis.files.filter(f => f.metrics.functionCount > 10);
-  if (complexFiles.length > 0) {
-    insights.push({
-      type: 'warning',
-      message: `${complexFiles.length} file(s) have more than 10 functions. Consider refactoring.`
-    });
-  }
-  
-  return insights;
+  return runRules({ analysis, options, projectConfig, invalidRules: invalid }, settings);
 };
 
 module.exports = {
@@ -0,0 +1,192 @@
+/**
+ * Complexity Service
+ * Computes cyclomatic complexity, cognitive complexity and nesting depth
+ * for individual functions, plus file-level aggregates
+ *
+ * Nested functions are measured on their own and do not add to the
+ * score of the function that contains them.
+ */
+
+const { FUNCTION_TYPES, forEachChild } = require('./astUtils');
+
+const LOOP_TYPES = new Set([
+  'ForStatement',
+  'ForInStatement',
+  'ForOfStatement',
+  'WhileStatement',
+  'DoWhileStatement'
+]);
+
+const LOGICAL_ASSIGNMENTS = new Set(['&&=', '||=', '??=']);
+
+/**
+ * Cyclomatic complexity: 1 plus one for every branch point
+ */
+const getCyclomatic = (body) => {
+  let complexity = 1;
+
+  const visit = (node) => {
+    if (FUNCTION_TYPES.has(node.type)) return;
+
+    if (node.type === 'IfStatement' || node.type === 'ConditionalExpression' ||
+        node.type === 'CatchClause' || LOOP_TYPES.has(node.type)) {
+      complexity++;
+    } else if (node.type === 'SwitchCase' && node.test) {
+      complexity++;
+    } else if (node.type === 'LogicalExpression') {
+      complexity++;
+    } else if (node.type === 'AssignmentExpression' && LOGICAL_ASSIGNMENTS.has(node.operator)) {
+      complexity++;
+    }
+
+    forEachChild(node, visit);
+  };
+
+  visit(body);
+  return complexity;
+};
+
+// Operators of a chain like `a && b || c`, in source order
+const collectLogicalChain = (node, operators, operands) => {
+  if (node.type === 'LogicalExpression') {
+    collectLogicalChain(node.left, operators, operands);
+    operators.push(node.operator);
+    collectLogicalChain(node.right, operators, operands);
+  } else {
+    operands.push(node);
+  }
+};
+
+/**
+ * Cognitive complexity following the SonarSource definition: control
+ * flow breaks cost 1 plus their nesting level, `else`/`else if`, mixed
+ * boolean operator sequences, labelled jumps and recursion cost 1.
+ * Also tracks the deepest nesting level reached.
+ */
+const getCognitive = (fnNode, name) => {
+  let score = 0;
+  let maxNesting = 0;
+
+  const enterNesting = (nesting) => {
+    maxNesting = Math.max(maxNesting, nesting + 1);
+    return nesting + 1;
+  };
+
+  const visitIf = (node, nesting, isElseIf) => {
+    score += isElseIf ? 1 : 1 + nesting;
+    visit(node.test, nesting);
+
+    const inner = enterNesting(nesting);
+    visit(node.consequent, inner);
+
+    if (node.alternate) {
+      if (node.alternate.type === 'IfStatement') {
+        visitIf(node.alternate, nesting, true);
+      } else {
+        score += 1;
+        visit(node.alternate, inner);
+      }
+    }
+  };
+
+  const visit = (node, nesting) => {
+    if (FUNCTION_TYPES.has(node.type)) return;
+
+    switch (node.type) {
+      case 'IfStatement':
+        visitIf(node, nesting, false);
+        return;
+      case 'ConditionalExpression':
+      case 'SwitchStatement':
+      case 'CatchClause':
+      case 'ForStatement':
+      case 'ForInStatement':
+      case 'ForOfStatement':
+      case 'WhileStatement':
+      case 'DoWhileStatement': {
+        score += 1 + nesting;
+        const inner = enterNesting(nesting);
+        forEachChild(node, child => visit(child, inner));
+        return;
+      }
+      case 'LogicalExpression': {
+        const operators = [];
+        const operands = [];
+        collectLogicalChain(node, operators, operands);
+        operators.forEach((operator, index) => {
+          if (index === 0 || operator !== operators[index - 1]) score++;
+        });
+        operands.forEach(operand => visit(operand, nesting));
+        return;
+      }
+      case 'BreakStatement':
+      case 'ContinueStatement':
+        if (node.label) score++;
+        return;
+      case 'CallExpression':
+        if (name && node.callee.type === 'Identifier' && node.callee.name === name) {
+          score++;
+        }
+        break;
+      default:
+        break;
+    }
+
+    forEachChild(node, child => visit(child, nesting));
+  };
+
+  visit(fnNode.body, 0);
+  return { cognitive: score, maxNesting };
+};
+
+/**
+ * Measure a single function node
+ */
+const measureFunction = (fnNode, name) => {
+  const { cognitive, maxNesting } = getCognitive(fnNode, name);
+
+  return {
+    cyclomatic: getCyclomatic(fnNode.body),
+    cognitive,
+    maxNesting
+  };
+};
+
+/**
+ * Aggregate per-function measurements into file-level figures
+ */
+const summarizeComplexity = (functions) => {
+  if (functions.length === 0) {
+    return {
+      totalCyclomatic: 0,
+      averageCyclomatic: 0,
+      maxCyclomatic: 0,
+      totalCognitive: 0,
+      averageCognitive: 0,
+      maxCognitive: 0,
+      maxNesting: 0
+    };
+  }
+
+  const sum = (key) => functions.reduce((total, fn) => total + fn.complexity[key], 0);
+  const max = (key) => Math.max(...functions.map(fn => fn.complexity[key]));
+  const round = (value) => Math.round(value * 100) / 100;
+
+  const totalCyclomatic = sum('cyclomatic');
+  const totalCognitive = sum('cognitive');
+
+  return {
+    totalCyclomatic,
+    averageCyclomatic: round(totalCyclomatic / functions.length),
+    maxCyclomatic: max('cyclomatic'),
+    totalCognitive,
+    averageCognitive: round(totalCognitive / functions.length),
+    maxCognitive: max('cognitive'),
+    maxNesting: max('maxNesting')
+  };
+};
+
+module.exports = {
+  measureFunction,
+  summarizeComplexity
+};
@@ -0,0 +1,205 @@
+/**
+ * Dead Code Service
+ * Finds exports that no submitted file imports, top-level functions their
+ * own file never references, and statements that can never run
+ */
+
+const { walk } = require('./astUtils');
+const { normalizePath, resolveSpecifier } = require('./dependencyGraph');
+
+const FUNCTION_VALUES = new Set(['FunctionExpression', 'ArrowFunctionExpression']);
+
+// Property keys, labels and attribute names share identifier nodes but do
+// not refer to a binding
+const isReference = (node, parent) => {
+  switch (parent.type) {
+    case 'MemberExpression':
+    case 'OptionalMemberExpression':
+    case 'JSXMemberExpression':
+      return parent.object === node || Boolean(parent.computed);
+    case 'ObjectProperty':
+    case 'ObjectMethod':
+    case 'ClassProperty':
+    case 'ClassMethod':
+    case 'TSPropertySignature':
+    case 'TSMethodSignature':
+      return parent.key !== node || Boolean(parent.computed) || Boolean(parent.shorthand);
+    case 'JSXAttribute':
+      return parent.name !== node;
+    case 'TSQualifiedName':
+      return parent.left === node;
+    case 'LabeledStatement':
+    case 'BreakStatement':
+    case 'ContinueStatement':
+      return false;
+    case 'ImportSpecifier':
+      return false;
+    case 'ExportSpecifier':
+      return parent.local === node;
+    default:
+      return true;
+  }
+};
+
+// Top-level function declarations and `const name = () => {}` style
+// bindings; exported ones are left to the cross-file check
+const collectTopLevelFunctions = (program) => {
+  const functions = [];
+
+  for (const statement of program.body) {
+    if (statement.type === 'FunctionDeclaration' && statement.id) {
+      functions.push({ name: statement.id.name, node: statement });
+    } else if (statement.type === 'VariableDeclaration') {
+      for (const declarator of statement.declarations) {
+        if (declarator.id.type === 'Identifier' && declarator.init && FUNCTION_VALUES.has(declarator.init.type)) {
+          functions.push({ name: declarator.id.name, node: declarator });
+        }
+      }
+    }
+  }
+
+  return functions;
+};
+
+/**
+ * Top-level functions whose name is not referenced anywhere else in the
+ * file. References are matched by name, so a shadowing local binding can
+ * hide an unused function but never flag a used one.
+ */
+const findUnusedFunctions = (ast) => {
+  const candidates = new Map(collectTopLevelFunctions(ast.program).map(fn => [fn.name, fn]));
+  if (candidates.size === 0) return [];
+
+  const referenced = new Set();
+  walk(ast.program, (node, parent) => {
+    if (node.type !== 'Identifier' && node.type !== 'JSXIdentifier') return true;
+
+    const fn = candidates.get(node.name);
+    // Recursive calls inside the function itself do not count
+    const isOwn = fn && node.start >= fn.node.start && node.end <= fn.node.end;
+    if (fn && !isOwn && parent && isReference(node, parent)) {
+      referenced.add(node.name);
+    }
+    return true;
+  });
+
+  return Array.from(candidates.values())
+    .filter(fn => !referenced.has(fn.name))
+    .map(fn => ({ name: fn.name, line: fn.node.loc.start.line, endLine: fn.node.loc.end.line }));
+};
+
+const TERMINATORS = { ReturnStatement: 'return', ThrowStatement: 'throw' };
+
+// Hoisted or type-only statements that are harmless after a return
+const isInert = (statement) => {
+  if (statement.type === 'FunctionDeclaration' || statement.type === 'EmptyStatement') return true;
+  if (statement.type.startsWith('TS') && statement.type !== 'TSEnumDeclaration') return true;
+  return statement.type === 'VariableDeclaration' && statement.kind === 'var' &&
+    statement.declarations.every(declarator => !declarator.init);
+};
+
+const getStatementLists = (node) => {
+  switch (node.type) {
+    case 'Program':
+    case 'BlockStatement':
+    case 'StaticBlock':
+    case 'TSModuleBlock':
+      return [node.body];
+    case 'SwitchStatement':
+      return node.cases.map(switchCase => switchCase.consequent);
+    default:
+      return [];
+  }
+};
+
+/**
+ * Statements that follow a `return` or `throw` in the same block, one
+ * entry per block
+ */
+const findUnreachableCode = (ast) => {
+  const unreachable = [];
+
+  walk(ast.program, node => {
+    for (const statements of getStatementLists(node)) {
+      const index = statements.findIndex(statement => TERMINATORS[statement.type]);
+      if (index === -1) continue;
+
+      const dead = statements.slice(index + 1).filter(statement => !isInert(statement));
+      if (dead.length === 0) continue;
+
+      unreachable.push({
+        line: dead[0].loc.start.line,
+        endLine: dead[dead.length - 1].loc.end.line,
+        after: TERMINATORS[statements[index].type]
+      });
+    }
+    return true;
+  });
+
+  return unreachable.sort((a, b) => a.line - b.line);
+};
+
+/**
+ * Dead code within a single parsed file
+ * @param {Object} ast - Babel AST from parseScript
+ * @returns {{ unusedFunctions: Array<{ name, line, endLine }>, unreachable: Array<{ line, endLine, after }> }}
+ */
+const findFileDeadCode = (ast) => ({
+  unusedFunctions: findUnusedFunctions(ast),
+  unreachable: findUnreachableCode(ast)
+});
+
+/**
+ * Exports of submitted modules that no other submitted file imports by
+ * name. Entry points are public API and are left out, as are modules
+ * nothing imports at all (those are reported as orphans) and declaration
+ * files. A `require()` whose result is used whole, a namespace import or an
+ * `export *` counts as using every export of the target.
+ * @param {Array} files - Entries of `analysis.files`
+ * @param {Set<string>} entryPoints - Normalized entry point paths
+ * @returns {Array<{ path, name, kind, line }>}
+ */
+const findUnusedExports = (files, entryPoints) => {
+  const knownPaths = new Set(files.map(file => normalizePath(file.path)));
+  const used = new Map();
+
+  for (const file of files) {
+    const from = normalizePath(file.path);
+
+    for (const entry of file.imports || []) {
+      if (!entry.source.startsWith('.') && !entry.source.startsWith('/')) continue;
+
+      const to = resolveSpecifier(from, entry.source, knownPaths);
+      if (!to || to === from) continue;
+
+      if (!used.has(to)) used.set(to, new Set());
+      const names = used.get(to);
+      const usesWholeModule = entry.specifiers.includes('*') ||
+        (entry.specifiers.length === 0 && entry.kind !== 'import');
+      for (const name of usesWholeModule ? ['*'] : entry.specifiers) {
+        names.add(name);
+      }
+    }
+  }
+
+  const unused = [];
+  for (const file of files) {
+    const id = normalizePath(file.path);
+    const names = used.get(id);
+    if (!file.exports || !names || names.has('*') || entryPoints.has(id) || /\.d\.[mc]?ts$/.test(id)) continue;
+
+    const reported = new Set();
+    for (const entry of file.exports) {
+      if (entry.kind === 'all' || names.has(entry.name) || reported.has(entry.name)) continue;
+      reported.add(entry.name);
+      unused.push({ path: file.path, name: entry.name, kind: entry.kind, line: entry.line });
+    }
+  }
+
+  return unused;
+};
+
+module.exports = {
+  findFileDeadCode,
+  findUnusedExports
+};
@@ -0,0 +1,404 @@
+/**
+ * Dependency Graph Service
+ * Resolves import specifiers against the submitted files and builds a
+ * module dependency graph
+ */
+
+const path = require('path');
+const { builtinModules } = require('module');
+
+const RESOLVABLE_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts', '.json'];
+
+// TypeScript sources are often imported with the extension they compile to
+const TYPESCRIPT_SOURCES = {
+  '.js': ['.ts', '.tsx'],
+  '.jsx': ['.tsx'],
+  '.mjs': ['.mts'],
+  '.cjs': ['.cts']
+};
+
+const BUILTINS = new Set(builtinModules);
+
+/**
+ * Normalize a submitted path to a forward-slash path relative to the
+ * codebase root, e.g. `.\\src\\app.js` -> `src/app.js`
+ */
+const normalizePath = (filePath) => {
+  const normalized = path.posix.normalize(filePath.replace(/\\/g, '/'));
+  return normalized.replace(/^(\.\/|\/)+/, '');
+};
+
+const isRelativeSpecifier = (specifier) => specifier.startsWith('.') || specifier.startsWith('/');
+
+// `lodash/fp` -> `lodash`, `@scope/pkg/sub` -> `@scope/pkg`
+const getPackageName = (specifier) => {
+  const parts = specifier.split('/');
+  return specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+};
+
+const isBuiltin = (specifier) => {
+  return specifier.startsWith('node:') || BUILTINS.has(getPackageName(specifier));
+};
+
+/**
+ * Resolve a relative specifier the way Node and bundlers do: exact
+ * match, then extension inference, then a directory index file.
+ * Returns the matching submitted path or null.
+ */
+const resolveSpecifier = (fromPath, specifier, knownPaths) => {
+  const base = specifier.startsWith('/')
+    ? normalizePath(specifier)
+    : normalizePath(path.posix.join(path.posix.dirname(fromPath), specifier));
+
+  const candidates = [base];
+
+  const extension = path.posix.extname(base);
+  if (TYPESCRIPT_SOURCES[extension]) {
+    const stem = base.slice(0, -extension.length);
+    candidates.push(...TYPESCRIPT_SOURCES[extension].map(ext => stem + ext));
+  }
+
+  candidates.push(...RESOLVABLE_EXTENSIONS.map(ext => base + ext));
+  candidates.push(...RESOLVABLE_EXTENSIONS.map(ext => `${base}/index${ext}`));
+
+  return candidates.find(candidate => knownPaths.has(candidate)) || null;
+};
+
+/**
+ * Build the dependency graph from analyzed files (entries of
+ * `analysis.files`, with `imports` for parsed scripts)
+ */
+const buildDependencyGraph = (files) => {
+  const knownPaths = new Set(files.map(file => normalizePath(file.path)));
+  const nodes = new Map();
+  const edges = [];
+  const unresolved = [];
+  const externalPackages = new Map();
+  const builtins = new Map();
+
+  const ensureNode = (id) => {
+    if (!nodes.has(id)) {
+      nodes.set(id, { id, imports: 0, importedBy: 0 });
+    }
+    return nodes.get(id);
+  };
+
+  const recordPackage = (registry, name, from) => {
+    if (!registry.has(name)) {
+      registry.set(name, new Set());
+    }
+    registry.get(name).add(from);
+  };
+
+  for (const file of files) {
+    if (!file.imports) continue;
+
+    const from = normalizePath(file.path);
+    const node = ensureNode(from);
+    const seen = new Set();
+
+    for (const entry of file.imports) {
+      const { source: specifier, kind, typeOnly, line } = entry;
+
+      if (!isRelativeSpecifier(specifier)) {
+        if (isBuiltin(specifier)) {
+          recordPackage(builtins, specifier.replace(/^node:/, '').split('/')[0], from);
+        } else {
+          recordPackage(externalPackages, getPackageName(specifier), from);
+        }
+        continue;
+      }
+
+      const to = resolveSpecifier(from, specifier, knownPaths);
+      if (!to) {
+        unresolved.push({ from, specifier, line });
+        continue;
+      }
+
+      edges.push({ from, to, specifier, kind, typeOnly, line });
+
+      // Count each distinct dependency once per importing file
+      if (!seen.has(to)) {
+        seen.add(to);
+        node.imports++;
+        ensureNode(to).importedBy++;
+      }
+    }
+  }
+
+  const toList = (registry) => Array.from(registry.entries())
+    .map(([name, importers]) => ({ name, importedBy: Array.from(importers).sort() }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return {
+    nodes: Array.from(nodes.values()),
+    edges,
+    unresolved,
+    externalPackages: toList(externalPackages),
+    builtins: toList(builtins)
+  };
+};
+
+const MAX_CYCLES = 100;
+
+/**
+ * Tarjan's algorithm for the strongly connected components among `ids`,
+ * following only edges between them. The depth-first search keeps an
+ * explicit stack of `{ id, successors }` frames, so long import chains
+ * cannot overflow the call stack.
+ */
+const findComponents = (ids, adjacency) => {
+  const components = [];
+  const indexes = new Map();
+  const lowLinks = new Map();
+  const stack = [];
+  const onStack = new Set();
+  let nextIndex = 0;
+
+  const connect = (root) => {
+    const frames = [];
+    const enter = (id) => {
+      indexes.set(id, nextIndex);
+      lowLinks.set(id, nextIndex);
+      nextIndex++;
+      stack.push(id);
+      onStack.add(id);
+      frames.push({ id, successors: Array.from(adjacency.get(id)).filter(next => ids.has(next)).values() });
+    };
+
+    enter(root);
+    while (frames.length > 0) {
+      const frame = frames[frames.length - 1];
+      const { value: next, done } = frame.successors.next();
+      if (!done) {
+        if (!indexes.has(next)) {
+          enter(next);
+        } else if (onStack.has(next)) {
+          lowLinks.set(frame.id, Math.min(lowLinks.get(frame.id), indexes.get(next)));
+        }
+        continue;
+      }
+
+      frames.pop();
+      const { id } = frame;
+      if (lowLinks.get(id) === indexes.get(id)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== id);
+        components.push(component);
+      }
+
+      if (frames.length > 0) {
+        const parent = frames[frames.length - 1].id;
+        lowLinks.set(parent, Math.min(lowLinks.get(parent), lowLinks.get(id)));
+      }
+    }
+  };
+
+  for (const id of ids) {
+    if (!indexes.has(id)) connect(id);
+  }
+  return components;
+};
+
+/**
+ * Find import cycles. Type-only imports are ignored since they are
+ * erased at compile time. Each cycle is an ordered path that starts and
+ * ends on the same file, e.g. ['a.js', 'b.js', 'a.js'].
+ */
+const findCycles = (graph, maxCycles = MAX_CYCLES) => {
+  const adjacency = new Map(graph.nodes.map(node => [node.id, new Set()]));
+  for (const edge of graph.edges) {
+    if (!edge.typeOnly) adjacency.get(edge.from).add(edge.to);
+  }
+
+  const hasCycle = (component) => component.length > 1 || adjacency.get(component[0]).has(component[0]);
+  const bySmallestFile = (a, b) => (a[0] < b[0] ? -1 : 1);
+
+  // Enumerate the elementary cycles with Johnson's algorithm: find every
+  // cycle through the smallest file of a component, then drop that file
+  // and repeat on the components left. A file stays blocked until a cycle
+  // through it is found, so each search does O(files + imports) work per
+  // cycle instead of exploring every path. A cycle is reported once,
+  // starting from its lexically smallest file.
+  const cycles = [];
+  let truncated = false;
+
+  for (const component of findComponents(new Set(adjacency.keys()), adjacency)) {
+    if (!hasCycle(component)) continue;
+
+    // Sorted members; the component with the smallest first file goes next
+    const pending = [component.slice().sort()];
+    while (pending.length > 0 && !truncated) {
+      pending.sort(bySmallestFile);
+      const members = pending.shift();
+      const start = members[0];
+      const allowed = new Set(members);
+      const pathStack = [];
+      const blocked = new Set();
+      const blockedBy = new Map();
+
+      const unblock = (id) => {
+        const waiting = [id];
+        while (waiting.length > 0) {
+          const current = waiting.pop();
+          blocked.delete(current);
+          const others = blockedBy.get(current);
+          if (!others) continue;
+          blockedBy.delete(current);
+          for (const other of others) {
+            if (blocked.has(other)) waiting.push(other);
+          }
+        }
+      };
+
+      // Like findComponents, the search keeps its own stack; each frame
+      // records whether a cycle back to `start` was found through its file
+      const frames = [];
+      const enter = (id) => {
+        pathStack.push(id);
+        blocked.add(id);
+        frames.push({ id, successors: adjacency.get(id).values(), found: false });
+      };
+
+      enter(start);
+      while (frames.length > 0) {
+        const frame = frames[frames.length - 1];
+        const step = truncated ? { done: true } : frame.successors.next();
+        if (!step.done) {
+          const next = step.value;
+          if (!allowed.has(next)) continue;
+
+          if (next === start) {
+            if (cycles.length >= maxCycles) {
+              truncated = true;
+              continue;
+            }
+            cycles.push([...pathStack, start]);
+            frame.found = true;
+          } else if (!blocked.has(next)) {
+            enter(next);
+          }
+          continue;
+        }
+
+        frames.pop();
+        if (frame.found) {
+          unblock(frame.id);
+        } else {
+          // Retry the file only once one of its successors can reach `start` again
+          for (const next of adjacency.get(frame.id)) {
+            if (!allowed.has(next)) continue;
+            if (!blockedBy.has(next)) blockedBy.set(next, new Set());
+            blockedBy.get(next).add(frame.id);
+          }
+        }
+        pathStack.pop();
+
+        if (frame.found && frames.length > 0) {
+          frames[frames.length - 1].found = true;
+        }
+      }
+
+      // Every cycle through `start` is known; look for the rest without it
+      for (const rest of findComponents(new Set(members.slice(1)), adjacency)) {
+        if (hasCycle(rest)) pending.push(rest.slice().sort());
+      }
+    }
+  }
+
+  return { cycles, truncated };
+};
+
+/**
+ * Collect entry points declared by submitted package.json files
+ * (`main`, `bin`, `module`, string `exports`), falling back to Node's
+ * default `index.js` when `main` is absent
+ */
+const findEntryPoints = (packageFiles, knownPaths) => {
+  const entryPoints = new Set();
+
+  for (const file of packageFiles) {
+    let manifest;
+    try {
+      manifest = JSON.parse(file.content);
+    } catch (error) {
+      continue;
+    }
+    if (!manifest || typeof manifest !== 'object') continue;
+
+    const manifestPath = normalizePath(file.path);
+    const declared = [manifest.main || './index.js', manifest.module];
+
+    if (typeof manifest.bin === 'string') {
+      declared.push(manifest.bin);
+    } else if (manifest.bin && typeof manifest.bin === 'object') {
+      declared.push(...Object.values(manifest.bin));
+    }
+
+    if (typeof manifest.exports === 'string') {
+      declared.push(manifest.exports);
+    } else if (manifest.exports && typeof manifest.exports['.'] === 'string') {
+      declared.push(manifest.exports['.']);
+    }
+
+    for (const target of declared) {
+      if (typeof target !== 'string') continue;
+      const specifier = target.startsWith('.') ? target : `./${target}`;
+      const resolved = resolveSpecifier(manifestPath, specifier, knownPaths);
+      if (resolved) entryPoints.add(resolved);
+    }
+  }
+
+  return entryPoints;
+};
+
+/**
+ * Modules that no other submitted file imports and that are not entry
+ * points. Only parsed scripts are considered.
+ */
+const findOrphans = (graph, entryPoints) => {
+  return graph.nodes
+    .filter(node => node.importedBy === 0 && !entryPoints.has(node.id))
+    .filter(node => !node.id.endsWith('.json'))
+    .map(node => node.id)
+    .sort();
+};
+
+const quoteDot = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+/**
+ * Render the graph in Graphviz DOT format
+ */
+const toDot = (graph) => {
+  const lines = ['digraph dependencies {', '  rankdir=LR;', '  node [shape=box];'];
+
+  for (const node of graph.nodes) {
+    lines.push(`  ${quoteDot(node.id)};`);
+  }
+
+  const drawn = new Set();
+  for (const edge of graph.edges) {
+    const key = `${edge.from}\n${edge.to}`;
+    if (drawn.has(key)) continue;
+    drawn.add(key);
+    lines.push(`  ${quoteDot(edge.from)} -> ${quoteDot(edge.to)};`);
+  }
+
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+};
+
+module.exports = {
+  normalizePath,
+  resolveSpecifier,
+  buildDependencyGraph,
+  findCycles,
+  findEntryPoints,
+  findOrphans,
+  toDot
+};
@@ -0,0 +1,327 @@
+/**
+ * JavaScript/TypeScript Parser Service
+ * Parses JS/JSX/TS/TSX sources into a syntax tree and extracts
+ * functions, classes, imports and exports
+ */
+
+const { parse } = require('@babel/parser');
+const { walk, getNodeName, FUNCTION_TYPES } = require('./astUtils');
+const { measureFunction } = require('./complexity');
+
+const SCRIPT_EXTENSIONS = ['js', 'jsx', 'mjs', 'cjs', 'ts', 'tsx', 'mts', 'cts'];
+
+const getExtension = (filePath) => {
+  const match = filePath.match(/\.([^./\\]+)$/);
+  return match ? match[1].toLowerCase() : null;
+};
+
+const isParsableScript = (filePath) => SCRIPT_EXTENSIONS.includes(getExtension(filePath));
+
+const getParserPlugins = (filePath) => {
+  const extension = getExtension(filePath);
+  const isTypeScript = ['ts', 'tsx', 'mts', 'cts'].includes(extension);
+
+  const plugins = ['decorators-legacy'];
+  if (isTypeScript) {
+    plugins.push('typescript');
+    if (extension === 'tsx') {
+      plugins.push('jsx');
+    }
+  } else {
+    plugins.push('jsx');
+  }
+  return plugins;
+};
+
+/**
+ * Parse source into a Babel AST. Throws a SyntaxError carrying `loc`
+ * when the file is not valid for its extension.
+ */
+const parseSource = (filePath, content) => {
+  return parse(content, {
+    sourceType: 'unambiguous',
+    allowReturnOutsideFunction: true,
+    allowImportExportEverywhere: true,
+    allowAwaitOutsideFunction: true,
+    allowUndeclaredExports: true,
+    plugins: getParserPlugins(filePath)
+  });
+};
+
+const getFunctionName = (node, parent) => {
+  if (node.id) {
+    return node.id.name;
+  }
+  if (node.key) {
+    return getNodeName(node.key) || '<computed>';
+  }
+  if (parent) {
+    if (parent.type === 'VariableDeclarator') {
+      return getNodeName(parent.id);
+    }
+    if (parent.type === 'AssignmentExpression') {
+      return getNodeName(parent.left);
+    }
+    if (parent.type === 'ObjectProperty' || parent.type === 'ClassProperty' ||
+        parent.type === 'ClassPrivateProperty') {
+      return getNodeName(parent.key);
+    }
+    if (parent.type === 'ExportDefaultDeclaration') {
+      return 'default';
+    }
+  }
+  return '<anonymous>';
+};
+
+const getFunctionKind = (node) => {
+  if (node.type === 'ArrowFunctionExpression') {
+    return 'arrow';
+  }
+  if (node.type === 'ClassMethod' || node.type === 'ClassPrivateMethod' || node.type === 'ObjectMethod') {
+    if (node.kind === 'constructor') return 'constructor';
+    if (node.kind === 'get') return 'getter';
+    if (node.kind === 'set') return 'setter';
+    return 'method';
+  }
+  return 'function';
+};
+
+const describeFunction = (node, parent) => {
+  const name = getFunctionName(node, parent);
+
+  return {
+    name,
+    kind: getFunctionKind(node),
+    async: Boolean(node.async),
+    generator: Boolean(node.generator),
+    startLine: node.loc.start.line,
+    endLine: node.loc.end.line,
+    length: node.loc.end.line - node.loc.start.line + 1,
+    params: node.params.length,
+    complexity: measureFunction(node, name)
+  };
+};
+
+const getStringArgument = (node) => {
+  const [first] = node.arguments || [];
+  if (!first) return null;
+  if (first.type === 'StringLiteral') return first.value;
+  if (first.type === 'TemplateLiteral' && first.expressions.length === 0) {
+    return first.quasis[0].value.cooked;
+  }
+  return null;
+};
+
+const describeSpecifiers = (specifiers) => specifiers.map(specifier => {
+  if (specifier.type === 'ImportDefaultSpecifier') return 'default';
+  if (specifier.type === 'ImportNamespaceSpecifier') return '*';
+  if (specifier.type === 'ExportNamespaceSpecifier') return '*';
+  return getNodeName(specifier.imported || specifier.local);
+});
+
+const getDeclarationNames = (declaration) => {
+  if (!declaration) return [];
+  if (declaration.id) return [getNodeName(declaration.id)];
+  if (declaration.type === 'VariableDeclaration') {
+    return declaration.declarations
+      .filter(declarator => declarator.id.type === 'Identifier')
+      .map(declarator => declarator.id.name);
+  }
+  return [];
+};
+
+/**
+ * Names taken from a `require()` call: destructured properties
+ * (`const { a } = require(...)`) or a property read off the result
+ * (`require(...).a`). Empty when the whole module is used.
+ */
+const describeRequireSpecifiers = (node, parent) => {
+  if (!parent) return [];
+  if (parent.type === 'VariableDeclarator' && parent.init === node && parent.id.type === 'ObjectPattern') {
+    return parent.id.properties.map(property => {
+      if (property.type === 'RestElement' || property.computed) return '*';
+      return getNodeName(property.key) || '*';
+    });
+  }
+  if (parent.type === 'MemberExpression' && parent.object === node && !parent.computed) {
+    return [getNodeName(parent.property)];
+  }
+  return [];
+};
+
+// `module.exports`, `exports` or `module.exports.foo` / `exports.foo`
+const getCommonJsExport = (left) => {
+  const name = getNodeName(left);
+  if (!name) return null;
+  if (name === 'module.exports' || name === 'exports') return { target: 'module' };
+
+  const match = name.match(/^(?:module\.)?exports\.([^.]+)$/);
+  return match ? { target: 'property', name: match[1] } : null;
+};
+
+/**
+ * Extract the structural outline of a script: functions, classes with
+ * their methods, imports and exports.
+ */
+const extractStructure = (ast) => {
+  const functions = [];
+  const classes = [];
+  const imports = [];
+  const exports = [];
+  const classStack = [];
+
+  const visit = (node, parent) => {
+    if (FUNCTION_TYPES.has(node.type)) {
+      const fn = describeFunction(node, parent);
+      const owner = classStack[classStack.length - 1];
+      const isMember = node.type === 'ClassMethod' || node.type === 'ClassPrivateMethod' ||
+        (owner && owner.body.includes(parent));
+      if (owner && isMember) {
+        fn.className = owner.name;
+        fn.static = Boolean(node.static || parent.static);
+        owner.methods.push(fn);
+      }
+      functions.push(fn);
+      return true;
+    }
+
+    switch (node.type) {
+      case 'ClassDeclaration':
+      case 'ClassExpression': {
+        const entry = {
+          name: node.id ? node.id.name : getFunctionName(node, parent),
+          superClass: getNodeName(node.superClass),
+          startLine: node.loc.start.line,
+          endLine: node.loc.end.line,
+          methods: []
+        };
+        classes.push(entry);
+        classStack.push({ name: entry.name, methods: entry.methods, body: node.body.body });
+        walk(node.body, visit, node);
+        if (node.superClass) walk(node.superClass, visit, node);
+        classStack.pop();
+        return false;
+      }
+      case 'ImportDeclaration':
+        imports.push({
+          source: node.source.value,
+          kind: 'import',
+          typeOnly: node.importKind === 'type',
+          specifiers: describeSpecifiers(node.specifiers),
+          line: node.loc.start.line
+        });
+        break;
+      case 'ExportNamedDeclaration':
+        if (node.source) {
+          imports.push({
+            source: node.source.value,
+            kind: 'reexport',
+            typeOnly: node.exportKind === 'type',
+            specifiers: describeSpecifiers(node.specifiers),
+            line: node.loc.start.line
+          });
+        }
+        for (const name of getDeclarationNames(node.declaration)) {
+          exports.push({ name, kind: 'named', line: node.loc.start.line });
+        }
+        for (const specifier of node.specifiers) {
+          exports.push({ name: getNodeName(specifier.exported), kind: 'named', line: node.loc.start.line });
+        }
+        break;
+      case 'ExportDefaultDeclaration':
+        exports.push({ name: 'default', kind: 'default', line: node.loc.start.line });
+        break;
+      case 'ExportAllDeclaration':
+        imports.push({
+          source: node.source.value,
+          kind: 'reexport',
+          typeOnly: node.exportKind === 'type',
+          specifiers: ['*'],
+          line: node.loc.start.line
+        });
+        exports.push({
+          name: node.exported ? getNodeName(node.exported) : '*',
+          kind: 'all',
+          source: node.source.value,
+          line: node.loc.start.line
+        });
+        break;
+      case 'CallExpression': {
+        const isRequire = node.callee.type === 'Identifier' && node.callee.name === 'require';
+        const isDynamicImport = node.callee.type === 'Import';
+        const source = (isRequire || isDynamicImport) ? getStringArgument(node) : null;
+        if (source !== null) {
+          imports.push({
+            source,
+            kind: isRequire ? 'require' : 'dynamic',
+            typeOnly: false,
+            specifiers: isRequire ? describeRequireSpecifiers(node, parent) : [],
+            line: node.loc.start.line
+          });
+        }
+        break;
+      }
+      case 'ImportExpression':
+        if (node.source.type === 'StringLiteral') {
+          imports.push({
+            source: node.source.value,
+            kind: 'dynamic',
+            typeOnly: false,
+            specifiers: [],
+            line: node.loc.start.line
+          });
+        }
+        break;
+      case 'AssignmentExpression': {
+        const target = getCommonJsExport(node.left);
+        if (!target) break;
+
+        const line = node.loc.start.line;
+        if (target.target === 'property') {
+          exports.push({ name: target.name, kind: 'commonjs', line });
+        } else if (node.right.type === 'ObjectExpression') {
+          for (const property of node.right.properties) {
+            const name = property.key ? getNodeName(property.key) : null;
+            if (name) exports.push({ name, kind: 'commonjs', line });
+          }
+        } else {
+          exports.push({ name: 'default', kind: 'commonjs', line });
+        }
+        break;
+      }
+      default:
+        break;
+    }
+    return true;
+  };
+
+  walk(ast.program, visit);
+
+  return { functions, classes, imports, exports };
+};
+
+/**
+ * Parse a script and return its structure, or a `parseError` entry
+ * describing why the file could not be parsed.
+ */
+const parseScript = (filePath, content) => {
+  let ast;
+  try {
+    ast = parseSource(filePath, content);
+  } catch (error) {
+    return {
+      parseError: {
+        message: error.message,
+        line: error.loc ? error.loc.line : null,
+        column: error.loc ? error.loc.column + 1 : null
+      }
+    };
+  }
+
+  return { ast, ...extractStructure(ast) };
+};
+
+module.exports = {
+  isParsableScript,
+  parseScript
+};
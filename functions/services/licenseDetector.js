@@ -0,0 +1,255 @@
+/**
+ * License Detector Service
+ * Identifies licenses from LICENSE/COPYING files, SPDX headers and manifest
+ * `license` fields, and checks them against an allow/deny policy
+ */
+
+const path = require('path');
+const { parse: parseToml } = require('smol-toml');
+
+const LICENSE_FILE = /^(?:licen[cs]e|copying|unlicense)(?:[.-][\w.-]*)?$/i;
+
+// Only the first lines of a source file are searched for a header
+const HEADER_LINES = 30;
+
+const SPDX_HEADER = /SPDX-License-Identifier:[ \t]*([A-Za-z0-9(][\w.+\-() ]*?)[ \t]*(?:\*\/|-->|$)/m;
+
+/**
+ * Distinctive phrases of common license texts, most specific first.
+ * Matched against the text with whitespace collapsed.
+ */
+const FINGERPRINTS = [
+  { id: 'AGPL-3.0-only', patterns: [/GNU AFFERO GENERAL PUBLIC LICENSE Version 3/i] },
+  { id: 'LGPL-3.0-only', patterns: [/GNU LESSER GENERAL PUBLIC LICENSE Version 3/i] },
+  { id: 'LGPL-2.1-only', patterns: [/GNU LESSER GENERAL PUBLIC LICENSE Version 2\.1/i] },
+  { id: 'GPL-3.0-only', patterns: [/GNU GENERAL PUBLIC LICENSE Version 3/i] },
+  { id: 'GPL-2.0-only', patterns: [/GNU GENERAL PUBLIC LICENSE Version 2/i] },
+  { id: 'Apache-2.0', patterns: [/Apache License,? Version 2\.0/i] },
+  { id: 'MPL-2.0', patterns: [/Mozilla Public License,? (?:Version|v\.?) ?2\.0/i] },
+  { id: 'EPL-2.0', patterns: [/Eclipse Public License -? ?v?(?:ersion)? ?2\.0/i] },
+  { id: 'BSL-1.0', patterns: [/Boost Software License -? ?Version 1\.0/i] },
+  { id: 'Unlicense', patterns: [/This is free and unencumbered software released into the public domain/i] },
+  { id: 'CC0-1.0', patterns: [/CC0 1\.0 Universal/i] },
+  { id: 'ISC', patterns: [/Permission to use, copy, modify, and\/or distribute this software for any purpose with or without fee/i] },
+  { id: 'MIT', patterns: [/Permission is hereby granted, free of charge/i, /THE SOFTWARE IS PROVIDED "?AS IS"?/i] },
+  { id: 'BSD-3-Clause', patterns: [/Redistribution and use in source and binary forms/i, /(?:Neither the name|names of its contributors may be used to endorse)/i] },
+  { id: 'BSD-2-Clause', patterns: [/Redistribution and use in source and binary forms/i] },
+  { id: 'Zlib', patterns: [/provided 'as-is', without any express or implied warranty/i, /Altered source versions must be plainly marked/i] }
+];
+
+// Deprecated SPDX ids and their current equivalents
+const DEPRECATED_IDS = {
+  'GPL-2.0': 'GPL-2.0-only',
+  'GPL-2.0+': 'GPL-2.0-or-later',
+  'GPL-3.0': 'GPL-3.0-only',
+  'GPL-3.0+': 'GPL-3.0-or-later',
+  'LGPL-2.1': 'LGPL-2.1-only',
+  'LGPL-2.1+': 'LGPL-2.1-or-later',
+  'LGPL-3.0': 'LGPL-3.0-only',
+  'LGPL-3.0+': 'LGPL-3.0-or-later',
+  'AGPL-3.0': 'AGPL-3.0-only',
+  'AGPL-3.0+': 'AGPL-3.0-or-later'
+};
+
+const normalizeId = (id) => DEPRECATED_IDS[id] || id;
+
+const identifyLicenseText = (content) => {
+  const text = content.replace(/\s+/g, ' ');
+  const match = FINGERPRINTS.find(fingerprint => fingerprint.patterns.every(pattern => pattern.test(text)));
+  return match ? match.id : null;
+};
+
+/**
+ * Parse an SPDX expression (`MIT OR (Apache-2.0 AND BSD-3-Clause)`) into a
+ * tree of `{ id }`, `{ and: [...] }` and `{ or: [...] }` nodes. `WITH`
+ * exceptions are dropped. Returns null when the text is not an expression.
+ */
+const parseExpression = (expression) => {
+  const tokens = expression.replace(/([()])/g, ' $1 ').trim().split(/\s+/);
+  let position = 0;
+
+  const parseAtom = () => {
+    const token = tokens[position++];
+    if (token === '(') {
+      const inner = parseOr();
+      if (tokens[position++] !== ')') throw new Error('unbalanced parentheses');
+      return inner;
+    }
+    if (!token || /^(?:AND|OR|WITH|\))$/i.test(token)) throw new Error(`unexpected "${token || 'end'}"`);
+    if (/^WITH$/i.test(tokens[position] || '')) position += 2;
+    return { id: normalizeId(token) };
+  };
+  const parseList = (operator, parseOperand) => {
+    const operands = [parseOperand()];
+    while (new RegExp(`^${operator}$`, 'i').test(tokens[position] || '')) {
+      position++;
+      operands.push(parseOperand());
+    }
+    return operands.length === 1 ? operands[0] : { [operator.toLowerCase()]: operands };
+  };
+  const parseAnd = () => parseList('AND', parseAtom);
+  const parseOr = () => parseList('OR', parseAnd);
+
+  try {
+    const tree = parseOr();
+    return position === tokens.length ? tree : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const collectIds = (node) => (node.id ? [node.id] : (node.and || node.or).flatMap(collectIds));
+
+const satisfies = (node, acceptable) => {
+  if (node.id) return acceptable(node.id);
+  return node.and ? node.and.every(child => satisfies(child, acceptable)) : node.or.some(child => satisfies(child, acceptable));
+};
+
+const buildEntry = (license, fields) => {
+  const tree = license ? parseExpression(license) : null;
+  return { license, ids: tree ? collectIds(tree) : [], ...fields };
+};
+
+// `license` fields of the codebase's own package.json, pyproject.toml and Cargo.toml
+const readManifestLicense = (file) => {
+  const name = path.posix.basename(file.path);
+  try {
+    if (name === 'package.json') {
+      const manifest = JSON.parse(file.content);
+      if (typeof manifest.license === 'string') return manifest.license;
+      if (manifest.license && typeof manifest.license.type === 'string') return manifest.license.type;
+      // Legacy `licenses: [{ type }]`
+      if (Array.isArray(manifest.licenses)) {
+        const types = manifest.licenses.map(entry => (entry && entry.type) || entry).filter(type => typeof type === 'string');
+        return types.length > 0 ? types.join(' OR ') : null;
+      }
+      return null;
+    }
+    if (name === 'pyproject.toml') {
+      const toml = parseToml(file.content);
+      const license = (toml.project && toml.project.license) || (toml.tool && toml.tool.poetry && toml.tool.poetry.license);
+      if (typeof license === 'string') return license;
+      return license && typeof license.text === 'string' && license.text.length <= 100 ? license.text : null;
+    }
+    if (name === 'Cargo.toml') {
+      const toml = parseToml(file.content);
+      const license = toml.package && toml.package.license;
+      return typeof license === 'string' ? license : null;
+    }
+  } catch (error) {
+    // Manifest parse errors are reported by the dependency inventory
+  }
+  return null;
+};
+
+/**
+ * List every license found in the codebase.
+ * @param {Array} files - Analyzed `{ path, content }` files
+ * @param {Array} packages - `dependencies.packages` of the analysis
+ * @returns {Array<{ license, ids, source, path, package?, version?, dev? }>} `source` is
+ *   `file`, `header`, `manifest` or `dependency`; `license` is null for
+ *   license files whose text was not recognized
+ */
+const detectLicenses = (files, packages) => {
+  const inventory = [];
+
+  for (const file of files) {
+    if (LICENSE_FILE.test(path.posix.basename(file.path))) {
+      inventory.push(buildEntry(identifyLicenseText(file.content), { source: 'file', path: file.path }));
+      continue;
+    }
+
+    const license = readManifestLicense(file);
+    if (license) {
+      inventory.push(buildEntry(license, { source: 'manifest', path: file.path }));
+    }
+
+    const header = SPDX_HEADER.exec(file.content.split('\n', HEADER_LINES).join('\n'));
+    if (header) {
+      inventory.push(buildEntry(header[1], { source: 'header', path: file.path }));
+    }
+  }
+
+  for (const pkg of packages) {
+    if (!pkg.license) continue;
+    inventory.push(buildEntry(pkg.license, {
+      source: 'dependency',
+      path: pkg.lockfile || pkg.manifest,
+      package: pkg.name,
+      version: pkg.version,
+      dev: pkg.dev
+    }));
+  }
+
+  return inventory;
+};
+
+// Policy entries match ids case-insensitively; a trailing `*` matches a prefix
+const matchesList = (list, id) => list.some(entry => {
+  const pattern = normalizeId(entry).toLowerCase();
+  const candidate = id.toLowerCase();
+  return pattern.endsWith('*') ? candidate.startsWith(pattern.slice(0, -1)) : candidate === pattern;
+});
+
+const stringList = (value) => (Array.isArray(value) ? value.filter(entry => typeof entry === 'string' && entry) : []);
+
+/**
+ * Check the inventory against `{ allow, deny, includeDev }`. Denied ids
+ * always fail; with an allow list, every other id must be on it, and
+ * unrecognized licenses fail too. An `OR` expression passes when any of
+ * its choices does. Development dependencies are skipped unless
+ * `includeDev` is set.
+ * @returns {{ allow, deny, includeDev, passed, violations: Array }}
+ */
+const evaluateLicensePolicy = (inventory, policy) => {
+  const allow = stringList(policy.allow);
+  const deny = stringList(policy.deny);
+  const includeDev = policy.includeDev === true;
+
+  const acceptable = (id) => !matchesList(deny, id) && (allow.length === 0 || matchesList(allow, id));
+  const violations = [];
+
+  for (const entry of inventory) {
+    if (entry.source === 'dependency' && entry.dev && !includeDev) continue;
+
+    const tree = entry.license ? parseExpression(entry.license) : null;
+    if (!tree) {
+      if (allow.length > 0) {
+        violations.push({ ...entry, reason: 'unknown', licenses: entry.license ? [entry.license] : [] });
+      }
+      continue;
+    }
+    if (satisfies(tree, acceptable)) continue;
+
+    const failing = entry.ids.filter(id => !acceptable(id));
+    violations.push({
+      ...entry,
+      reason: failing.some(id => matchesList(deny, id)) ? 'denied' : 'not allowed',
+      licenses: failing
+    });
+  }
+
+  return { allow, deny, includeDev, passed: violations.length === 0, violations };
+};
+
+/**
+ * Count of inventory entries per SPDX id
+ */
+const countLicenses = (inventory) => {
+  const counts = {};
+  for (const entry of inventory) {
+    const ids = entry.ids.length > 0 ? entry.ids : [entry.license || 'UNKNOWN'];
+    for (const id of ids) {
+      counts[id] = (counts[id] || 0) + 1;
+    }
+  }
+  return counts;
+};
+
+module.exports = {
+  countLicenses,
+  detectLicenses,
+  evaluateLicensePolicy,
+  identifyLicenseText,
+  parseExpression
+};
@@ -0,0 +1,166 @@
+/**
+ * Line Classifier Service
+ * Splits a file's lines into code, comment and blank lines using the
+ * comment and string syntax of its language
+ */
+
+const { SYNTAX } = require('./languages');
+
+const NO_SYNTAX = { lineComments: [], blockComments: [], strings: [] };
+
+const isWhitespace = (ch) => ch === ' ' || ch === '\t' || ch === '\f' || ch === '\v';
+
+/**
+ * Walk `content` line by line with the comment and string syntax of
+ * `language`, calling `visit(rawLine, { hasCode, hasComment, comments })`
+ * for each line. `comments` holds the `[start, end)` column ranges of
+ * comment text; docstrings count as comments for `hasComment` but stay
+ * out of `comments` since they are strings to the language.
+ */
+const lexLines = (content, language, visit) => {
+  const syntax = SYNTAX[language] || NO_SYNTAX;
+
+  // Lexer state carried across lines: an open block comment or string
+  let state = null;
+
+  for (const rawLine of content.split('\n')) {
+    const line = rawLine.endsWith('\r') ? rawLine.slice(0, -1) : rawLine;
+    const comments = [];
+    let hasCode = false;
+    let hasComment = false;
+    let i = 0;
+
+    const markComment = (start, end) => {
+      const last = comments[comments.length - 1];
+      if (last && last[1] === start) last[1] = end;
+      else comments.push([start, end]);
+    };
+
+    while (i < line.length) {
+      const ch = line[i];
+
+      if (state && state.type === 'block') {
+        const { comment } = state;
+        const start = i;
+        if (comment.nested && line.startsWith(comment.open, i)) {
+          state.depth++;
+          i += comment.open.length;
+        } else if (line.startsWith(comment.close, i) && (!comment.lineStart || i === 0)) {
+          state.depth--;
+          i += comment.close.length;
+          if (state.depth === 0) state = null;
+        } else {
+          i++;
+        }
+        markComment(start, i);
+        if (!isWhitespace(ch)) hasComment = true;
+        continue;
+      }
+
+      if (state && state.type === 'string') {
+        const { literal } = state;
+        if (!isWhitespace(ch)) {
+          if (state.docstring) hasComment = true;
+          else hasCode = true;
+        }
+        if (literal.escape && ch === literal.escape) {
+          i += 2;
+        } else if (line.startsWith(literal.close || literal.delimiter, i)) {
+          i += (literal.close || literal.delimiter).length;
+          state = null;
+        } else {
+          i++;
+        }
+        continue;
+      }
+
+      if (isWhitespace(ch)) {
+        i++;
+        continue;
+      }
+
+      const lineComment = syntax.lineComments.find(comment =>
+        line.startsWith(comment.marker, i) && (!comment.afterSpace || i === 0 || isWhitespace(line[i - 1])));
+      if (lineComment) {
+        hasComment = true;
+        markComment(i, line.length);
+        break;
+      }
+
+      const blockComment = syntax.blockComments.find(comment =>
+        line.startsWith(comment.open, i) && (!comment.lineStart || i === 0));
+      if (blockComment) {
+        state = { type: 'block', comment: blockComment, depth: 1 };
+        hasComment = true;
+        markComment(i, i + blockComment.open.length);
+        i += blockComment.open.length;
+        continue;
+      }
+
+      const literal = syntax.strings.find(str => line.startsWith(str.delimiter, i));
+      if (literal) {
+        const docstring = Boolean(literal.docstring) && !hasCode;
+        state = { type: 'string', literal, docstring };
+        if (docstring) hasComment = true;
+        else hasCode = true;
+        i += literal.delimiter.length;
+        continue;
+      }
+
+      hasCode = true;
+      i++;
+    }
+
+    // Single-line literals cannot run past the end of the line
+    if (state && state.type === 'string' && !state.literal.multiline) {
+      state = null;
+    }
+
+    visit(rawLine, { hasCode, hasComment, comments });
+  }
+};
+
+/**
+ * Classify every line of `content`. A line holding any code counts as
+ * code, even with a trailing comment; a line holding only comment text
+ * (including docstrings) counts as a comment; whitespace-only lines are
+ * blank. The three counts always add up to the number of lines.
+ */
+const classifyLines = (content, language) => {
+  const counts = { codeLines: 0, commentLines: 0, blankLines: 0 };
+
+  lexLines(content, language, (line, { hasCode, hasComment }) => {
+    if (hasCode) {
+      counts.codeLines++;
+    } else if (hasComment) {
+      counts.commentLines++;
+    } else {
+      counts.blankLines++;
+    }
+  });
+
+  return counts;
+};
+
+/**
+ * `content` with comment text replaced by spaces, so pattern checks can
+ * run on code and strings only. Lines and columns are unchanged.
+ */
+const maskComments = (content, language) => {
+  const masked = [];
+
+  lexLines(content, language, (line, { comments }) => {
+    let result = line;
+    for (const [start, end] of comments) {
+      result = result.slice(0, start) + ' '.repeat(end - start) + result.slice(end);
+    }
+    masked.push(result);
+  });
+
+  return masked.join('\n');
+};
+
+module.exports = {
+  classifyLines,
+  maskComments
+};
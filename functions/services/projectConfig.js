@@ -0,0 +1,37 @@
+/**
+ * Project Config Service
+ * Reads the optional `.codeanalyzer.json` file at the root of a submitted
+ * codebase
+ */
+
+const { normalizePath } = require('./dependencyGraph');
+
+const CONFIG_FILE = '.codeanalyzer.json';
+
+/**
+ * Find and parse the root config file.
+ * @param {Array} files - Submitted `{ path, content }` files
+ * @returns {{ config: Object, source: string|null, error: string|null }}
+ *   `config` is empty when there is no file or it is not a JSON object
+ */
+const readProjectConfig = (files) => {
+  const file = files.find(entry => normalizePath(entry.path) === CONFIG_FILE);
+  if (!file) {
+    return { config: {}, source: null, error: null };
+  }
+
+  try {
+    const config = JSON.parse(file.content);
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      return { config: {}, source: CONFIG_FILE, error: 'expected a JSON object' };
+    }
+    return { config, source: CONFIG_FILE, error: null };
+  } catch (error) {
+    return { config: {}, source: CONFIG_FILE, error: error.message };
+  }
+};
+
+module.exports = {
+  CONFIG_FILE,
+  readProjectConfig
+};
@@ -0,0 +1,216 @@
+/**
+ * Quality Gate Service
+ * Checks an analysis against configurable thresholds and returns a
+ * pass/fail verdict with the offending files
+ */
+
+const { SYNTAX } = require('./languages');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const commentRatio = (codeLines, commentLines) => (codeLines > 0 ? round(commentLines / codeLines) : 0);
+
+// Data formats like JSON cannot hold comments and would drag the ratio down
+const canHaveComments = (file) => {
+  const syntax = SYNTAX[file.language];
+  return Boolean(syntax && (syntax.lineComments.length > 0 || syntax.blockComments.length > 0));
+};
+
+// Highest per-function score in a file, or 0 without parsed functions
+const maxFunctionScore = (key) => (file) =>
+  (file.functions || []).reduce((max, fn) => Math.max(max, fn.complexity[key]), 0);
+
+/**
+ * Per-file rules: a file fails when its value is above the threshold
+ */
+const FILE_RULES = {
+  maxFileSize: { describe: 'bytes', measure: file => file.size },
+  maxFileLines: { describe: 'lines', measure: file => file.lines },
+  maxFunctionsPerFile: { describe: 'functions', measure: file => (file.metrics ? file.metrics.functionCount : 0) },
+  maxCyclomatic: { describe: 'cyclomatic complexity in one function', measure: maxFunctionScore('cyclomatic') },
+  maxCognitive: { describe: 'cognitive complexity in one function', measure: maxFunctionScore('cognitive') }
+};
+
+/**
+ * Project rules: each returns `{ actual, passed, message, files? }` for a threshold
+ */
+const PROJECT_RULES = {
+  // Comment lines per code line across files that support comments; the
+  // offending files are those below the ratio on their own
+  minCommentRatio: (analysis, threshold) => {
+    const commentable = analysis.files.filter(canHaveComments);
+    const codeLines = commentable.reduce((total, file) => total + (file.codeLines || 0), 0);
+    const commentLines = commentable.reduce((total, file) => total + (file.commentLines || 0), 0);
+    const actual = commentRatio(codeLines, commentLines);
+    return {
+      actual,
+      passed: actual >= threshold,
+      message: `Comment ratio ${actual} is below the minimum of ${threshold}`,
+      files: commentable
+        .filter(file => file.codeLines > 0)
+        .map(file => ({ path: file.path, value: commentRatio(file.codeLines, file.commentLines) }))
+        .filter(file => file.value < threshold)
+        .sort((a, b) => a.value - b.value)
+    };
+  },
+  maxWarnings: (analysis, threshold) => {
+    const actual = analysis.insights.filter(insight => insight.type === 'warning').length;
+    return { actual, passed: actual <= threshold, message: `${actual} warning(s) exceed the limit of ${threshold}` };
+  },
+  maxCycles: (analysis, threshold) => {
+    const actual = analysis.cycles.length;
+    return { actual, passed: actual <= threshold, message: `${actual} circular import chain(s) exceed the limit of ${threshold}` };
+  },
+  maxSecrets: (analysis, threshold) => {
+    const secrets = analysis.secrets || [];
+    return {
+      actual: secrets.length,
+      passed: secrets.length <= threshold,
+      message: `${secrets.length} possible secret(s) found, above the limit of ${threshold}`,
+      files: secrets.map(secret => ({ path: secret.path, value: `${secret.type} at line ${secret.line}` }))
+    };
+  },
+  maxSecurityIssues: (analysis, threshold) => {
+    const issues = analysis.security || [];
+    return {
+      actual: issues.length,
+      passed: issues.length <= threshold,
+      message: `${issues.length} security issue(s) found, above the limit of ${threshold}`,
+      files: issues.map(issue => ({ path: issue.path, value: `${issue.ruleId} (${issue.cwe}) at line ${issue.line}` }))
+    };
+  },
+  maxVulnerabilities: (analysis, threshold) => {
+    const vulnerabilities = analysis.vulnerabilities || [];
+    return {
+      actual: vulnerabilities.length,
+      passed: vulnerabilities.length <= threshold,
+      message: `${vulnerabilities.length} vulnerable dependency version(s) found, above the limit of ${threshold}`,
+      files: vulnerabilities.map(vulnerability => ({
+        path: vulnerability.manifest,
+        value: `${vulnerability.package} ${vulnerability.version}: ${vulnerability.id}`
+      }))
+    };
+  },
+  maxLicenseViolations: (analysis, threshold) => {
+    const violations = (analysis.licenses && analysis.licenses.policy) ? analysis.licenses.policy.violations : [];
+    return {
+      actual: violations.length,
+      passed: violations.length <= threshold,
+      message: `${violations.length} license policy violation(s) found, above the limit of ${threshold}`,
+      files: violations.map(violation => ({
+        path: violation.path,
+        value: violation.package ? `${violation.package}: ${violation.license}` : `${violation.license || 'unrecognized license'}`
+      }))
+    };
+  },
+  maxDuplication: (analysis, threshold) => {
+    const duplication = analysis.statistics.duplication;
+    const actual = duplication ? duplication.percentage : 0;
+    return {
+      actual,
+      passed: actual <= threshold,
+      message: `${actual}% of lines are duplicated, above the limit of ${threshold}%`,
+      files: (analysis.clones || []).map(clone => ({
+        path: clone.occurrences[0].path,
+        value: `${clone.lines} line(s) repeated in ${clone.occurrences.map(o => `${o.path}:${o.startLine}`).join(', ')}`
+      }))
+    };
+  },
+  maxParseErrors: (analysis, threshold) => {
+    const files = analysis.files.filter(file => file.parseError);
+    return {
+      actual: files.length,
+      passed: files.length <= threshold,
+      message: `${files.length} file(s) could not be parsed, above the limit of ${threshold}`,
+      files: files.map(file => ({ path: file.path, value: file.parseError.message }))
+    };
+  }
+};
+
+// Rule names come from user config, so inherited names like `toString`
+// must not count as rules
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+const isFileRule = (rule) => hasOwn(FILE_RULES, rule);
+
+const isKnownRule = (rule) => isFileRule(rule) || hasOwn(PROJECT_RULES, rule);
+
+/**
+ * Split raw rule settings into valid thresholds and ignored entries
+ */
+const validateRules = (rules) => {
+  const valid = {};
+  const ignored = [];
+
+  for (const [rule, threshold] of Object.entries(rules || {})) {
+    if (!isKnownRule(rule)) {
+      ignored.push({ rule, reason: 'unknown rule' });
+    } else if (typeof threshold !== 'number' || !Number.isFinite(threshold) || threshold < 0) {
+      ignored.push({ rule, reason: 'threshold must be a non-negative number' });
+    } else {
+      valid[rule] = threshold;
+    }
+  }
+
+  return { valid, ignored };
+};
+
+const checkFileRule = (analysis, rule, threshold) => {
+  const { describe, measure } = FILE_RULES[rule];
+  const files = analysis.files
+    .map(file => ({ path: file.path, value: measure(file) }))
+    .filter(file => file.value > threshold)
+    .sort((a, b) => b.value - a.value);
+
+  if (files.length === 0) return null;
+  return {
+    rule,
+    threshold,
+    actual: files[0].value,
+    message: `${files.length} file(s) exceed ${threshold} ${describe}`,
+    files
+  };
+};
+
+const checkProjectRule = (analysis, rule, threshold) => {
+  const { actual, passed, message, files } = PROJECT_RULES[rule](analysis, threshold);
+  if (passed) return null;
+  return {
+    rule,
+    threshold,
+    actual,
+    message,
+    files: files || []
+  };
+};
+
+/**
+ * Evaluate the gate for a finished analysis.
+ * @param {Object} analysis - The analysis, including its insights
+ * @param {Object} rules - Thresholds by rule name, e.g. `{ maxFileSize: 50000 }`
+ * @returns {{ passed: boolean, rules: Object, failures: Array, ignored: Array }}
+ */
+const evaluateGate = (analysis, rules) => {
+  const { valid, ignored } = validateRules(rules);
+  const failures = [];
+
+  for (const [rule, threshold] of Object.entries(valid)) {
+    const failure = isFileRule(rule)
+      ? checkFileRule(analysis, rule, threshold)
+      : checkProjectRule(analysis, rule, threshold);
+    if (failure) failures.push(failure);
+  }
+
+  return {
+    passed: failures.length === 0,
+    rules: valid,
+    failures,
+    ignored
+  };
+};
+
+module.exports = {
+  FILE_RULES,
+  PROJECT_RULES,
+  evaluateGate
+};
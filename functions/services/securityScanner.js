@@ -0,0 +1,384 @@
+/**
+ * Security Scanner Service
+ * Static checks for common vulnerability patterns: syntax-tree checks for
+ * JavaScript/TypeScript and source pattern checks for Python
+ */
+
+const { walk, getNodeName } = require('./astUtils');
+const { maskComments } = require('./lineClassifier');
+
+/**
+ * Every check, with its default severity and CWE reference
+ */
+const SECURITY_RULES = {
+  'js-eval': { severity: 'error', cwe: 'CWE-95', title: 'Dynamic code evaluation with eval, new Function or string timers' },
+  'js-command-injection': { severity: 'error', cwe: 'CWE-78', title: 'Shell command built from dynamic input in child_process.exec' },
+  'js-sql-injection': { severity: 'error', cwe: 'CWE-89', title: 'SQL query built by string concatenation or interpolation' },
+  'js-tls-disabled': { severity: 'error', cwe: 'CWE-295', title: 'TLS certificate verification disabled' },
+  'js-html-injection': { severity: 'warning', cwe: 'CWE-79', title: 'Dynamic HTML written with innerHTML, outerHTML or insertAdjacentHTML' },
+  'js-weak-hash': { severity: 'warning', cwe: 'CWE-328', title: 'Weak hash algorithm (MD5/SHA-1)' },
+  'py-eval': { severity: 'error', cwe: 'CWE-95', title: 'Dynamic code evaluation with eval or exec' },
+  'py-unsafe-deserialization': { severity: 'error', cwe: 'CWE-502', title: 'Untrusted data deserialized with pickle, marshal or yaml.load' },
+  'py-command-injection': { severity: 'error', cwe: 'CWE-78', title: 'Shell command run with shell=True or os.system' },
+  'py-sql-injection': { severity: 'error', cwe: 'CWE-89', title: 'SQL query built by string formatting' },
+  'py-tls-disabled': { severity: 'error', cwe: 'CWE-295', title: 'TLS certificate verification disabled' },
+  'py-weak-hash': { severity: 'warning', cwe: 'CWE-328', title: 'Weak hash algorithm (MD5/SHA-1)' }
+};
+
+// Uppercase SQL anywhere, or a full lowercase statement at the start, so
+// prose like "select a file from the list" is not taken for a query
+const SQL_KEYWORDS = /\b(?:SELECT\s[\s\S]*?\sFROM|INSERT\s+INTO|UPDATE\s+\S+\s+SET|DELETE\s+FROM|DROP\s+TABLE)\b/;
+const SQL_STATEMENT = /^\s*(?:select\s[\s\S]*?\sfrom\s+\S+\s+where|insert\s+into\s+\S+\s*\(|update\s+\S+\s+set\s|delete\s+from\s+\S+\s+where)\b/i;
+const looksLikeSql = (text) => SQL_KEYWORDS.test(text) || SQL_STATEMENT.test(text);
+
+const WEAK_HASHES = new Set(['md5', 'sha1', 'sha-1', 'md4']);
+const PASSWORD_HINT = /passw(?:or)?d|pwd/i;
+
+const finding = (ruleId, line, column, message) => ({
+  ruleId,
+  severity: SECURITY_RULES[ruleId].severity,
+  cwe: SECURITY_RULES[ruleId].cwe,
+  line,
+  column,
+  message
+});
+
+const nodeFinding = (ruleId, node, message) =>
+  finding(ruleId, node.loc.start.line, node.loc.start.column + 1, message);
+
+// ==================== JavaScript / TypeScript ====================
+
+const isStaticString = (node) => node.type === 'StringLiteral' ||
+  (node.type === 'TemplateLiteral' && node.expressions.length === 0);
+
+// Leftmost-first flattening of `a + b + c` string concatenations
+const flattenConcatenation = (node) => (node.type === 'BinaryExpression' && node.operator === '+'
+  ? [...flattenConcatenation(node.left), ...flattenConcatenation(node.right)]
+  : [node]);
+
+/**
+ * Static text and whether any part is dynamic, for concatenations and
+ * template literals; null for anything else
+ */
+const describeStringBuild = (node) => {
+  if (node.type === 'TemplateLiteral') {
+    return {
+      text: node.quasis.map(quasi => quasi.value.cooked || '').join(' '),
+      dynamic: node.expressions.length > 0
+    };
+  }
+  if (node.type === 'BinaryExpression' && node.operator === '+') {
+    const parts = flattenConcatenation(node);
+    if (!parts.some(isStaticString)) return null;
+    return {
+      text: parts.filter(isStaticString).map(part => (part.type === 'StringLiteral'
+        ? part.value
+        : part.quasis[0].value.cooked)).join(' '),
+      dynamic: parts.some(part => !isStaticString(part))
+    };
+  }
+  return null;
+};
+
+const isDynamicString = (node) => {
+  const build = describeStringBuild(node);
+  return Boolean(build && build.dynamic);
+};
+
+const requiredModule = (node) => (node && node.type === 'CallExpression' &&
+  node.callee.type === 'Identifier' && node.callee.name === 'require' &&
+  node.arguments[0] && node.arguments[0].type === 'StringLiteral'
+  ? node.arguments[0].value
+  : null);
+
+const isChildProcessModule = (source) => source === 'child_process' || source === 'node:child_process';
+
+/**
+ * Names bound to the child_process module and to its exec functions, and
+ * `const` names holding a plain string
+ */
+const collectChildProcessBindings = (ast) => {
+  const modules = new Set();
+  const execFunctions = new Set();
+  const staticStrings = new Set();
+
+  walk(ast, node => {
+    if (node.type === 'VariableDeclaration' && node.kind === 'const') {
+      for (const declarator of node.declarations) {
+        if (declarator.id.type === 'Identifier' && declarator.init && isStaticString(declarator.init)) {
+          staticStrings.add(declarator.id.name);
+        }
+      }
+    }
+
+    if (node.type === 'ImportDeclaration' && isChildProcessModule(node.source.value)) {
+      for (const specifier of node.specifiers) {
+        if (specifier.type === 'ImportSpecifier') {
+          const imported = getNodeName(specifier.imported);
+          if (imported === 'exec' || imported === 'execSync') execFunctions.add(specifier.local.name);
+        } else {
+          modules.add(specifier.local.name);
+        }
+      }
+    }
+
+    if (node.type === 'VariableDeclarator' && isChildProcessModule(requiredModule(node.init))) {
+      if (node.id.type === 'Identifier') {
+        modules.add(node.id.name);
+      } else if (node.id.type === 'ObjectPattern') {
+        for (const property of node.id.properties) {
+          const key = property.key && getNodeName(property.key);
+          if ((key === 'exec' || key === 'execSync') && property.value.type === 'Identifier') {
+            execFunctions.add(property.value.name);
+          }
+        }
+      }
+    }
+  });
+
+  return { modules, execFunctions, staticStrings };
+};
+
+const isChildProcessExec = (callee, bindings) => {
+  if (callee.type === 'Identifier') {
+    return bindings.execFunctions.has(callee.name);
+  }
+  if (callee.type === 'MemberExpression' && !callee.computed) {
+    const method = getNodeName(callee.property);
+    if (method !== 'exec' && method !== 'execSync') return false;
+    return (callee.object.type === 'Identifier' && bindings.modules.has(callee.object.name)) ||
+      isChildProcessModule(requiredModule(callee.object));
+  }
+  return false;
+};
+
+// A command built in place, or held in a variable that is not a constant
+// string (`const cmd = \`ls ${dir}\`; exec(cmd)`)
+const isDynamicCommand = (node, bindings) => isDynamicString(node) ||
+  (node.type === 'Identifier' && !bindings.staticStrings.has(node.name));
+
+const checkCall = (node, bindings, lines, findings) => {
+  const calleeName = getNodeName(node.callee);
+  const [firstArgument] = node.arguments;
+
+  if (node.type === 'NewExpression') {
+    if (calleeName === 'Function') {
+      findings.push(nodeFinding('js-eval', node, 'new Function() compiles code from a string'));
+    }
+    return;
+  }
+
+  if (calleeName === 'eval' || calleeName === 'window.eval' || calleeName === 'globalThis.eval') {
+    findings.push(nodeFinding('js-eval', node, 'eval() runs arbitrary code'));
+    return;
+  }
+
+  if ((calleeName === 'setTimeout' || calleeName === 'setInterval') && firstArgument &&
+      (firstArgument.type === 'StringLiteral' || firstArgument.type === 'TemplateLiteral' || isDynamicString(firstArgument))) {
+    findings.push(nodeFinding('js-eval', node, `${calleeName}() with a string argument evaluates it as code`));
+    return;
+  }
+
+  if (firstArgument && isChildProcessExec(node.callee, bindings) && isDynamicCommand(firstArgument, bindings)) {
+    findings.push(nodeFinding('js-command-injection', node,
+      'exec() runs a shell command built from dynamic values; use execFile/spawn with an argument array'));
+    return;
+  }
+
+  if (calleeName && /(^|\.)insertAdjacentHTML$/.test(calleeName) && node.arguments[1] && !isStaticString(node.arguments[1])) {
+    findings.push(nodeFinding('js-html-injection', node, 'insertAdjacentHTML() with dynamic content'));
+    return;
+  }
+
+  if (calleeName && /(^|\.)createHash$/.test(calleeName) && firstArgument &&
+      firstArgument.type === 'StringLiteral' && WEAK_HASHES.has(firstArgument.value.toLowerCase())) {
+    const line = lines[node.loc.start.line - 1] || '';
+    const forPasswords = PASSWORD_HINT.test(line);
+    const result = nodeFinding('js-weak-hash', node, forPasswords
+      ? `${firstArgument.value} is not suitable for hashing passwords; use bcrypt, scrypt or argon2`
+      : `${firstArgument.value} is a weak hash algorithm`);
+    if (forPasswords) result.severity = 'error';
+    findings.push(result);
+  }
+};
+
+const scanJavaScript = (ast, content) => {
+  const lines = content.split('\n');
+  const findings = [];
+  const bindings = collectChildProcessBindings(ast);
+
+  walk(ast, node => {
+    switch (node.type) {
+      case 'CallExpression':
+      case 'OptionalCallExpression':
+      case 'NewExpression':
+        checkCall(node, bindings, lines, findings);
+        break;
+
+      case 'BinaryExpression':
+      case 'TemplateLiteral': {
+        const build = describeStringBuild(node);
+        if (build && build.dynamic && looksLikeSql(build.text)) {
+          findings.push(nodeFinding('js-sql-injection', node,
+            'SQL built from dynamic values; use parameterized queries'));
+          // The nested parts of this concatenation are the same query
+          return false;
+        }
+        break;
+      }
+
+      case 'ObjectProperty': {
+        const key = getNodeName(node.key);
+        if (key === 'rejectUnauthorized' && node.value.type === 'BooleanLiteral' && node.value.value === false) {
+          findings.push(nodeFinding('js-tls-disabled', node, 'rejectUnauthorized: false accepts any certificate'));
+        }
+        break;
+      }
+
+      case 'AssignmentExpression': {
+        const target = getNodeName(node.left) || '';
+        if (/(^|\.)(innerHTML|outerHTML)$/.test(target) && !isStaticString(node.right)) {
+          findings.push(nodeFinding('js-html-injection', node,
+            `${target.split('.').pop()} is assigned dynamic content; use textContent or sanitize it`));
+        }
+        if (/NODE_TLS_REJECT_UNAUTHORIZED$/.test(target) &&
+            ((node.right.type === 'StringLiteral' && node.right.value === '0') ||
+             (node.right.type === 'NumericLiteral' && node.right.value === 0))) {
+          findings.push(nodeFinding('js-tls-disabled', node,
+            'NODE_TLS_REJECT_UNAUTHORIZED=0 disables certificate checks for the whole process'));
+        }
+        break;
+      }
+
+      default:
+        break;
+    }
+    return undefined;
+  });
+
+  return findings;
+};
+
+// ==================== Python ====================
+
+/**
+ * Source pattern checks. `inCall` patterns end at an opening parenthesis
+ * and `test` receives the call's argument text.
+ */
+const PYTHON_CHECKS = [
+  { ruleId: 'py-eval', pattern: /(?<![\w.])(eval|exec)\s*\(/g, message: match => `${match[1]}() runs arbitrary code` },
+  {
+    ruleId: 'py-unsafe-deserialization',
+    pattern: /\b(pickle|cPickle|dill|marshal)\.loads?\s*\(/g,
+    message: match => `${match[1]}.load() can execute code from untrusted data`
+  },
+  {
+    ruleId: 'py-unsafe-deserialization',
+    pattern: /\byaml\.load\s*\(/g,
+    inCall: true,
+    test: args => !/Loader\s*=\s*(?:yaml\.)?(?:Safe|CSafe)Loader/.test(args),
+    message: () => 'yaml.load() without SafeLoader can construct arbitrary objects'
+  },
+  {
+    ruleId: 'py-command-injection',
+    pattern: /\bsubprocess\.(?:run|call|check_call|check_output|Popen)\s*\(/g,
+    inCall: true,
+    test: args => /\bshell\s*=\s*True\b/.test(args),
+    message: () => 'subprocess with shell=True runs the command through the shell'
+  },
+  {
+    ruleId: 'py-command-injection',
+    pattern: /\bos\.(system|popen)\s*\(/g,
+    message: match => `os.${match[1]}() runs the command through the shell`
+  },
+  {
+    ruleId: 'py-sql-injection',
+    pattern: /\.(?:execute|executemany|raw)\s*\(/g,
+    inCall: true,
+    test: args => looksLikeSql(args.replace(/^\s*[rbuf]*["']+/i, '')) &&
+      (/^\s*[rbu]*f["']/i.test(args) || /["']\s*(?:%|\+)/.test(args) || /["']\s*\.format\s*\(/.test(args)),
+    message: () => 'SQL built by string formatting; pass parameters to execute() instead'
+  },
+  {
+    ruleId: 'py-tls-disabled',
+    pattern: /\bverify\s*=\s*False\b|\bssl\._create_unverified_context\b|\bCERT_NONE\b/g,
+    message: () => 'TLS certificate verification is disabled'
+  },
+  {
+    ruleId: 'py-weak-hash',
+    pattern: /\bhashlib\.(md5|sha1)\s*\(|\bhashlib\.new\s*\(\s*["'](md5|sha1)["']/gi,
+    message: (match, line) => PASSWORD_HINT.test(line)
+      ? `${match[1] || match[2]} is not suitable for hashing passwords; use bcrypt, scrypt or argon2`
+      : `${match[1] || match[2]} is a weak hash algorithm`,
+    escalate: line => PASSWORD_HINT.test(line)
+  }
+];
+
+// Text between the parenthesis ending at `openIndex` and its match
+const readCallArguments = (content, openIndex) => {
+  let depth = 0;
+  const limit = Math.min(content.length, openIndex + 2000);
+  for (let i = openIndex; i < limit; i++) {
+    if (content[i] === '(') depth++;
+    if (content[i] === ')' && --depth === 0) return content.slice(openIndex + 1, i);
+  }
+  return content.slice(openIndex + 1, limit);
+};
+
+const scanPython = (content) => {
+  const findings = [];
+  // Checks run on code and strings only; messages quote the original line
+  const code = maskComments(content, 'Python');
+  const lineStarts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === '\n') lineStarts.push(i + 1);
+  }
+  const lineOf = (index) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (lineStarts[mid] <= index) low = mid; else high = mid - 1;
+    }
+    return low;
+  };
+
+  for (const check of PYTHON_CHECKS) {
+    check.pattern.lastIndex = 0;
+    let match;
+    while ((match = check.pattern.exec(code)) !== null) {
+      const lineIndex = lineOf(match.index);
+      const lineStart = lineStarts[lineIndex];
+      const lineEnd = content.indexOf('\n', lineStart);
+      const line = content.slice(lineStart, lineEnd === -1 ? content.length : lineEnd);
+      const column = match.index - lineStart;
+
+      if (check.inCall && !check.test(readCallArguments(code, match.index + match[0].length - 1))) continue;
+
+      const result = finding(check.ruleId, lineIndex + 1, column + 1, check.message(match, line));
+      if (check.escalate && check.escalate(line)) result.severity = 'error';
+      findings.push(result);
+    }
+  }
+
+  return findings.sort((a, b) => a.line - b.line || a.column - b.column);
+};
+
+/**
+ * Run the checks that apply to a file.
+ * @param {Object} file
+ * @param {string} file.language - Detected language
+ * @param {string} file.content
+ * @param {Object} [file.ast] - Babel AST for JavaScript/TypeScript files
+ * @returns {Array<{ ruleId, severity, cwe, line, column, message }>}
+ */
+const scanSecurity = ({ language, content, ast }) => {
+  if (ast) return scanJavaScript(ast, content);
+  if (language === 'Python') return scanPython(content);
+  return [];
+};
+
+module.exports = {
+  SECURITY_RULES,
+  scanSecurity
+};
@@ -0,0 +1,146 @@
+/**
+ * Archive Upload Middleware
+ * Accepts a .zip/.tar.gz upload (multipart or raw binary body) and turns
+ * it into the `codebase` array the analysis routes expect
+ */
+
+const busboy = require('busboy');
+const { extractArchive, ArchiveError } = require('../services/archiveExtractor');
+
+const MAX_UPLOAD_SIZE = 50 * 1024 * 1024;
+
+const ARCHIVE_CONTENT_TYPES = [
+  'application/zip',
+  'application/x-zip-compressed',
+  'application/gzip',
+  'application/x-gzip',
+  'application/x-tar',
+  'application/x-gtar',
+  'application/octet-stream'
+];
+
+// Read a raw request body into a Buffer, enforcing the upload limit
+const readRawBody = (req) => new Promise((resolve, reject) => {
+  // Firebase Functions have already buffered the body
+  if (req.rawBody) {
+    if (req.rawBody.length > MAX_UPLOAD_SIZE) {
+      return reject(new ArchiveError('Upload exceeds the 50mb limit', 413));
+    }
+    return resolve(req.rawBody);
+  }
+
+  const chunks = [];
+  let received = 0;
+  req.on('data', chunk => {
+    received += chunk.length;
+    if (received > MAX_UPLOAD_SIZE) {
+      req.destroy();
+      reject(new ArchiveError('Upload exceeds the 50mb limit', 413));
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+  req.on('error', reject);
+});
+
+// Parse multipart/form-data: the first file part is the archive, an
+// optional `options` field holds JSON analysis options
+const readMultipart = (req) => new Promise((resolve, reject) => {
+  let parser;
+  try {
+    parser = busboy({ headers: req.headers, limits: { files: 1, fileSize: MAX_UPLOAD_SIZE } });
+  } catch (error) {
+    return reject(new ArchiveError(error.message));
+  }
+
+  const fields = {};
+  let archive = null;
+
+  parser.on('file', (name, stream) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('limit', () => reject(new ArchiveError('Upload exceeds the 50mb limit', 413)));
+    stream.on('end', () => {
+      archive = Buffer.concat(chunks);
+    });
+  });
+  parser.on('field', (name, value) => {
+    fields[name] = value;
+  });
+  parser.on('error', error => reject(new ArchiveError(error.message)));
+  parser.on('close', () => resolve({ archive, fields }));
+
+  if (req.rawBody) {
+    parser.end(req.rawBody);
+  } else {
+    req.pipe(parser);
+  }
+});
+
+/**
+ * Middleware: for archive uploads, replaces `req.body` with
+ * `{ codebase, options, projectName, projectId, save }` and sets `req.archive` to
+ * `{ format, extracted, skipped }`. JSON requests pass through untouched.
+ */
+const parseArchiveUpload = async (req, res, next) => {
+  const isMultipart = req.is('multipart/form-data');
+  const isRawArchive = req.is(ARCHIVE_CONTENT_TYPES);
+
+  if (!isMultipart && !isRawArchive) {
+    return next();
+  }
+
+  try {
+    let buffer;
+    let options;
+    let fields = {};
+
+    if (isMultipart) {
+      const upload = await readMultipart(req);
+      const { archive } = upload;
+      fields = upload.fields;
+      if (!archive) {
+        throw new ArchiveError('No archive file found in the multipart upload');
+      }
+      buffer = archive;
+      if (fields.options) {
+        try {
+          options = JSON.parse(fields.options);
+        } catch (error) {
+          throw new ArchiveError('The options field must be valid JSON');
+        }
+      }
+      if (fields.format) {
+        req.query.format = req.query.format || fields.format;
+      }
+    } else {
+      buffer = await readRawBody(req);
+    }
+
+    const { format, files, skipped } = extractArchive(buffer);
+
+    req.body = {
+      codebase: files,
+      options,
+      projectName: fields.projectName,
+      projectId: fields.projectId,
+      save: fields.save === 'false' ? false : undefined
+    };
+    req.archive = { format, extracted: files.length, skipped };
+    next();
+  } catch (error) {
+    if (error instanceof ArchiveError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: 'Invalid archive',
+        message: error.message
+      });
+    }
+    next(error);
+  }
+};
+
+module.exports = {
+  parseArchiveUpload
+};
@@ -12,16 +12,38 @@ app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
 // Import analysis service
 const { analyzeCodebase } = require('./services/codebaseAnalyzer');
+const { toDot } = require('./services/dependencyGraph');
+const { validateFilterOptions } = require('./services/fileFilter');
+const { listRules } = require('./services/ruleEngine');
+const { toSarif } = require('./services/sarifFormatter');
+const { renderHtmlReport } = require('./services/htmlReport');
+const { parseArchiveUpload } = require('./middleware/archiveUpload');
+
+// ?format=sarif, or an Accept header that prefers SARIF over JSON
+const wantsSarif = (req) => {
+  if (req.query.format) {
+    return req.query.format.toLowerCase() === 'sarif';
+  }
+  return req.accepts(['application/json', 'application/sarif+json']) === 'application/sarif+json';
+};
+
+const sendSarif = (res, analysis) => {
+  res.type('application/sarif+json').send(JSON.stringify(toSarif(analysis), null, 2));
+};
+
+const sendHtmlReport = (res, analysis, title) => {
+  res.type('html').send(renderHtmlReport(analysis, { title }));
+};
 
 // Routes
 app.get('/', (req, res) => {
   res.json({ message: 'Codebase Analyzer API is running' });
 });
 
-// Main endpoint for codebase analysis
-app.post('/api/analyze', async (req, res) => {
+// Main endpoint for codebase analysis (?format=sarif for a SARIF log, ?format=html for a report page)
+app.post('/api/analyze', parseArchiveUpload, async (req, res) => {
   try {
-    const { codebase } = req.body;
+    const { codebase, options } = req.body;
 
     if (!codebase) {
       return res.status(400).json({
@@ -30,12 +52,45 @@ app.post('/api/analyze', async (req, res) => {
       });
     }
 
+    const optionsError = validateFilterOptions(options);
+    if (optionsError) {
+      return res.status(400).json({
+        error: 'Invalid options',
+        message: optionsError
+      });
+    }
+
+    const format = (req.query.format || '').toLowerCase();
+    if (format && !['json', 'sarif', 'html'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unsupported format',
+        message: 'Format must be "json", "sarif" or "html"'
+      });
+    }
+
     // Analyze the codebase
-    const analysisResult = await analyzeCodebase(codebase);
+    const analysisResult = await analyzeCodebase(codebase, options);
+
+    // Report the gate verdict; ?failOnGate=true turns a failure into a 422 for CI
+    if (analysisResult.gate) {
+      res.set('X-Quality-Gate', analysisResult.gate.passed ? 'passed' : 'failed');
+      if (!analysisResult.gate.passed && req.query.failOnGate === 'true') {
+        res.status(422);
+      }
+    }
+
+    if (format === 'html') {
+      return sendHtmlReport(res, analysisResult, req.body.projectName);
+    }
+    if (wantsSarif(req)) {
+      return sendSarif(res, analysisResult);
+    }
 
     res.json({
       success: true,
-      data: analysisResult
+      data: analysisResult,
+      ...(req.archive && { archive: req.archive })
     });
   } catch (error) {
     console.error('Analysis error:', error);
@@ -47,6 +102,135 @@ app.post('/api/analyze', async (req, res) => {
   }
 });
 
+// Module dependency graph endpoint (?format=json|dot)
+app.post('/api/analyze/graph', parseArchiveUpload, async (req, res) => {
+  try {
+    const { codebase, options } = req.body;
+    const format = (req.query.format || req.body.format || 'json').toLowerCase();
+
+    if (!codebase) {
+      return res.status(400).json({
+        error: 'Codebase is required',
+        message: 'Please provide a codebase in the request body'
+      });
+    }
+
+    const optionsError = validateFilterOptions(options);
+    if (optionsError) {
+      return res.status(400).json({
+        error: 'Invalid options',
+        message: optionsError
+      });
+    }
+
+    if (!['json', 'dot'].includes(format)) {
+      return res.status(400).json({
+        error: 'Unsupported format',
+        message: 'Format must be either "json" or "dot"'
+      });
+    }
+
+    const { dependencyGraph } = await analyzeCodebase(codebase, options);
+
+    if (format === 'dot') {
+      return res.type('text/vnd.graphviz').send(toDot(dependencyGraph));
+    }
+
+    res.json({
+      success: true,
+      data: dependencyGraph,
+      ...(req.archive && { archive: req.archive })
+    });
+  } catch (error) {
+    console.error('Graph error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// Analysis with progress streamed as Server-Sent Events (events: start, file,
+// complete, error). It is a POST with a body, so clients read it with fetch
+// rather than EventSource. Nothing is saved locally, so `complete` has no analysisId.
+app.post('/api/analyze/stream', parseArchiveUpload, async (req, res) => {
+  const { codebase, options } = req.body;
+
+  if (!codebase) {
+    return res.status(400).json({
+      success: false,
+      error: 'Codebase is required',
+      message: 'Please provide a codebase in the request body'
+    });
+  }
+
+  const optionsError = validateFilterOptions(options);
+  if (optionsError) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid options',
+      message: optionsError
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Stop analyzing when the client goes away; keep idle proxies from closing the stream
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+  try {
+    const analysisResult = await analyzeCodebase(codebase, options, {
+      signal: controller.signal,
+      onStart: ({ total, skipped }) => {
+        sendEvent('start', { total, skipped, ...(req.archive && { archive: req.archive }) });
+      },
+      onFile: (file, { processed, total, statistics }) => {
+        sendEvent('file', {
+          file,
+          progress: {
+            processed,
+            total,
+            percent: total ? Math.round((processed / total) * 100) : 100
+          },
+          statistics
+        });
+      }
+    });
+
+    const { files, ...rest } = analysisResult;
+    sendEvent('complete', rest);
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      console.error('Stream analysis error:', error);
+      sendEvent('error', {
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
+});
+
+// Insight rules and their default settings
+app.get('/api/rules', (req, res) => {
+  res.json({ success: true, rules: listRules() });
+});
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({ status: 'healthy', timestamp: new Date().toISOString() });
@@ -0,0 +1,252 @@
+/**
+ * Analysis Diff Service
+ * Compares two analysis results (`base` and `head`) and reports how the
+ * codebase changed between them
+ */
+
+// Per-file metrics compared between snapshots
+const FILE_METRICS = ['lines', 'codeLines', 'commentLines', 'blankLines', 'size'];
+
+const delta = (base, head) => ({ base, head, delta: head - base });
+
+const countOf = (list) => (Array.isArray(list) ? list.length : 0);
+
+const sumFiles = (files, pick) => files.reduce((total, file) => total + (pick(file) || 0), 0);
+
+// Project totals, summed from the files so older results without
+// codeLines/commentLines/blankLines still compare as zero
+const totalsOf = (analysis) => {
+  const files = analysis.files || [];
+  return {
+    totalFiles: files.length,
+    totalLines: analysis.statistics.totalLines,
+    totalSize: analysis.statistics.totalSize,
+    codeLines: sumFiles(files, file => file.codeLines),
+    commentLines: sumFiles(files, file => file.commentLines),
+    blankLines: sumFiles(files, file => file.blankLines),
+    functions: sumFiles(files, file => countOf(file.functions)),
+    classes: sumFiles(files, file => countOf(file.classes))
+  };
+};
+
+const fileSummary = (file) => ({
+  path: file.path,
+  language: file.language,
+  lines: file.lines,
+  codeLines: file.codeLines,
+  functions: countOf(file.functions),
+  classes: countOf(file.classes)
+});
+
+/**
+ * Metrics that differ for a file present in both snapshots, or null when
+ * nothing tracked changed
+ */
+const compareFile = (baseFile, headFile) => {
+  const changes = {};
+
+  for (const metric of FILE_METRICS) {
+    const before = baseFile[metric] || 0;
+    const after = headFile[metric] || 0;
+    if (before !== after) changes[metric] = delta(before, after);
+  }
+
+  for (const metric of ['functions', 'classes']) {
+    const before = countOf(baseFile[metric]);
+    const after = countOf(headFile[metric]);
+    if (before !== after) changes[metric] = delta(before, after);
+  }
+
+  if (baseFile.language !== headFile.language) {
+    changes.language = { base: baseFile.language, head: headFile.language };
+  }
+
+  const baseComplexity = baseFile.complexity ? baseFile.complexity.totalCyclomatic : null;
+  const headComplexity = headFile.complexity ? headFile.complexity.totalCyclomatic : null;
+  if (baseComplexity !== null && headComplexity !== null && baseComplexity !== headComplexity) {
+    changes.cyclomatic = delta(baseComplexity, headComplexity);
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+const compareFiles = (baseFiles, headFiles) => {
+  const baseByPath = new Map(baseFiles.map(file => [file.path, file]));
+  const headByPath = new Map(headFiles.map(file => [file.path, file]));
+
+  const added = headFiles.filter(file => !baseByPath.has(file.path)).map(fileSummary);
+  const removed = baseFiles.filter(file => !headByPath.has(file.path)).map(fileSummary);
+  const modified = [];
+  let unchanged = 0;
+
+  for (const headFile of headFiles) {
+    const baseFile = baseByPath.get(headFile.path);
+    if (!baseFile) continue;
+
+    const changes = compareFile(baseFile, headFile);
+    if (changes) {
+      modified.push({ path: headFile.path, changes });
+    } else {
+      unchanged++;
+    }
+  }
+
+  const byPath = (a, b) => a.path.localeCompare(b.path);
+  return {
+    added: added.sort(byPath),
+    removed: removed.sort(byPath),
+    modified: modified.sort(byPath),
+    unchanged
+  };
+};
+
+// Results saved before bytes were tracked hold a plain file count per
+// language; their bytes and byte share are unknown (null)
+const normalizeLanguage = (stats) => (typeof stats === 'number'
+  ? { files: stats, bytes: null, byteShare: null }
+  : { files: 0, bytes: null, byteShare: null, ...stats });
+
+// A delta is only computed, and a change only reported, when both sides are known
+const knownDelta = (base, head) => ({ base, head, delta: base === null || head === null ? null : head - base });
+
+const differs = (base, head) => base !== null && head !== null && base !== head;
+
+const compareLanguages = (baseLanguages, headLanguages) => {
+  const names = new Set([...Object.keys(baseLanguages), ...Object.keys(headLanguages)]);
+  const empty = { files: 0, bytes: 0, byteShare: 0 };
+  const changes = {};
+
+  for (const name of names) {
+    const before = baseLanguages[name] === undefined ? empty : normalizeLanguage(baseLanguages[name]);
+    const after = headLanguages[name] === undefined ? empty : normalizeLanguage(headLanguages[name]);
+    if (!['files', 'bytes', 'byteShare'].some(metric => differs(before[metric], after[metric]))) {
+      continue;
+    }
+
+    changes[name] = {
+      status: baseLanguages[name] === undefined ? 'added' : (headLanguages[name] === undefined ? 'removed' : 'changed'),
+      files: delta(before.files, after.files),
+      bytes: knownDelta(before.bytes, after.bytes),
+      byteShare: knownDelta(before.byteShare, after.byteShare)
+    };
+    // Keep percentage deltas to two decimals like byteShare itself
+    if (changes[name].byteShare.delta !== null) {
+      changes[name].byteShare.delta = Math.round(changes[name].byteShare.delta * 100) / 100;
+    }
+  }
+
+  return changes;
+};
+
+// Insights are grouped by the rule that raised them; older results
+// without rule ids fall back to type and message
+const insightGroup = (insight) => insight.ruleId || `${insight.type}\u0000${insight.message}`;
+
+const groupInsights = (insights) => {
+  const groups = new Map();
+  for (const insight of insights) {
+    const key = insightGroup(insight);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(insight);
+  }
+  return groups;
+};
+
+/**
+ * Pair insights of one rule across snapshots. A rule that raised a single
+ * insight on each side is paired even if its message changed (its count
+ * went up or down); rules with one insight per finding are paired on the
+ * message only.
+ */
+const pairInsights = (baseInsights, headInsights) => {
+  if (baseInsights.length === 1 && headInsights.length === 1) {
+    return { pairs: [[baseInsights[0], headInsights[0]]], resolved: [], appeared: [] };
+  }
+
+  const resolved = baseInsights.slice();
+  const appeared = [];
+  const pairs = [];
+  for (const insight of headInsights) {
+    const match = resolved.findIndex(candidate => candidate.message === insight.message);
+    if (match === -1) {
+      appeared.push(insight);
+    } else {
+      pairs.push([resolved.splice(match, 1)[0], insight]);
+    }
+  }
+
+  return { pairs, resolved, appeared };
+};
+
+// What differs between two paired insights, or null when nothing does
+const compareInsight = (baseInsight, headInsight) => {
+  const changes = {};
+  if (baseInsight.message !== headInsight.message) {
+    changes.message = { base: baseInsight.message, head: headInsight.message };
+  }
+  if (baseInsight.severity !== headInsight.severity) {
+    changes.severity = { base: baseInsight.severity, head: headInsight.severity };
+  }
+  const baseFiles = countOf(baseInsight.files);
+  const headFiles = countOf(headInsight.files);
+  if (baseFiles !== headFiles) {
+    changes.files = delta(baseFiles, headFiles);
+  }
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+const compareInsights = (baseInsights, headInsights) => {
+  const baseGroups = groupInsights(baseInsights);
+  const headGroups = groupInsights(headInsights);
+  const appeared = [];
+  const resolved = [];
+  const changed = [];
+
+  for (const key of new Set([...baseGroups.keys(), ...headGroups.keys()])) {
+    const result = pairInsights(baseGroups.get(key) || [], headGroups.get(key) || []);
+    appeared.push(...result.appeared);
+    resolved.push(...result.resolved);
+
+    for (const [baseInsight, headInsight] of result.pairs) {
+      const changes = compareInsight(baseInsight, headInsight);
+      if (changes) {
+        changed.push({
+          ruleId: headInsight.ruleId,
+          type: headInsight.type,
+          severity: headInsight.severity,
+          message: headInsight.message,
+          changes
+        });
+      }
+    }
+  }
+
+  return { appeared, resolved, changed };
+};
+
+/**
+ * Diff two results of analyzeCodebase.
+ * @param {Object} base - The earlier analysis
+ * @param {Object} head - The later analysis
+ * @returns {Object} `{ totals, files, languages, insights }` where numeric
+ *   changes are `{ base, head, delta }`
+ */
+const diffAnalyses = (base, head) => {
+  const baseTotals = totalsOf(base);
+  const headTotals = totalsOf(head);
+  const totals = {};
+  for (const key of Object.keys(baseTotals)) {
+    totals[key] = delta(baseTotals[key], headTotals[key]);
+  }
+
+  return {
+    totals,
+    files: compareFiles(base.files || [], head.files || []),
+    languages: compareLanguages(base.statistics.languages || {}, head.statistics.languages || {}),
+    insights: compareInsights(base.insights || [], head.insights || [])
+  };
+};
+
+module.exports = {
+  diffAnalyses
+};
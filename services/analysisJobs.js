@@ -0,0 +1,346 @@
+/**
+ * Analysis Jobs Service
+ * Runs analyses in the background and tracks their status, progress
+ * and results per owner, in Firestore or in memory
+ *
+ * Firestore layout: users/{uid}/jobs/{jobId} holds the status. The
+ * submitted codebase is stored as JSON across the `input` subcollection
+ * until the job finishes, and results that are not saved to the analysis
+ * history across `result`. Jobs are run by `runJob`, called from a
+ * Firestore trigger on job creation, so they survive the request that
+ * created them and can be read from any instance.
+ */
+
+const crypto = require('crypto');
+const { analyzeCodebase } = require('./codebaseAnalyzer');
+const { splitByBytes } = require('./analysisStore');
+
+// Finished jobs (and their results) are kept for an hour
+const JOB_TTL_MS = 60 * 60 * 1000;
+const MAX_ACTIVE_JOBS_PER_OWNER = 5;
+
+// Jobs still unfinished after this long were lost with their instance; the
+// job function itself times out after 9 minutes
+const JOB_TIMEOUT_MS = 15 * 60 * 1000;
+
+// Progress is written to Firestore at most this often
+const PROGRESS_INTERVAL_MS = 1000;
+
+const CHUNK_BYTES = 900 * 1024;
+
+const isFinished = (job) => job.status === 'completed' || job.status === 'failed';
+
+const isExpired = (job, now = Date.now()) =>
+  Boolean(job.completedAt) && now - Date.parse(job.completedAt) > JOB_TTL_MS;
+
+// A job that outlived the timeout is reported as failed
+const checkTimeout = (job, now = Date.now()) => {
+  if (isFinished(job) || now - Date.parse(job.createdAt) <= JOB_TIMEOUT_MS) return job;
+  return { ...job, status: 'failed', error: 'The analysis did not finish in time' };
+};
+
+const createTooManyJobsError = () => {
+  const error = new Error(`You already have ${MAX_ACTIVE_JOBS_PER_OWNER} analyses running`);
+  error.statusCode = 429;
+  return error;
+};
+
+const buildJob = (id, ownerId, saveAs) => ({
+  id,
+  ownerId,
+  status: 'queued',
+  progress: { processed: 0, total: null },
+  createdAt: new Date().toISOString(),
+  startedAt: null,
+  completedAt: null,
+  error: null,
+  analysisId: null,
+  saveAs: saveAs || null
+});
+
+/**
+ * Public view of a job, without its result payload
+ */
+const describeJob = (job) => ({
+  id: job.id,
+  status: job.status,
+  progress: {
+    processed: job.progress.processed,
+    total: job.progress.total,
+    percent: job.progress.total
+      ? Math.round((job.progress.processed / job.progress.total) * 100)
+      : (job.status === 'completed' ? 100 : 0)
+  },
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  completedAt: job.completedAt,
+  error: job.error,
+  analysisId: job.analysisId
+});
+
+/**
+ * Analyze a job's codebase, then save the result to the owner's history
+ * when the job asked for it. A history write failure does not fail the
+ * job; its result is kept with the job instead.
+ */
+const analyze = async (job, { codebase, options }, analysisStore, onProgress) => {
+  const progress = { processed: 0, total: null };
+  const result = await analyzeCodebase(codebase, options, {
+    onStart: ({ total }) => {
+      progress.total = total;
+      onProgress(progress);
+    },
+    onFile: (fileAnalysis, { processed }) => {
+      progress.processed = processed;
+      onProgress(progress);
+    }
+  });
+
+  let analysisId = null;
+  if (job.saveAs && analysisStore) {
+    try {
+      const record = await analysisStore.saveAnalysis(job.ownerId, { ...job.saveAs, result });
+      analysisId = record.id;
+    } catch (error) {
+      console.error(`Saving analysis job ${job.id} failed:`, error);
+    }
+  }
+
+  return { result, analysisId, progress };
+};
+
+/**
+ * In-memory queue, used for local development and tests. Jobs run on the
+ * next tick of the process that created them.
+ */
+const createMemoryQueue = (analysisStore) => {
+  const jobs = new Map();
+
+  const removeExpiredJobs = () => {
+    const now = Date.now();
+    for (const [id, entry] of jobs) {
+      if (isExpired(entry.job, now)) jobs.delete(id);
+    }
+  };
+
+  const runJob = async (ownerId, id) => {
+    const entry = jobs.get(id);
+    if (!entry || entry.job.ownerId !== ownerId || entry.job.status !== 'queued') return false;
+
+    const { job } = entry;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+
+    try {
+      const outcome = await analyze(job, entry.input, analysisStore, progress => {
+        job.progress = { ...progress };
+      });
+      entry.result = outcome.result;
+      job.analysisId = outcome.analysisId;
+      job.status = 'completed';
+    } catch (error) {
+      console.error(`Analysis job ${job.id} failed:`, error);
+      job.status = 'failed';
+      job.error = error.message;
+    }
+    entry.input = null;
+    job.completedAt = new Date().toISOString();
+    return true;
+  };
+
+  const ownedJob = (id, ownerId) => {
+    const entry = jobs.get(id);
+    return entry && entry.job.ownerId === ownerId && !isExpired(entry.job) ? entry : null;
+  };
+
+  return {
+    async createJob(ownerId, codebase, options, saveAs) {
+      removeExpiredJobs();
+
+      const activeJobs = Array.from(jobs.values())
+        .filter(entry => entry.job.ownerId === ownerId && !isFinished(checkTimeout(entry.job)));
+      if (activeJobs.length >= MAX_ACTIVE_JOBS_PER_OWNER) {
+        throw createTooManyJobsError();
+      }
+
+      const job = buildJob(crypto.randomUUID(), ownerId, saveAs);
+      jobs.set(job.id, { job, input: { codebase, options }, result: null });
+      setImmediate(() => runJob(ownerId, job.id));
+      return { ...job };
+    },
+
+    runJob,
+
+    async getJob(id, ownerId) {
+      const entry = ownedJob(id, ownerId);
+      return entry ? checkTimeout({ ...entry.job }) : null;
+    },
+
+    async listJobs(ownerId) {
+      removeExpiredJobs();
+      return Array.from(jobs.values())
+        .filter(entry => entry.job.ownerId === ownerId)
+        .map(entry => checkTimeout({ ...entry.job }))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    },
+
+    async getJobResult(id, ownerId) {
+      const entry = ownedJob(id, ownerId);
+      return entry ? entry.result : null;
+    }
+  };
+};
+
+/**
+ * Firestore-backed queue. `runJob` must be called for each new job, from
+ * a trigger on `users/{uid}/jobs/{jobId}`.
+ */
+const createFirestoreQueue = (db, analysisStore) => {
+  const jobsOf = (ownerId) => db.collection('users').doc(ownerId).collection('jobs');
+
+  const writeChunks = (ref, name, json) => {
+    const chunks = splitByBytes(json, CHUNK_BYTES);
+    return Promise.all(chunks.map((data, index) =>
+      ref.collection(name).doc(String(index)).set({ index, data })))
+      .then(() => chunks.length);
+  };
+
+  const readChunks = async (ref, name) => {
+    const snapshot = await ref.collection(name).orderBy('index').get();
+    return JSON.parse(snapshot.docs.map(doc => doc.get('data')).join(''));
+  };
+
+  const removeJob = async (ref) => {
+    const batch = db.batch();
+    for (const name of ['input', 'result']) {
+      const chunks = await ref.collection(name).get();
+      chunks.docs.forEach(chunk => batch.delete(chunk.ref));
+    }
+    batch.delete(ref);
+    await batch.commit();
+  };
+
+  // Mark a queued job as running; false when another run already took it
+  const claimJob = (ref) => db.runTransaction(async transaction => {
+    const doc = await transaction.get(ref);
+    if (!doc.exists || doc.get('status') !== 'queued') return false;
+    transaction.update(ref, { status: 'running', startedAt: new Date().toISOString() });
+    return true;
+  });
+
+  const finishJob = async (ref, fields) => {
+    const batch = db.batch();
+    const input = await ref.collection('input').get();
+    input.docs.forEach(chunk => batch.delete(chunk.ref));
+    batch.update(ref, { ...fields, completedAt: new Date().toISOString() });
+    await batch.commit();
+  };
+
+  return {
+    async createJob(ownerId, codebase, options, saveAs) {
+      const active = await jobsOf(ownerId).where('status', 'in', ['queued', 'running']).get();
+      const activeJobs = active.docs.filter(doc => !isFinished(checkTimeout(doc.data())));
+      if (activeJobs.length >= MAX_ACTIVE_JOBS_PER_OWNER) {
+        throw createTooManyJobsError();
+      }
+
+      const ref = jobsOf(ownerId).doc();
+      const job = buildJob(ref.id, ownerId, saveAs);
+
+      // Write the input first so the trigger always finds it
+      await writeChunks(ref, 'input', JSON.stringify({ codebase, options }));
+      await ref.set(job);
+      return job;
+    },
+
+    async runJob(ownerId, id) {
+      const ref = jobsOf(ownerId).doc(id);
+      if (!(await claimJob(ref))) return false;
+
+      const job = (await ref.get()).data();
+      let lastWrite = 0;
+      let progressWrites = Promise.resolve();
+      const reportProgress = (progress) => {
+        const now = Date.now();
+        if (now - lastWrite < PROGRESS_INTERVAL_MS) return;
+        lastWrite = now;
+        const snapshot = { ...progress };
+        progressWrites = progressWrites
+          .then(() => ref.update({ progress: snapshot }))
+          .catch(error => console.error(`Progress update for job ${id} failed:`, error));
+      };
+
+      try {
+        const input = await readChunks(ref, 'input');
+        const { result, analysisId, progress } = await analyze(job, input, analysisStore, reportProgress);
+        await progressWrites;
+
+        // Results saved to the history are read back from there
+        if (!analysisId) {
+          await writeChunks(ref, 'result', JSON.stringify(result));
+        }
+        await finishJob(ref, { status: 'completed', progress, analysisId });
+      } catch (error) {
+        console.error(`Analysis job ${id} failed:`, error);
+        await progressWrites;
+        await finishJob(ref, { status: 'failed', error: error.message });
+      }
+      return true;
+    },
+
+    async getJob(id, ownerId) {
+      const doc = await jobsOf(ownerId).doc(id).get();
+      if (!doc.exists || isExpired(doc.data())) return null;
+      return checkTimeout(doc.data());
+    },
+
+    async listJobs(ownerId) {
+      const snapshot = await jobsOf(ownerId).orderBy('createdAt', 'desc').get();
+      const now = Date.now();
+
+      // Expired jobs are cleaned up as they are listed
+      const expired = snapshot.docs.filter(doc => isExpired(doc.data(), now));
+      await Promise.all(expired.map(doc => removeJob(doc.ref).catch(error => {
+        console.error(`Removing job ${doc.id} failed:`, error);
+      })));
+
+      return snapshot.docs
+        .filter(doc => !isExpired(doc.data(), now))
+        .map(doc => checkTimeout(doc.data(), now));
+    },
+
+    async getJobResult(id, ownerId) {
+      const ref = jobsOf(ownerId).doc(id);
+      const doc = await ref.get();
+      if (!doc.exists || isExpired(doc.data()) || doc.get('status') !== 'completed') return null;
+
+      const analysisId = doc.get('analysisId');
+      if (analysisId) {
+        const analysis = await analysisStore.getAnalysis(ownerId, analysisId);
+        return analysis ? analysis.result : null;
+      }
+      return readChunks(ref, 'result');
+    }
+  };
+};
+
+/**
+ * Create the job queue: Firestore when a Firestore instance is given,
+ * otherwise in memory
+ * @param {Object} [config]
+ * @param {Object} [config.firestore] - A firebase-admin Firestore instance
+ * @param {Object} [config.analysisStore] - Where jobs with a `saveAs`
+ *   target save their result
+ * @returns {Object} `createJob(ownerId, codebase, options, saveAs)` (throws
+ *   with `statusCode` 429 when the owner has too many unfinished jobs),
+ *   `runJob(ownerId, id)`, `getJob(id, ownerId)`, `listJobs(ownerId)` and
+ *   `getJobResult(id, ownerId)`. Jobs of other owners are reported as missing.
+ */
+const createJobQueue = ({ firestore, analysisStore } = {}) => {
+  return firestore ? createFirestoreQueue(firestore, analysisStore) : createMemoryQueue(analysisStore);
+};
+
+module.exports = {
+  createJobQueue,
+  describeJob
+};
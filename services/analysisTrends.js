@@ -0,0 +1,76 @@
+/**
+ * Analysis Trends Service
+ * Turns a project's saved analysis records into per-metric time series
+ */
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Metrics charted for every record. Records saved before a metric was
+// summarized report null for it.
+const METRICS = {
+  totalLines: summary => summary.totalLines,
+  totalFiles: summary => summary.totalFiles,
+  codeLines: summary => summary.codeLines,
+  commentLines: summary => summary.commentLines,
+  // Comment lines per code line
+  commentRatio: summary => (summary.codeLines === undefined || summary.commentLines === undefined)
+    ? undefined
+    : (summary.codeLines > 0 ? round(summary.commentLines / summary.codeLines) : 0),
+  warningCount: summary => summary.warningCount,
+  insightCount: summary => summary.insightCount,
+  averageCyclomatic: summary => summary.averageCyclomatic,
+  averageCognitive: summary => summary.averageCognitive
+};
+
+const valueOrNull = (value) => (value === undefined ? null : value);
+
+/**
+ * Build trend series from records ordered oldest first.
+ * @param {Array} records - Saved analysis records (see analysisStore)
+ * @returns {{ points: Array<{ analysisId, createdAt }>, series: Object, languageShare: Object }}
+ *   Every series has one value per point, in the same order. Language
+ *   shares are byte percentages; a language absent from an analysis is 0.
+ */
+const buildTrends = (records) => {
+  const points = records.map(record => ({ analysisId: record.id, createdAt: record.createdAt }));
+
+  const series = {};
+  for (const [metric, pick] of Object.entries(METRICS)) {
+    series[metric] = records.map(record => valueOrNull(pick(record.summary)));
+  }
+
+  const languages = new Set();
+  for (const record of records) {
+    Object.keys(record.summary.languageShare || {}).forEach(language => languages.add(language));
+  }
+
+  const languageShare = {};
+  for (const language of Array.from(languages).sort()) {
+    languageShare[language] = records.map(record => {
+      if (!record.summary.languageShare) return null;
+      return record.summary.languageShare[language] || 0;
+    });
+  }
+
+  return { points, series, languageShare };
+};
+
+/**
+ * Change of each series between the first and last point that have a value
+ */
+const summarizeTrends = ({ series }) => {
+  const changes = {};
+  for (const [metric, values] of Object.entries(series)) {
+    const known = values.filter(value => value !== null);
+    if (known.length === 0) continue;
+    const first = known[0];
+    const last = known[known.length - 1];
+    changes[metric] = { first, last, delta: round(last - first) };
+  }
+  return changes;
+};
+
+module.exports = {
+  buildTrends,
+  summarizeTrends
+};
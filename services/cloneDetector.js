@@ -0,0 +1,256 @@
+/**
+ * Clone Detector Service
+ * Finds duplicated code blocks across files by hashing windows of tokens.
+ * String and number literals are normalized, so blocks that differ only
+ * in literal values are reported as near-duplicates.
+ */
+
+const { SYNTAX } = require('./languages');
+
+const DEFAULT_MIN_TOKENS = 50;
+const DEFAULT_MIN_LINES = 5;
+
+// Upper bound for both settings, which come from requests; the rolling
+// hash setup takes one step per token of the minimum
+const MAX_MINIMUM = 10000;
+
+// Prose, data and config formats repeat by nature
+const SKIPPED_LANGUAGES = ['Markdown', 'JSON', 'YAML', 'XML', 'Ignore List'];
+
+// Rolling hash over token ids; products stay below 2^53
+const HASH_BASE = 1000003;
+const HASH_MODULUS = 2147483647;
+
+const isWhitespace = (ch) => ch === ' ' || ch === '\t' || ch === '\r' || ch === '\n' || ch === '\f' || ch === '\v';
+
+/**
+ * Split source into `{ value, raw, line }` tokens, skipping whitespace,
+ * comments and docstrings. `value` is the normalized form used to compare
+ * tokens: `"S"` for string literals and `0` for numbers.
+ */
+const tokenize = (content, syntax) => {
+  const tokens = [];
+  let line = 1;
+  let lineHasCode = false;
+  let i = 0;
+
+  const advanceTo = (end) => {
+    for (let j = i; j < end; j++) {
+      if (content[j] === '\n') {
+        line++;
+        lineHasCode = false;
+      }
+    }
+    i = end;
+  };
+
+  while (i < content.length) {
+    const ch = content[i];
+
+    if (isWhitespace(ch)) {
+      advanceTo(i + 1);
+      continue;
+    }
+
+    const lineComment = syntax.lineComments.find(comment => content.startsWith(comment.marker, i) &&
+      (!comment.afterSpace || i === 0 || isWhitespace(content[i - 1])));
+    if (lineComment) {
+      const end = content.indexOf('\n', i);
+      advanceTo(end === -1 ? content.length : end);
+      continue;
+    }
+
+    const blockComment = syntax.blockComments.find(comment => content.startsWith(comment.open, i) &&
+      (!comment.lineStart || i === 0 || content[i - 1] === '\n'));
+    if (blockComment) {
+      const end = content.indexOf(blockComment.close, i + blockComment.open.length);
+      advanceTo(end === -1 ? content.length : end + blockComment.close.length);
+      continue;
+    }
+
+    const literal = syntax.strings.find(str => content.startsWith(str.delimiter, i));
+    if (literal) {
+      const close = literal.close || literal.delimiter;
+      let end = i + literal.delimiter.length;
+      while (end < content.length && !content.startsWith(close, end)) {
+        if (!literal.multiline && content[end] === '\n') break;
+        end += literal.escape && content[end] === literal.escape ? 2 : 1;
+      }
+      end = Math.min(content.length, content.startsWith(close, end) ? end + close.length : end);
+
+      if (!(literal.docstring && !lineHasCode)) {
+        tokens.push({ value: '"S"', raw: content.slice(i, end), line });
+        lineHasCode = true;
+      }
+      advanceTo(end);
+      continue;
+    }
+
+    const word = /^(?:[A-Za-z_$][\w$]*|\d[\w.]*)/.exec(content.slice(i, i + 256));
+    const raw = word ? word[0] : ch;
+    tokens.push({ value: /^\d/.test(raw) ? '0' : raw, raw, line });
+    lineHasCode = true;
+    i += raw.length;
+  }
+
+  return tokens;
+};
+
+// A whole number between 1 and MAX_MINIMUM, or the default
+const clampMinimum = (value, fallback) => Math.min(MAX_MINIMUM, Math.max(1, Math.floor(Number(value)) || fallback));
+
+const hashWindow = (ids, start, length) => {
+  let hash = 0;
+  for (let i = start; i < start + length; i++) {
+    hash = (hash * HASH_BASE + ids[i]) % HASH_MODULUS;
+  }
+  return hash;
+};
+
+const sameWindow = (a, aStart, b, bStart, length) => {
+  for (let i = 0; i < length; i++) {
+    if (a[aStart + i] !== b[bStart + i]) return false;
+  }
+  return true;
+};
+
+/**
+ * Detect clones across files.
+ * @param {Array} files - `{ path, content, language }` entries
+ * @param {Object} [options]
+ * @param {number} [options.minTokens=50] - Shortest duplicated block, in tokens (at most 10000)
+ * @param {number} [options.minLines=5] - Shortest duplicated block, in lines (at most 10000)
+ * @returns {{ clones: Array<{ tokens, lines, exact, occurrences: Array<{ path, startLine, endLine }> }>,
+ *   duplication: { duplicatedLines, totalLines, percentage } }}
+ *   Clones are sorted longest first; `exact` is false when occurrences
+ *   differ in literal values
+ */
+const detectClones = (files, options = {}) => {
+  const minTokens = clampMinimum(options.minTokens, DEFAULT_MIN_TOKENS);
+  const minLines = clampMinimum(options.minLines, DEFAULT_MIN_LINES);
+
+  // Token values become small integers for hashing and comparison
+  const tokenIds = new Map();
+  const sources = files
+    .filter(file => SYNTAX[file.language] && !SKIPPED_LANGUAGES.includes(file.language))
+    .map(file => {
+      const tokens = tokenize(file.content, SYNTAX[file.language]);
+      const ids = tokens.map(token => {
+        if (!tokenIds.has(token.value)) tokenIds.set(token.value, tokenIds.size + 1);
+        return tokenIds.get(token.value);
+      });
+      return { path: file.path, lines: file.content.split('\n').length, tokens, ids };
+    });
+
+  // Power of the base for removing the oldest token from the rolling hash
+  let dropFactor = 1;
+  for (let i = 1; i < minTokens; i++) {
+    dropFactor = (dropFactor * HASH_BASE) % HASH_MODULUS;
+  }
+
+  // First place each window of tokens was seen
+  const windows = new Map();
+  const classes = new Map();
+
+  sources.forEach((source, sourceIndex) => {
+    const { ids } = source;
+    let start = 0;
+    let hash = ids.length >= minTokens ? hashWindow(ids, 0, minTokens) : null;
+
+    const advance = (steps) => {
+      if (steps > 1) {
+        start += steps;
+        hash = start + minTokens <= ids.length ? hashWindow(ids, start, minTokens) : null;
+        return;
+      }
+      if (start + minTokens < ids.length) {
+        hash = (hash - (ids[start] * dropFactor) % HASH_MODULUS + HASH_MODULUS) % HASH_MODULUS;
+        hash = (hash * HASH_BASE + ids[start + minTokens]) % HASH_MODULUS;
+      }
+      start++;
+    };
+
+    while (start + minTokens <= ids.length) {
+      if (!windows.has(hash)) windows.set(hash, []);
+      const candidates = windows.get(hash);
+      const seen = candidates.find(entry => sameWindow(sources[entry.sourceIndex].ids, entry.start, ids, start, minTokens));
+
+      if (!seen) {
+        candidates.push({ sourceIndex, start });
+        advance(1);
+        continue;
+      }
+      // A repeat that overlaps its first copy, as in long runs of one token
+      if (seen.sourceIndex === sourceIndex && seen.start + minTokens > start) {
+        advance(1);
+        continue;
+      }
+
+      // Extend the match as far as both copies agree without overlapping
+      const original = sources[seen.sourceIndex];
+      const limit = seen.sourceIndex === sourceIndex ? start - seen.start : Infinity;
+      let length = minTokens;
+      while (length < limit && start + length < ids.length && seen.start + length < original.ids.length &&
+        ids[start + length] === original.ids[seen.start + length]) {
+        length++;
+      }
+
+      const key = `${seen.sourceIndex}:${seen.start}:${length}`;
+      if (!classes.has(key)) {
+        classes.set(key, { length, occurrences: [{ source: original, start: seen.start }] });
+      }
+      classes.get(key).occurrences.push({ source, start });
+
+      // Continue after the copied block
+      advance(length);
+    }
+  });
+
+  const clones = [];
+  const duplicated = new Map();
+
+  for (const { length, occurrences } of classes.values()) {
+    const ranges = occurrences.map(({ source, start }) => ({
+      source,
+      start,
+      startLine: source.tokens[start].line,
+      endLine: source.tokens[start + length - 1].line
+    }));
+    const lines = Math.min(...ranges.map(range => range.endLine - range.startLine + 1));
+    if (lines < minLines) continue;
+
+    const text = (range) => range.source.tokens.slice(range.start, range.start + length).map(token => token.raw).join(' ');
+    const firstText = text(ranges[0]);
+
+    clones.push({
+      tokens: length,
+      lines,
+      exact: ranges.every(range => text(range) === firstText),
+      occurrences: ranges.map(range => ({ path: range.source.path, startLine: range.startLine, endLine: range.endLine }))
+    });
+
+    for (const range of ranges) {
+      if (!duplicated.has(range.source.path)) duplicated.set(range.source.path, new Set());
+      for (let lineNumber = range.startLine; lineNumber <= range.endLine; lineNumber++) {
+        duplicated.get(range.source.path).add(lineNumber);
+      }
+    }
+  }
+
+  const totalLines = sources.reduce((total, source) => total + source.lines, 0);
+  const duplicatedLines = Array.from(duplicated.values()).reduce((total, lines) => total + lines.size, 0);
+
+  return {
+    clones: clones.sort((a, b) => b.tokens - a.tokens),
+    duplication: {
+      duplicatedLines,
+      totalLines,
+      percentage: totalLines > 0 ? Math.round((duplicatedLines / totalLines) * 10000) / 100 : 0
+    }
+  };
+};
+
+module.exports = {
+  detectClones,
+  tokenize
+};
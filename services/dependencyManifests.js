@@ -0,0 +1,400 @@
+/**
+ * Dependency Manifests Service
+ * Parses package manifests and lockfiles (npm, PyPI, Go, Cargo, RubyGems)
+ * into one inventory of third-party packages
+ */
+
+const path = require('path');
+const { parse: parseToml } = require('smol-toml');
+
+// Optional dependency groups that only matter while developing
+const DEV_GROUP = /^(?:dev|devel|develop|development|test|tests|testing|lint|linting|docs?|typing)$/i;
+
+// PEP 503: case, `-`, `_` and `.` do not distinguish PyPI names
+const normalizePythonName = (name) => name.toLowerCase().replace(/[-_.]+/g, '-');
+
+const packageKey = (ecosystem, name) => (ecosystem === 'PyPI' ? normalizePythonName(name) : name);
+
+// Local packages are part of the codebase, not third-party dependencies
+const isLocalNpmRange = (range) => /^(?:file|link|workspace|portal):/.test(range);
+
+/**
+ * A PEP 508 requirement: `name[extras] (specifier) ; marker` or
+ * `name @ url`. Returns null for lines that are not requirements.
+ */
+const parseRequirement = (requirement) => {
+  const withoutMarker = requirement.split(';')[0].trim();
+  const match = /^([A-Za-z0-9][A-Za-z0-9._-]*)\s*(?:\[[^\]]*\])?\s*(.*)$/.exec(withoutMarker);
+  if (!match) return null;
+
+  const specifier = match[2].replace(/^\((.*)\)$/, '$1').trim();
+  if (specifier.startsWith('@')) {
+    return { name: match[1], range: null, version: null };
+  }
+
+  const pinned = /^===?\s*([^\s,*]+)$/.exec(specifier);
+  return { name: match[1], range: specifier || null, version: pinned ? pinned[1] : null };
+};
+
+const parsePackageJson = (content) => {
+  const manifest = JSON.parse(content);
+  const sections = [['dependencies', false], ['optionalDependencies', false], ['devDependencies', true]];
+
+  return sections.flatMap(([section, dev]) =>
+    Object.entries(manifest[section] || {})
+      .filter(([, range]) => typeof range === 'string' && !isLocalNpmRange(range))
+      .map(([name, range]) => ({ name, range, version: null, dev })));
+};
+
+const parseRequirementsTxt = (content, filePath) => {
+  const dev = /dev|test/i.test(path.posix.basename(filePath));
+
+  return content
+    .replace(/\\\r?\n/g, ' ')
+    .split(/\r?\n/)
+    .map(line => line.replace(/(^|\s)#.*$/, '').trim())
+    // Options (-r, -e, --index-url) and direct paths or URLs
+    .filter(line => line && !line.startsWith('-') && !/^(?:[./]|[a-z+]+:\/\/)/i.test(line))
+    .map(line => parseRequirement(line.split(/\s+--?[a-z]/i)[0]))
+    .filter(Boolean)
+    .map(requirement => ({ ...requirement, dev }));
+};
+
+const parsePoetryDependencies = (dependencies, dev) => {
+  return Object.entries(dependencies || {})
+    .filter(([name, spec]) => name !== 'python' && !(spec && spec.path))
+    .map(([name, spec]) => {
+      const range = typeof spec === 'string' ? spec : (spec && typeof spec.version === 'string' ? spec.version : null);
+      // A bare Poetry version pins that exact release
+      const pinned = range && /^=*\s*(\d[\w.+-]*)$/.exec(range);
+      return { name, range, version: pinned ? pinned[1] : null, dev };
+    });
+};
+
+const parsePyproject = (content) => {
+  const toml = parseToml(content);
+  const project = toml.project || {};
+  const poetry = (toml.tool && toml.tool.poetry) || {};
+  const requirements = (list, dev) => (Array.isArray(list) ? list : [])
+    .filter(entry => typeof entry === 'string')
+    .map(parseRequirement)
+    .filter(Boolean)
+    .map(requirement => ({ ...requirement, dev }));
+
+  return [
+    ...requirements(project.dependencies, false),
+    ...Object.entries(project['optional-dependencies'] || {})
+      .flatMap(([group, list]) => requirements(list, DEV_GROUP.test(group))),
+    // PEP 735 dependency groups are never installed with the package
+    ...Object.values(toml['dependency-groups'] || {}).flatMap(list => requirements(list, true)),
+    ...parsePoetryDependencies(poetry.dependencies, false),
+    ...parsePoetryDependencies(poetry['dev-dependencies'], true),
+    ...Object.entries(poetry.group || {})
+      .flatMap(([group, settings]) => parsePoetryDependencies(settings && settings.dependencies, group !== 'main'))
+  ];
+};
+
+// `require` lines, both single and in blocks; `// indirect` marks transitive modules
+const parseGoMod = (content) => {
+  const dependencies = [];
+  let inBlock = false;
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (inBlock && line === ')') {
+      inBlock = false;
+      continue;
+    }
+    if (/^require\s*\($/.test(line)) {
+      inBlock = true;
+      continue;
+    }
+
+    const entry = inBlock ? line : (/^require\s+(.*)$/.exec(line) || [])[1];
+    const match = entry && /^(\S+)\s+(v\S+)(.*)$/.exec(entry);
+    if (!match) continue;
+
+    dependencies.push({
+      name: match[1],
+      range: match[2],
+      version: match[2],
+      dev: false,
+      direct: !/\/\/\s*indirect\b/.test(match[3])
+    });
+  }
+
+  return dependencies;
+};
+
+const parseCargoDependencies = (table, dev) => {
+  return Object.entries(table || {})
+    .filter(([, spec]) => !(spec && typeof spec === 'object' && spec.path))
+    .map(([key, spec]) => {
+      const range = typeof spec === 'string' ? spec : (spec && typeof spec.version === 'string' ? spec.version : null);
+      // Cargo reads a bare version as a caret range; only `=x.y.z` pins
+      const pinned = range && /^=\s*(\d\S*)$/.exec(range);
+      return {
+        name: (spec && typeof spec.package === 'string') ? spec.package : key,
+        range,
+        version: pinned ? pinned[1] : null,
+        dev
+      };
+    });
+};
+
+const parseCargoToml = (content) => {
+  const toml = parseToml(content);
+  const sections = (owner) => [
+    ...parseCargoDependencies(owner.dependencies, false),
+    ...parseCargoDependencies(owner['build-dependencies'], false),
+    ...parseCargoDependencies(owner['dev-dependencies'], true)
+  ];
+
+  return [
+    ...sections(toml),
+    ...Object.values(toml.target || {}).flatMap(sections),
+    ...parseCargoDependencies(toml.workspace && toml.workspace.dependencies, false)
+  ];
+};
+
+const mentionsDevGroup = (text) => /[:"'](?:development|test)\b/.test(text);
+
+const parseGemfile = (content) => {
+  const dependencies = [];
+  // One entry per open `do` block: true inside development/test groups
+  const blocks = [];
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+
+    if (/^end\b/.test(line)) {
+      blocks.pop();
+      continue;
+    }
+    if (/\bdo(?:\s*\|[^|]*\|)?$/.test(line)) {
+      blocks.push(/^group\b/.test(line) && mentionsDevGroup(line));
+      continue;
+    }
+
+    const match = /^gem\s+["']([^"']+)["']((?:\s*,\s*["'][^"']*["'])*)(.*)$/.exec(line);
+    if (!match || /\bpath:|:path\s*=>/.test(match[3])) continue;
+
+    const constraints = (match[2].match(/["'][^"']*["']/g) || []).map(value => value.slice(1, -1).trim());
+    const pinned = constraints.length === 1 && /^=?\s*(\d[\w.]*)$/.exec(constraints[0]);
+    dependencies.push({
+      name: match[1],
+      range: constraints.length > 0 ? constraints.join(', ') : null,
+      version: pinned ? pinned[1] : null,
+      dev: blocks.includes(true) || (/\bgroups?:|:groups?\s*=>/.test(match[3]) && mentionsDevGroup(match[3]))
+    });
+  }
+
+  return dependencies;
+};
+
+/**
+ * npm lockfiles: the `packages` map of lockfileVersion 2 and 3, or the
+ * nested `dependencies` tree of version 1. `topLevel` marks the copies
+ * installed directly under the project's node_modules; only version 2 and
+ * later record each package's `license`.
+ */
+const parsePackageLock = (content) => {
+  const lock = JSON.parse(content);
+
+  if (lock.packages && typeof lock.packages === 'object') {
+    return Object.entries(lock.packages)
+      .filter(([key, entry]) => key.includes('node_modules/') && entry && !entry.link && entry.version)
+      .map(([key, entry]) => ({
+        name: entry.name || key.slice(key.lastIndexOf('node_modules/') + 'node_modules/'.length),
+        version: entry.version,
+        dev: Boolean(entry.dev),
+        topLevel: !key.slice('node_modules/'.length).includes('node_modules/'),
+        license: typeof entry.license === 'string' ? entry.license : null
+      }));
+  }
+
+  const packages = [];
+  const walk = (dependencies, topLevel) => {
+    for (const [name, entry] of Object.entries(dependencies || {})) {
+      if (!entry || !entry.version || isLocalNpmRange(entry.version)) continue;
+      packages.push({ name, version: entry.version, dev: Boolean(entry.dev), topLevel });
+      walk(entry.dependencies, false);
+    }
+  };
+  walk(lock.dependencies, true);
+  return packages;
+};
+
+// Cargo lists the project's own crates too, without a `source`
+const parseCargoLock = (content) => {
+  const toml = parseToml(content);
+  return (toml.package || [])
+    .filter(entry => entry.name && entry.version && entry.source)
+    .map(entry => ({ name: entry.name, version: entry.version, dev: null, topLevel: true }));
+};
+
+// Only older Poetry versions record a `category` of "main" or "dev"
+const parsePoetryLock = (content) => {
+  const toml = parseToml(content);
+  return (toml.package || [])
+    .filter(entry => entry.name && entry.version)
+    .map(entry => ({
+      name: entry.name,
+      version: entry.version,
+      dev: entry.category ? entry.category === 'dev' : null,
+      topLevel: true
+    }));
+};
+
+// `specs:` entries of the GEM and GIT sections; PATH gems are local
+const parseGemfileLock = (content) => {
+  const packages = [];
+  let section = null;
+
+  for (const line of content.split(/\r?\n/)) {
+    if (/^\S/.test(line)) {
+      section = line.trim();
+      continue;
+    }
+    if (section !== 'GEM' && section !== 'GIT') continue;
+
+    const match = /^ {4}([^\s(]+) \(([^)]+)\)$/.exec(line);
+    if (match) {
+      // Drop platform suffixes such as 1.15.4-x86_64-linux
+      packages.push({ name: match[1], version: match[2].split('-')[0], dev: null, topLevel: true });
+    }
+  }
+
+  return packages;
+};
+
+const MANIFESTS = [
+  { test: name => name === 'package.json', ecosystem: 'npm', parse: parsePackageJson },
+  { test: name => /^requirements[\w.-]*\.txt$/i.test(name), ecosystem: 'PyPI', parse: parseRequirementsTxt },
+  { test: name => name === 'pyproject.toml', ecosystem: 'PyPI', parse: parsePyproject },
+  { test: name => name === 'go.mod', ecosystem: 'Go', parse: parseGoMod },
+  { test: name => name === 'Cargo.toml', ecosystem: 'crates.io', parse: parseCargoToml },
+  { test: name => name === 'Gemfile', ecosystem: 'RubyGems', parse: parseGemfile }
+];
+
+const LOCKFILES = [
+  { test: name => name === 'package-lock.json', ecosystem: 'npm', parse: parsePackageLock },
+  { test: name => name === 'poetry.lock', ecosystem: 'PyPI', parse: parsePoetryLock },
+  { test: name => name === 'Cargo.lock', ecosystem: 'crates.io', parse: parseCargoLock },
+  { test: name => name === 'Gemfile.lock', ecosystem: 'RubyGems', parse: parseGemfileLock }
+];
+
+const findParser = (parsers, filePath) => parsers.find(parser => parser.test(path.posix.basename(filePath)));
+
+// Parse one file, recording parse failures on the manifest entry instead of throwing
+const readFile = (file, parser, kind) => {
+  const manifest = { path: file.path, ecosystem: parser.ecosystem, kind, dependencyCount: 0, error: null };
+  try {
+    const entries = parser.parse(file.content, file.path);
+    manifest.dependencyCount = entries.length;
+    return { manifest, entries };
+  } catch (error) {
+    manifest.error = error.message;
+    return { manifest, entries: [] };
+  }
+};
+
+/**
+ * Build the dependency inventory of a codebase. Declared dependencies get
+ * their resolved version from a lockfile in the same directory; lockfile
+ * packages nobody declares are listed as transitive.
+ * @param {Array} files - `{ path, content }` files with normalized paths,
+ *   including lockfiles even when they are excluded from analysis
+ * @returns {{ manifests: Array<{ path, ecosystem, kind, dependencyCount, error }>,
+ *   packages: Array<{ name, ecosystem, range, version, dev, direct, manifest, lockfile, license }> }}
+ *   `dev` is null when only a lockfile that does not say lists the package;
+ *   `license` is the lockfile's SPDX expression, when it records one
+ */
+const buildDependencyInventory = (files) => {
+  const manifests = [];
+  const declared = [];
+  const locks = [];
+
+  for (const file of files) {
+    const manifestParser = findParser(MANIFESTS, file.path);
+    if (manifestParser) {
+      const { manifest, entries } = readFile(file, manifestParser, 'manifest');
+      manifests.push(manifest);
+      declared.push(...entries.map(entry => ({ ...entry, ecosystem: manifestParser.ecosystem, manifest: file.path })));
+      continue;
+    }
+
+    const lockParser = findParser(LOCKFILES, file.path);
+    if (lockParser) {
+      const { manifest, entries } = readFile(file, lockParser, 'lockfile');
+      manifests.push(manifest);
+      locks.push({ path: file.path, ecosystem: lockParser.ecosystem, packages: entries });
+    }
+  }
+
+  const sameProject = (lock, entry) => lock.ecosystem === entry.ecosystem &&
+    path.posix.dirname(lock.path) === path.posix.dirname(entry.manifest);
+
+  const packages = declared.map(entry => {
+    const key = packageKey(entry.ecosystem, entry.name);
+    let version = entry.version;
+    let lockfile = null;
+    let license = null;
+
+    if (!version) {
+      for (const lock of locks.filter(candidate => sameProject(candidate, entry))) {
+        const resolved = lock.packages.find(pkg => pkg.topLevel && packageKey(lock.ecosystem, pkg.name) === key);
+        if (resolved) {
+          version = resolved.version;
+          lockfile = lock.path;
+          license = resolved.license || null;
+          break;
+        }
+      }
+    }
+
+    return {
+      name: entry.name,
+      ecosystem: entry.ecosystem,
+      range: entry.range,
+      version,
+      dev: entry.dev,
+      direct: entry.direct !== false,
+      manifest: entry.manifest,
+      lockfile,
+      license
+    };
+  });
+
+  // Everything else the lockfiles pulled in, once per name and version
+  for (const lock of locks) {
+    const seen = new Set(packages
+      .filter(pkg => pkg.ecosystem === lock.ecosystem && path.posix.dirname(pkg.manifest) === path.posix.dirname(lock.path))
+      .map(pkg => `${packageKey(pkg.ecosystem, pkg.name)}@${pkg.version}`));
+
+    for (const pkg of lock.packages) {
+      const id = `${packageKey(lock.ecosystem, pkg.name)}@${pkg.version}`;
+      if (seen.has(id)) continue;
+      seen.add(id);
+
+      packages.push({
+        name: pkg.name,
+        ecosystem: lock.ecosystem,
+        range: null,
+        version: pkg.version,
+        dev: pkg.dev,
+        direct: false,
+        manifest: lock.path,
+        lockfile: lock.path,
+        license: pkg.license || null
+      });
+    }
+  }
+
+  return { manifests, packages };
+};
+
+module.exports = {
+  buildDependencyInventory,
+  normalizePythonName
+};
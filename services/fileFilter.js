@@ -0,0 +1,164 @@
+/**
+ * File Filter Service
+ * Decides which submitted files are analyzed, honoring .gitignore files
+ * in the codebase, include/exclude globs and built-in excludes for
+ * dependencies, build output, lockfiles and minified bundles
+ */
+
+const path = require('path');
+const ignore = require('ignore');
+const picomatch = require('picomatch');
+const { normalizePath } = require('./dependencyGraph');
+
+// Skipped from analysis, but still read for the dependency inventory
+const LOCKFILE_EXCLUDES = [
+  '**/package-lock.json',
+  '**/yarn.lock',
+  '**/pnpm-lock.yaml',
+  '**/composer.lock',
+  '**/Gemfile.lock',
+  '**/Cargo.lock',
+  '**/poetry.lock'
+];
+
+const DEFAULT_EXCLUDES = [
+  '**/node_modules/**',
+  '**/bower_components/**',
+  '**/vendor/**',
+  '**/.git/**',
+  '**/dist/**',
+  '**/build/**',
+  '**/coverage/**',
+  '**/.next/**',
+  '**/__pycache__/**',
+  ...LOCKFILE_EXCLUDES,
+  '**/*.min.js',
+  '**/*.min.css',
+  '**/*.map'
+];
+
+const toGlobList = (globs) => (Array.isArray(globs) ? globs : [globs]);
+
+const compileGlobs = (globs) => {
+  const list = toGlobList(globs).filter(Boolean);
+  return list.map(glob => ({ glob, test: picomatch(glob, { dot: true }) }));
+};
+
+/**
+ * Check the filter options of a request
+ * @param {Object} [options] - Analysis options
+ * @returns {string|null} Why the options cannot be used, or null when they can
+ */
+const validateFilterOptions = (options) => {
+  if (options === undefined) return null;
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    return 'options must be an object';
+  }
+
+  for (const name of ['include', 'exclude']) {
+    if (options[name] === undefined) continue;
+    const globs = toGlobList(options[name]);
+    if (!globs.every(glob => typeof glob === 'string' && glob.trim() !== '')) {
+      return `options.${name} must be a glob or an array of globs (non-empty strings)`;
+    }
+  }
+  return null;
+};
+
+const findGlob = (compiled, filePath) => compiled.find(entry => entry.test(filePath));
+
+// One matcher per submitted .gitignore, shallowest directory first
+const loadGitignores = (files) => {
+  return files
+    .filter(file => path.posix.basename(file.path) === '.gitignore')
+    .map(file => ({
+      source: file.path,
+      directory: path.posix.dirname(file.path),
+      matcher: ignore().add(file.content)
+    }))
+    .sort((a, b) => a.directory.split('/').length - b.directory.split('/').length);
+};
+
+/**
+ * Apply every .gitignore whose directory contains the file. Deeper files
+ * override shallower ones, so a nested `!pattern` can re-include a path.
+ */
+const checkGitignores = (gitignores, filePath) => {
+  // No .gitignore reaches above the root, and `ignore` rejects such paths
+  if (filePath === '.' || filePath === '..' || filePath.startsWith('../')) return null;
+
+  let result = null;
+
+  for (const gitignore of gitignores) {
+    const inRoot = gitignore.directory === '.';
+    if (!inRoot && !filePath.startsWith(`${gitignore.directory}/`)) continue;
+
+    const relativePath = inRoot ? filePath : filePath.slice(gitignore.directory.length + 1);
+    const { ignored, unignored, rule } = gitignore.matcher.test(relativePath);
+    if (ignored) {
+      result = { source: gitignore.source, rule: rule ? rule.pattern : null };
+    } else if (unignored) {
+      result = null;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Split `{ path, content }` files into those to analyze and those to
+ * skip. Paths are normalized to forward slashes relative to the root.
+ * @param {Array} files
+ * @param {Object} [options]
+ * @param {string[]} [options.include] - Only analyze files matching these globs
+ * @param {string[]} [options.exclude] - Never analyze files matching these globs
+ * @param {boolean} [options.useGitignore=true] - Honor submitted .gitignore files
+ * @param {boolean} [options.defaultExcludes=true] - Apply DEFAULT_EXCLUDES
+ * @returns {{ included: Array, skipped: Array<{ path, reason, rule, source? }> }}
+ */
+const filterFiles = (files, options = {}) => {
+  const normalized = files.map(file => ({ ...file, path: normalizePath(file.path) }));
+  const include = compileGlobs(options.include || []);
+  const exclude = compileGlobs(options.exclude || []);
+  const defaults = options.defaultExcludes === false ? [] : compileGlobs(DEFAULT_EXCLUDES);
+  const gitignores = options.useGitignore === false ? [] : loadGitignores(normalized);
+
+  const included = [];
+  const skipped = [];
+
+  for (const file of normalized) {
+    if (include.length > 0 && !findGlob(include, file.path)) {
+      skipped.push({ path: file.path, reason: 'not included', rule: null });
+      continue;
+    }
+
+    const excluded = findGlob(exclude, file.path);
+    if (excluded) {
+      skipped.push({ path: file.path, reason: 'excluded', rule: excluded.glob });
+      continue;
+    }
+
+    const gitignored = checkGitignores(gitignores, file.path);
+    if (gitignored) {
+      skipped.push({ path: file.path, reason: 'gitignore', rule: gitignored.rule, source: gitignored.source });
+      continue;
+    }
+
+    const byDefault = findGlob(defaults, file.path);
+    if (byDefault) {
+      skipped.push({ path: file.path, reason: 'default exclude', rule: byDefault.glob });
+      continue;
+    }
+
+    included.push(file);
+  }
+
+  return { included, skipped };
+};
+
+module.exports = {
+  DEFAULT_EXCLUDES,
+  LOCKFILE_EXCLUDES,
+  filterFiles,
+  validateFilterOptions
+};
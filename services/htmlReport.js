@@ -0,0 +1,284 @@
+/**
+ * HTML Report Service
+ * Renders an analysis as a single self-contained HTML page: no external
+ * scripts, styles or fonts, so the file can be saved and shared as is
+ */
+
+const TOP_FILE_COUNT = 10;
+const MAX_LISTED_FILES = 10;
+
+const SEVERITY_ORDER = ['error', 'warning', 'info'];
+const SEVERITY_LABELS = { error: 'Errors', warning: 'Warnings', info: 'Information' };
+
+const PALETTE = ['#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f', '#edc948', '#b07aa1', '#ff9da7', '#9c755f', '#bab0ac'];
+
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatNumber = (value) => Number(value || 0).toLocaleString('en-US');
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const sum = (files, pick) => files.reduce((total, file) => total + (pick(file) || 0), 0);
+
+const maxCyclomatic = (file) => (file.complexity ? file.complexity.maxCyclomatic : 0);
+
+const STYLES = `
+  * { box-sizing: border-box; }
+  body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #1f2328; background: #f6f8fa; }
+  main { max-width: 1100px; margin: 0 auto; padding: 24px; }
+  h1 { margin: 0 0 4px; font-size: 26px; }
+  h2 { margin: 0 0 12px; font-size: 18px; }
+  section { background: #fff; border: 1px solid #d0d7de; border-radius: 8px; padding: 20px; margin-bottom: 20px; }
+  .muted { color: #656d76; font-size: 14px; }
+  .cards { display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 12px; }
+  .card { border: 1px solid #d0d7de; border-radius: 8px; padding: 12px; background: #fff; }
+  .card .value { font-size: 22px; font-weight: 600; }
+  .card .label { color: #656d76; font-size: 13px; }
+  .stacked { display: flex; height: 22px; border-radius: 4px; overflow: hidden; margin-bottom: 12px; }
+  .legend { display: flex; flex-wrap: wrap; gap: 12px; font-size: 13px; }
+  .swatch { display: inline-block; width: 10px; height: 10px; border-radius: 2px; margin-right: 4px; }
+  .bars { display: grid; grid-template-columns: minmax(160px, 2fr) 3fr auto; gap: 6px 12px; align-items: center; font-size: 13px; }
+  .bar { height: 14px; border-radius: 3px; background: #4e79a7; min-width: 2px; }
+  .path { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; font-size: 12px; word-break: break-all; }
+  .columns { display: grid; grid-template-columns: repeat(auto-fit, minmax(320px, 1fr)); gap: 20px; }
+  .badge { display: inline-block; border-radius: 10px; padding: 1px 8px; font-size: 12px; font-weight: 600; color: #fff; }
+  .badge.error, .gate.failed { background: #cf222e; }
+  .badge.warning { background: #bf8700; }
+  .badge.info { background: #0969da; }
+  .gate { display: inline-block; border-radius: 6px; padding: 4px 10px; color: #fff; font-weight: 600; }
+  .gate.passed { background: #1a7f37; }
+  ul.insights { list-style: none; padding: 0; margin: 0 0 16px; }
+  ul.insights li { border-left: 3px solid #d0d7de; padding: 6px 10px; margin-bottom: 8px; }
+  ul.insights li.error { border-color: #cf222e; }
+  ul.insights li.warning { border-color: #bf8700; }
+  ul.insights li.info { border-color: #0969da; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #d0d7de; }
+  th { cursor: pointer; user-select: none; background: #f6f8fa; position: sticky; top: 0; }
+  th[aria-sort="ascending"]::after { content: " \\25B2"; }
+  th[aria-sort="descending"]::after { content: " \\25BC"; }
+  td.number, th.number { text-align: right; }
+  .table-wrap { max-height: 600px; overflow: auto; }
+`;
+
+// Click a header to sort; numeric columns compare their data-value
+const SORT_SCRIPT = `
+  document.querySelectorAll('table.sortable').forEach(function (table) {
+    var headers = table.querySelectorAll('th');
+    headers.forEach(function (header, index) {
+      header.addEventListener('click', function () {
+        var ascending = header.getAttribute('aria-sort') !== 'ascending';
+        headers.forEach(function (other) { other.removeAttribute('aria-sort'); });
+        header.setAttribute('aria-sort', ascending ? 'ascending' : 'descending');
+        var numeric = header.classList.contains('number');
+        var body = table.tBodies[0];
+        var rows = Array.prototype.slice.call(body.rows);
+        rows.sort(function (a, b) {
+          var x = a.cells[index].getAttribute('data-value');
+          var y = b.cells[index].getAttribute('data-value');
+          var order = numeric ? Number(x) - Number(y) : x.localeCompare(y);
+          return ascending ? order : -order;
+        });
+        rows.forEach(function (row) { body.appendChild(row); });
+      });
+    });
+  });
+`;
+
+const renderCards = (analysis) => {
+  const countSeverity = (severity) => analysis.insights.filter(insight => insight.severity === severity).length;
+  const cards = [
+    ['Files analyzed', formatNumber(analysis.summary.totalFiles)],
+    ['Lines', formatNumber(analysis.statistics.totalLines)],
+    ['Code lines', formatNumber(sum(analysis.files, file => file.codeLines))],
+    ['Size', formatBytes(analysis.statistics.totalSize)],
+    ['Languages', formatNumber(Object.keys(analysis.statistics.languages).length)],
+    ...(analysis.statistics.duplication ? [['Duplicated lines', `${analysis.statistics.duplication.percentage}%`]] : []),
+    ['Errors', formatNumber(countSeverity('error'))],
+    ['Warnings', formatNumber(countSeverity('warning'))]
+  ];
+
+  return `<div class="cards">${cards.map(([label, value]) =>
+    `<div class="card"><div class="value">${escapeHtml(value)}</div><div class="label">${escapeHtml(label)}</div></div>`).join('')}</div>`;
+};
+
+const renderGate = (gate) => {
+  if (!gate) return '';
+
+  const failures = gate.failures.map(failure =>
+    `<li class="error"><strong>${escapeHtml(failure.rule)}</strong>: ${escapeHtml(failure.message)}${renderFileList(failure.files.map(file => file.path))}</li>`).join('');
+
+  return `<section>
+    <h2>Quality gate <span class="gate ${gate.passed ? 'passed' : 'failed'}">${gate.passed ? 'Passed' : 'Failed'}</span></h2>
+    ${failures ? `<ul class="insights">${failures}</ul>` : '<p class="muted">All thresholds were met.</p>'}
+  </section>`;
+};
+
+const renderLanguages = (statistics) => {
+  const languages = Object.entries(statistics.languages).sort((a, b) => b[1].bytes - a[1].bytes);
+  if (languages.length === 0) return '';
+
+  const color = (index) => PALETTE[index % PALETTE.length];
+  const segments = languages.map(([language, stats], index) =>
+    `<div style="width:${stats.byteShare}%;background:${color(index)}" title="${escapeHtml(language)} ${stats.byteShare}%"></div>`).join('');
+  const legend = languages.map(([language, stats], index) =>
+    `<span><span class="swatch" style="background:${color(index)}"></span>${escapeHtml(language)} ${stats.byteShare}% (${formatNumber(stats.files)} file(s))</span>`).join('');
+
+  return `<section>
+    <h2>Languages</h2>
+    <div class="stacked">${segments}</div>
+    <div class="legend">${legend}</div>
+  </section>`;
+};
+
+// Horizontal bar chart of `{ label, value, display }` rows
+const renderBars = (rows) => {
+  const max = Math.max(...rows.map(row => row.value), 1);
+  return `<div class="bars">${rows.map(row => `
+      <span class="path">${escapeHtml(row.label)}</span>
+      <div class="bar" style="width:${(row.value / max) * 100}%"></div>
+      <span>${escapeHtml(row.display)}</span>`).join('')}
+    </div>`;
+};
+
+const renderTopFiles = (files) => {
+  const largest = [...files]
+    .sort((a, b) => b.size - a.size)
+    .slice(0, TOP_FILE_COUNT)
+    .map(file => ({ label: file.path, value: file.size, display: formatBytes(file.size) }));
+  const complex = files
+    .filter(file => file.complexity && file.complexity.totalCyclomatic > 0)
+    .sort((a, b) => b.complexity.totalCyclomatic - a.complexity.totalCyclomatic)
+    .slice(0, TOP_FILE_COUNT)
+    .map(file => ({
+      label: file.path,
+      value: file.complexity.totalCyclomatic,
+      display: `${file.complexity.totalCyclomatic} (max ${file.complexity.maxCyclomatic})`
+    }));
+
+  return `<section class="columns">
+    <div>
+      <h2>Largest files</h2>
+      ${largest.length > 0 ? renderBars(largest) : '<p class="muted">No files.</p>'}
+    </div>
+    <div>
+      <h2>Most complex files</h2>
+      <p class="muted">Total cyclomatic complexity (highest single function)</p>
+      ${complex.length > 0 ? renderBars(complex) : '<p class="muted">No JavaScript/TypeScript functions were measured.</p>'}
+    </div>
+  </section>`;
+};
+
+const renderFileList = (paths) => {
+  if (!paths || paths.length === 0) return '';
+  const shown = paths.slice(0, MAX_LISTED_FILES).map(filePath => `<span class="path">${escapeHtml(filePath)}</span>`).join(', ');
+  const more = paths.length > MAX_LISTED_FILES ? ` and ${paths.length - MAX_LISTED_FILES} more` : '';
+  return `<div class="muted">${shown}${more}</div>`;
+};
+
+const renderInsights = (insights) => {
+  const groups = SEVERITY_ORDER
+    .map(severity => [severity, insights.filter(insight => (insight.severity || insight.type) === severity)])
+    .filter(([, group]) => group.length > 0);
+
+  if (groups.length === 0) {
+    return '<section><h2>Insights</h2><p class="muted">No insights.</p></section>';
+  }
+
+  return `<section>
+    <h2>Insights</h2>
+    ${groups.map(([severity, group]) => `
+      <h3><span class="badge ${severity}">${group.length}</span> ${SEVERITY_LABELS[severity]}</h3>
+      <ul class="insights">
+        ${group.map(insight => `<li class="${severity}">
+          ${escapeHtml(insight.message)}
+          ${insight.ruleId ? `<span class="muted">(${escapeHtml(insight.ruleId)})</span>` : ''}
+          ${renderFileList(insight.files)}
+        </li>`).join('')}
+      </ul>`).join('')}
+  </section>`;
+};
+
+const renderFileTable = (files) => {
+  const columns = [
+    { label: 'Path', value: file => file.path, display: file => `<span class="path">${escapeHtml(file.path)}</span>` },
+    { label: 'Language', value: file => file.language || '' },
+    { label: 'Lines', numeric: true, value: file => file.lines },
+    { label: 'Code', numeric: true, value: file => file.codeLines || 0 },
+    { label: 'Comments', numeric: true, value: file => file.commentLines || 0 },
+    { label: 'Size', numeric: true, value: file => file.size, display: file => formatBytes(file.size) },
+    { label: 'Functions', numeric: true, value: file => (file.metrics ? file.metrics.functionCount : 0) },
+    { label: 'Max cyclomatic', numeric: true, value: maxCyclomatic },
+    { label: 'Findings', numeric: true, value: file => (file.security || []).length + (file.secrets || []).length }
+  ];
+
+  const header = columns.map(column =>
+    `<th${column.numeric ? ' class="number"' : ''}>${escapeHtml(column.label)}</th>`).join('');
+  const rows = files.map(file => `<tr>${columns.map(column => {
+    const value = column.value(file);
+    const display = column.display ? column.display(file) : escapeHtml(column.numeric ? formatNumber(value) : value);
+    return `<td${column.numeric ? ' class="number"' : ''} data-value="${escapeHtml(value)}">${display}</td>`;
+  }).join('')}</tr>`).join('\n');
+
+  return `<section>
+    <h2>Files</h2>
+    <p class="muted">Click a column header to sort.</p>
+    <div class="table-wrap">
+      <table class="sortable">
+        <thead><tr>${header}</tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  </section>`;
+};
+
+/**
+ * Render the report page.
+ * @param {Object} analysis - A result of analyzeCodebase
+ * @param {Object} [meta]
+ * @param {string} [meta.title] - Page heading, e.g. the project name
+ * @returns {string} HTML document
+ */
+const renderHtmlReport = (analysis, meta = {}) => {
+  const title = meta.title || 'Codebase analysis';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)} - Codebase Analyzer report</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+  <main>
+    <header style="margin-bottom:20px">
+      <h1>${escapeHtml(title)}</h1>
+      <div class="muted">Analyzed ${escapeHtml(analysis.summary.analyzedAt)} &middot; ${formatNumber(analysis.summary.skippedFiles || 0)} file(s) skipped</div>
+    </header>
+    <section>${renderCards(analysis)}</section>
+    ${renderGate(analysis.gate)}
+    ${renderLanguages(analysis.statistics)}
+    ${renderTopFiles(analysis.files)}
+    ${renderInsights(analysis.insights)}
+    ${renderFileTable(analysis.files)}
+  </main>
+  <script>${SORT_SCRIPT}</script>
+</body>
+</html>
+`;
+};
+
+module.exports = {
+  escapeHtml,
+  renderHtmlReport
+};
@@ -0,0 +1,496 @@
+/**
+ * Insight Rules
+ * Built-in rules run by the rule engine to produce analysis insights
+ *
+ * A rule is `{ id, severity, description, scope, options, check, report? }`:
+ * - `scope: 'file'` rules get `check(file, options, context)` for every
+ *   analyzed file; the matching files are passed to
+ *   `report(files, options, context)`, which returns the insight's
+ *   `{ message, ...extra }`
+ * - `scope: 'analysis'` rules get `check(context, options)` once and return
+ *   null, one finding or an array of findings `{ message, files?, ...extra }`
+ * A finding may set `severity` to escalate itself unless the request
+ * configured the rule's severity explicitly.
+ */
+
+const { SECURITY_RULES } = require('./securityScanner');
+const { CATEGORIES } = require('./stackDetector');
+
+const CATEGORY_LABELS = { framework: 'Frameworks', build: 'Build', testing: 'Testing', platform: 'Platform' };
+
+// Test directories and `*.test.*` / `*.spec.*` / `test_*.py` files
+const TEST_FILE = /(?:^|[\\/])(?:__tests__|tests?|spec)[\\/]|[._-](?:test|spec)\.[^.\\/]+$|(?:^|[\\/])test_[^\\/]+\.py$/;
+
+// Most complex functions across the codebase, by cyclomatic then cognitive score
+const findComplexityHotspots = (files, count) => {
+  const functions = [];
+  for (const file of files) {
+    for (const fn of file.functions || []) {
+      functions.push({
+        path: file.path,
+        name: fn.name,
+        line: fn.startLine,
+        length: fn.length,
+        ...fn.complexity
+      });
+    }
+  }
+
+  return functions
+    .sort((a, b) => (b.cyclomatic - a.cyclomatic) || (b.cognitive - a.cognitive))
+    .slice(0, count);
+};
+
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+
+const meetsConfidence = (finding, minimum) =>
+  CONFIDENCE_LEVELS.indexOf(finding.confidence) >= CONFIDENCE_LEVELS.indexOf(minimum);
+
+const BUILTIN_RULES = [
+  {
+    id: 'empty-codebase',
+    severity: 'warning',
+    description: 'No files were left to analyze',
+    scope: 'analysis',
+    options: {},
+    check: ({ analysis }) => (analysis.summary.totalFiles === 0
+      ? { message: 'No files found in codebase' }
+      : null)
+  },
+  {
+    id: 'invalid-config',
+    severity: 'warning',
+    description: 'The .codeanalyzer.json file or the rule settings could not be used',
+    scope: 'analysis',
+    options: {},
+    check: ({ projectConfig, invalidRules }) => {
+      const findings = [];
+      if (projectConfig && projectConfig.error) {
+        findings.push({
+          message: `${projectConfig.source} was ignored: ${projectConfig.error}`,
+          files: [projectConfig.source]
+        });
+      }
+      if (invalidRules && invalidRules.length > 0) {
+        findings.push({
+          message: `${invalidRules.length} insight rule setting(s) were ignored: ${invalidRules
+            .map(entry => `${entry.id} (${entry.reason})`)
+            .join(', ')}`
+        });
+      }
+      return findings;
+    }
+  },
+  {
+    id: 'hardcoded-secrets',
+    severity: 'error',
+    description: 'Credentials such as private keys, API keys and tokens committed in files',
+    scope: 'file',
+    options: { minConfidence: 'medium' },
+    check: (file, options) => (file.secrets || []).some(secret => meetsConfidence(secret, options.minConfidence)),
+    report: (files, options) => {
+      const secrets = files.flatMap(file => file.secrets
+        .filter(secret => meetsConfidence(secret, options.minConfidence))
+        .map(secret => ({ path: file.path, line: secret.line, type: secret.type })));
+      return {
+        message: `${secrets.length} possible secret(s) found in ${files.length} file(s): ${secrets
+          .slice(0, 5)
+          .map(secret => `${secret.type} (${secret.path}:${secret.line})`)
+          .join(', ')}`,
+        secrets
+      };
+    }
+  },
+  {
+    id: 'vulnerable-dependencies',
+    severity: 'warning',
+    description: 'Dependency versions with a known vulnerability in the local advisory database',
+    scope: 'analysis',
+    options: { includeDev: true },
+    check: ({ analysis }, options) => (analysis.vulnerabilities || [])
+      .filter(vulnerability => options.includeDev || !vulnerability.dev)
+      .map(vulnerability => ({
+        message: `${vulnerability.package} ${vulnerability.version} (${vulnerability.ecosystem}) is affected by ${vulnerability.id}` +
+          `${vulnerability.severity ? ` (${vulnerability.severity})` : ''}` +
+          `${vulnerability.summary ? `: ${vulnerability.summary}` : ''}. ` +
+          (vulnerability.fixedVersion ? `Fixed in ${vulnerability.fixedVersion}` : 'No fixed version is known'),
+        files: [vulnerability.manifest],
+        // High and critical advisories escalate to errors
+        ...(['high', 'critical'].includes(vulnerability.severity) && { severity: 'error' }),
+        vulnerability
+      }))
+  },
+  {
+    id: 'advisory-database-unavailable',
+    severity: 'warning',
+    description: 'Dependencies were not checked because the advisory database could not be loaded',
+    scope: 'analysis',
+    options: {},
+    check: ({ analysis }) => (analysis.advisoryDatabase && analysis.advisoryDatabase.error
+      ? { message: `Dependencies were not checked for known vulnerabilities: ${analysis.advisoryDatabase.error}` }
+      : null)
+  },
+  {
+    id: 'license-violations',
+    severity: 'error',
+    description: 'Licenses that the license policy denies or does not allow',
+    scope: 'analysis',
+    options: {},
+    check: ({ analysis }) => {
+      const violations = (analysis.licenses && analysis.licenses.policy) ? analysis.licenses.policy.violations : [];
+      // One insight per license expression
+      const groups = new Map();
+      for (const violation of violations) {
+        const key = violation.license || 'Unrecognized license';
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(violation);
+      }
+
+      return Array.from(groups, ([license, group]) => {
+        const reason = group[0].reason === 'unknown' ? 'could not be checked against the license policy' : `is ${group[0].reason} by the license policy`;
+        const packages = group.filter(violation => violation.package).map(violation => `${violation.package}@${violation.version}`);
+        return {
+          message: `${license} ${reason}: ${group.length} occurrence(s)` +
+            (packages.length > 0 ? ` including ${packages.slice(0, 5).join(', ')}` : ''),
+          files: Array.from(new Set(group.map(violation => violation.path))),
+          violations: group
+        };
+      });
+    }
+  },
+  {
+    id: 'large-codebase',
+    severity: 'info',
+    description: 'The codebase has many files',
+    scope: 'analysis',
+    options: { maxFiles: 100 },
+    check: ({ analysis }, options) => (analysis.summary.totalFiles > options.maxFiles
+      ? { message: `Large codebase detected with ${analysis.summary.totalFiles} files` }
+      : null)
+  },
+  {
+    id: 'multi-language',
+    severity: 'info',
+    description: 'The codebase mixes many languages',
+    scope: 'analysis',
+    options: { maxLanguages: 3 },
+    check: ({ analysis }, options) => {
+      const languageCount = Object.keys(analysis.statistics.languages).length;
+      return languageCount > options.maxLanguages
+        ? { message: `Multi-language project detected with ${languageCount} different languages` }
+        : null;
+    }
+  },
+  {
+    id: 'common-file-type',
+    severity: 'info',
+    description: 'The most common file extension',
+    scope: 'analysis',
+    options: {},
+    check: ({ analysis }) => {
+      const mostCommonType = Object.entries(analysis.statistics.fileTypes)
+        .sort((a, b) => b[1] - a[1])[0];
+      return mostCommonType
+        ? { message: `Most common file type: .${mostCommonType[0]} (${mostCommonType[1]} files)` }
+        : null;
+    }
+  },
+  {
+    id: 'detected-stack',
+    severity: 'info',
+    description: 'Frameworks, build tools, test runners and platforms found in the codebase',
+    scope: 'analysis',
+    options: {},
+    check: ({ analysis }) => {
+      const { technologies, projectTypes } = analysis.stack;
+      if (technologies.length === 0) return null;
+
+      const groups = CATEGORIES
+        .map(category => [category, technologies.filter(technology => technology.category === category)])
+        .filter(([, members]) => members.length > 0)
+        .map(([category, members]) => `${CATEGORY_LABELS[category]}: ${members.map(technology => technology.name).join(', ')}`);
+      const kind = projectTypes.length > 0 ? ` (${projectTypes.join(', ')} project)` : '';
+      return {
+        message: `Detected stack${kind}. ${groups.join('; ')}`,
+        files: Array.from(new Set(technologies.flatMap(technology => technology.evidence))),
+        stack: analysis.stack
+      };
+    }
+  },
+  {
+    id: 'missing-tests',
+    severity: 'info',
+    description: 'A framework is in use but no test runner or test files were found',
+    scope: 'analysis',
+    options: {},
+    check: ({ analysis }) => {
+      const { technologies } = analysis.stack;
+      const frameworks = technologies.filter(technology => technology.category === 'framework');
+      if (frameworks.length === 0 || technologies.some(technology => technology.category === 'testing')) return null;
+      if (analysis.files.some(file => TEST_FILE.test(file.path))) return null;
+      return {
+        message: `No test runner or test files found for this ${frameworks.map(f => f.name).join('/')} project. ` +
+          'Consider adding automated tests.'
+      };
+    }
+  },
+  {
+    id: 'docker-without-dockerignore',
+    severity: 'info',
+    description: 'Dockerfiles without a .dockerignore next to them',
+    scope: 'analysis',
+    options: {},
+    check: ({ analysis }) => {
+      const directory = (filePath) => filePath.replace(/\\/g, '/').replace(/\/?[^/]*$/, '');
+      const ignored = new Set(analysis.files
+        .filter(file => /(?:^|[\\/])\.dockerignore$/.test(file.path))
+        .map(file => directory(file.path)));
+      const dockerfiles = analysis.files
+        .filter(file => /(?:^|[\\/])Dockerfile(?:\.[\w-]+)?$/.test(file.path) && !ignored.has(directory(file.path)))
+        .map(file => file.path);
+      if (dockerfiles.length === 0) return null;
+      return {
+        message: `${dockerfiles.length} Dockerfile(s) have no .dockerignore beside them, so the whole directory ` +
+          '(including node_modules, .git and local secrets) is sent as build context',
+        files: dockerfiles
+      };
+    }
+  },
+  {
+    id: 'skipped-files',
+    severity: 'info',
+    description: 'Files left out of the analysis by filters',
+    scope: 'analysis',
+    options: {},
+    check: ({ analysis }) => {
+      if (analysis.skipped.length === 0) return null;
+
+      const reasons = {};
+      for (const entry of analysis.skipped) {
+        reasons[entry.reason] = (reasons[entry.reason] || 0) + 1;
+      }
+      return {
+        message: `${analysis.skipped.length} file(s) were skipped (${Object.entries(reasons)
+          .map(([reason, count]) => `${reason}: ${count}`)
+          .join(', ')})`,
+        files: analysis.skipped.map(entry => entry.path)
+      };
+    }
+  },
+  {
+    id: 'large-files',
+    severity: 'warning',
+    description: 'The average file is large',
+    scope: 'analysis',
+    options: { maxAverageBytes: 10000 },
+    check: ({ analysis }, options) => {
+      if (analysis.summary.totalFiles === 0) return null;
+
+      const avgFileSize = analysis.statistics.totalSize / analysis.summary.totalFiles;
+      if (avgFileSize <= options.maxAverageBytes) return null;
+      return {
+        message: 'Some files are quite large. Consider splitting them for better maintainability.',
+        files: analysis.files.filter(f => f.size > options.maxAverageBytes).map(f => f.path)
+      };
+    }
+  },
+  {
+    id: 'parse-errors',
+    severity: 'warning',
+    description: 'JavaScript/TypeScript files that could not be parsed',
+    scope: 'file',
+    options: {},
+    check: file => Boolean(file.parseError),
+    report: files => ({
+      message: `${files.length} file(s) could not be parsed: ${files.map(f => f.path).join(', ')}`
+    })
+  },
+  {
+    id: 'many-functions',
+    severity: 'warning',
+    description: 'Files that define many functions',
+    scope: 'file',
+    options: { maxFunctions: 10 },
+    check: (file, options) => file.metrics.functionCount > options.maxFunctions,
+    report: (files, options) => ({
+      message: `${files.length} file(s) have more than ${options.maxFunctions} functions. Consider refactoring.`
+    })
+  },
+  {
+    id: 'unresolved-imports',
+    severity: 'info',
+    description: 'Relative imports that do not match a submitted file',
+    scope: 'analysis',
+    options: {},
+    check: ({ analysis }) => {
+      const { unresolved } = analysis.dependencyGraph;
+      if (unresolved.length === 0) return null;
+      return {
+        message: `${unresolved.length} relative import(s) could not be resolved to a submitted file`,
+        files: Array.from(new Set(unresolved.map(entry => entry.from)))
+      };
+    }
+  },
+  {
+    id: 'circular-imports',
+    severity: 'warning',
+    description: 'Modules that import each other in a cycle',
+    scope: 'analysis',
+    options: {},
+    check: ({ analysis }) => {
+      if (analysis.cycles.length === 0) return null;
+      return {
+        message: `${analysis.cycles.length}${analysis.cyclesTruncated ? '+' : ''} circular import chain(s) detected: ${analysis.cycles
+          .slice(0, 5)
+          .map(cycle => cycle.join(' -> '))
+          .join('; ')}`,
+        files: Array.from(new Set(analysis.cycles.flat())),
+        cycles: analysis.cycles
+      };
+    }
+  },
+  {
+    id: 'orphan-modules',
+    severity: 'warning',
+    description: 'Modules nothing imports that are not entry points',
+    scope: 'analysis',
+    options: {},
+    check: ({ analysis }) => {
+      if (analysis.orphans.length === 0) return null;
+      return {
+        message: `${analysis.orphans.length} module(s) are never imported and are not entry points: ${analysis.orphans.slice(0, 10).join(', ')}`,
+        files: analysis.orphans
+      };
+    }
+  },
+  {
+    id: 'unused-exports',
+    severity: 'info',
+    description: 'Exported symbols that no submitted file imports',
+    scope: 'analysis',
+    options: {},
+    check: ({ analysis }) => {
+      const { unusedExports } = analysis.deadCode;
+      if (unusedExports.length === 0) return null;
+      return {
+        message: `${unusedExports.length} export(s) are never imported: ${unusedExports
+          .slice(0, 10)
+          .map(entry => `${entry.name} (${entry.path}:${entry.line})`)
+          .join(', ')}`,
+        files: Array.from(new Set(unusedExports.map(entry => entry.path))),
+        exports: unusedExports
+      };
+    }
+  },
+  {
+    id: 'unused-functions',
+    severity: 'warning',
+    description: 'Top-level functions never referenced in their own file',
+    scope: 'analysis',
+    options: {},
+    check: ({ analysis }) => {
+      const { unusedFunctions } = analysis.deadCode;
+      if (unusedFunctions.length === 0) return null;
+      return {
+        message: `${unusedFunctions.length} top-level function(s) are never used: ${unusedFunctions
+          .slice(0, 10)
+          .map(fn => `${fn.name} (${fn.path}:${fn.line})`)
+          .join(', ')}`,
+        files: Array.from(new Set(unusedFunctions.map(fn => fn.path))),
+        functions: unusedFunctions
+      };
+    }
+  },
+  {
+    id: 'unreachable-code',
+    severity: 'warning',
+    description: 'Statements after a return or throw that can never run',
+    scope: 'analysis',
+    options: {},
+    check: ({ analysis }) => {
+      const { unreachable } = analysis.deadCode;
+      if (unreachable.length === 0) return null;
+      return {
+        message: `${unreachable.length} block(s) of unreachable code: ${unreachable
+          .slice(0, 10)
+          .map(block => `${block.path}:${block.line} (after ${block.after})`)
+          .join(', ')}`,
+        files: Array.from(new Set(unreachable.map(block => block.path))),
+        blocks: unreachable
+      };
+    }
+  },
+  {
+    id: 'complexity-hotspots',
+    severity: 'info',
+    description: 'The most complex functions; a warning when the worst is above the thresholds',
+    scope: 'analysis',
+    options: { count: 5, warnCyclomatic: 10, warnCognitive: 15 },
+    check: ({ analysis }, options) => {
+      const hotspots = findComplexityHotspots(analysis.files, options.count);
+      if (hotspots.length === 0) return null;
+
+      const isComplex = hotspots[0].cyclomatic > options.warnCyclomatic ||
+        hotspots[0].cognitive > options.warnCognitive;
+      return {
+        ...(isComplex && { severity: 'warning' }),
+        message: `Most complex functions: ${hotspots
+          .map(h => `${h.name} (${h.path}:${h.line}, cyclomatic ${h.cyclomatic}, cognitive ${h.cognitive})`)
+          .join('; ')}`,
+        files: Array.from(new Set(hotspots.map(h => h.path))),
+        hotspots
+      };
+    }
+  },
+  {
+    id: 'code-duplication',
+    severity: 'warning',
+    description: 'A larger share of the code than allowed is duplicated',
+    scope: 'analysis',
+    options: { maxPercentage: 5 },
+    check: ({ analysis }, options) => {
+      const duplication = analysis.statistics.duplication;
+      if (!duplication || duplication.percentage <= options.maxPercentage) return null;
+
+      const largest = analysis.clones.slice(0, 5);
+      return {
+        message: `${duplication.percentage}% of lines are duplicated (limit ${options.maxPercentage}%) across ` +
+          `${analysis.clones.length} duplicated block(s). Largest: ${largest
+            .map(clone => clone.occurrences.map(o => `${o.path}:${o.startLine}-${o.endLine}`).join(' = '))
+            .join('; ')}`,
+        files: Array.from(new Set(analysis.clones.flatMap(clone => clone.occurrences.map(o => o.path)))),
+        clones: largest
+      };
+    }
+  }
+];
+
+/**
+ * One insight rule per security check, so each can be configured on its own
+ */
+const SECURITY_INSIGHT_RULES = Object.entries(SECURITY_RULES).map(([id, rule]) => ({
+  id,
+  severity: rule.severity,
+  description: `${rule.title} (${rule.cwe})`,
+  scope: 'file',
+  options: {},
+  check: file => (file.security || []).some(issue => issue.ruleId === id),
+  report: files => {
+    const issues = files.flatMap(file => file.security
+      .filter(issue => issue.ruleId === id)
+      .map(issue => ({ path: file.path, line: issue.line, severity: issue.severity, message: issue.message })));
+    return {
+      ...(issues.some(issue => issue.severity === 'error') && { severity: 'error' }),
+      message: `${rule.title} (${rule.cwe}): ${issues.length} occurrence(s) in ${files.length} file(s): ${issues
+        .slice(0, 5)
+        .map(issue => `${issue.path}:${issue.line}`)
+        .join(', ')}`,
+      cwe: rule.cwe,
+      issues
+    };
+  }
+}));
+
+module.exports = {
+  BUILTIN_RULES: [...BUILTIN_RULES, ...SECURITY_INSIGHT_RULES]
+};
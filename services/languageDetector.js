@@ -0,0 +1,256 @@
+/**
+ * Language Detector Service
+ * Identifies a file's language from its name, extension, shebang line,
+ * editor modeline or content, with a confidence score
+ */
+
+const path = require('path');
+const { LANGUAGE_MAP, FILENAME_MAP, SHEBANG_MAP, MODELINE_MAP } = require('./languages');
+
+// Only the beginning of large files is inspected for content heuristics
+const HEURISTIC_SAMPLE_SIZE = 64 * 1024;
+const MIN_HEURISTIC_SCORE = 4;
+const MAX_MATCHES_PER_PATTERN = 5;
+
+/**
+ * Weighted token patterns per language. A file scores the weight of
+ * each pattern once per match (up to MAX_MATCHES_PER_PATTERN).
+ */
+const HEURISTICS = {
+  'JavaScript': [
+    [/\b(?:const|let|var)\s+\w+\s*=/g, 1],
+    [/\bfunction\s*\w*\s*\([^)]*\)\s*\{/g, 2],
+    [/\brequire\(\s*['"][^'"]+['"]\s*\)/g, 3],
+    [/\bmodule\.exports\b/g, 4],
+    [/\bconsole\.(?:log|error|warn)\(/g, 2],
+    [/=>\s*[{(]/g, 1]
+  ],
+  'TypeScript': [
+    [/\binterface\s+\w+\s*(?:extends\s+[\w, ]+)?\{/g, 4],
+    [/\btype\s+\w+\s*=\s*[{\w'"]/g, 2],
+    [/:\s*(?:string|number|boolean|void|unknown|any)\b/g, 3],
+    [/\b(?:public|private|readonly)\s+\w+\s*:/g, 2]
+  ],
+  'Python': [
+    [/^\s*def\s+\w+\s*\([^)]*\)\s*(?:->\s*[\w[\], .]+)?:/gm, 4],
+    [/^\s*class\s+\w+(?:\([^)]*\))?\s*:\s*$/gm, 4],
+    [/^\s*(?:from\s+[\w.]+\s+)?import\s+[\w.]+(?:\s+as\s+\w+)?\s*$/gm, 2],
+    [/\bself\.\w+/g, 2],
+    [/^\s*elif\b/gm, 4],
+    [/^if\s+__name__\s*==\s*['"]__main__['"]/gm, 5]
+  ],
+  'Ruby': [
+    [/^\s*def\s+[\w.]+[?!]?(?:\s*\([^)]*\))?\s*$/gm, 3],
+    [/^\s*end\s*$/gm, 1],
+    [/^\s*require(?:_relative)?\s+['"]/gm, 3],
+    [/\bdo\s*\|[\w, ]+\|/g, 3],
+    [/^\s*(?:puts|attr_accessor|module)\s/gm, 2]
+  ],
+  'Shell': [
+    [/^\s*(?:fi|esac|done)\s*$/gm, 3],
+    [/^\s*(?:if|while)\s+\[\[?\s/gm, 3],
+    [/^\s*echo\s/gm, 2],
+    [/^\s*export\s+\w+=/gm, 3],
+    [/\$\{\w+[:#%]?[^}]*\}/g, 1]
+  ],
+  'PHP': [
+    [/<\?php\b/g, 6],
+    [/\$this->\w+/g, 3],
+    [/\bfunction\s+\w+\s*\(\s*\$/g, 3]
+  ],
+  'Java': [
+    [/^\s*package\s+[\w.]+;\s*$/gm, 4],
+    [/^\s*import\s+(?:static\s+)?[\w.]+(?:\.\*)?;\s*$/gm, 2],
+    [/\bpublic\s+(?:static\s+)?(?:final\s+)?(?:class|interface|void|enum)\b/g, 3],
+    [/\bSystem\.out\.println\(/g, 4]
+  ],
+  'C#': [
+    [/^\s*using\s+System(?:\.\w+)*;\s*$/gm, 5],
+    [/^\s*namespace\s+[\w.]+/gm, 3],
+    [/\bConsole\.WriteLine\(/g, 4],
+    [/\{\s*get;\s*(?:private\s+)?set;\s*\}/g, 4]
+  ],
+  'Go': [
+    [/^package\s+\w+\s*$/gm, 4],
+    [/^func\s+(?:\([^)]*\)\s*)?\w+\s*\(/gm, 4],
+    [/\w+\s*:=\s*/g, 2],
+    [/\bfmt\.\w+\(/g, 3]
+  ],
+  'Rust': [
+    [/\bfn\s+\w+\s*(?:<[^>]*>)?\s*\(/g, 3],
+    [/\blet\s+mut\s+\w+/g, 4],
+    [/^\s*(?:pub\s+)?(?:impl|struct|enum|trait)\s+\w+/gm, 2],
+    [/\b(?:println|vec|format)!\s*[([]/g, 4],
+    [/^\s*use\s+\w+(?:::\w+)+/gm, 3]
+  ],
+  'C': [
+    [/^\s*#include\s*<\w+\.h>/gm, 3],
+    [/\bint\s+main\s*\(/g, 2],
+    [/\b(?:printf|malloc|free)\s*\(/g, 2]
+  ],
+  'C++': [
+    [/^\s*#include\s*<(?:iostream|vector|string|map|memory|algorithm)>/gm, 4],
+    [/\bstd::\w+/g, 3],
+    [/\bcout\s*<</g, 3],
+    [/\btemplate\s*</g, 3]
+  ],
+  'HTML': [
+    [/<!DOCTYPE\s+html>/gi, 6],
+    [/<\/?(?:html|head|body|div|span|script)\b/gi, 1]
+  ],
+  'XML': [
+    [/^<\?xml\s/g, 6]
+  ],
+  'SQL': [
+    [/\b(?:SELECT|INSERT\s+INTO|CREATE\s+TABLE|ALTER\s+TABLE|DELETE\s+FROM)\b/g, 3],
+    [/\b(?:FROM|WHERE|JOIN|GROUP\s+BY|ORDER\s+BY)\b/g, 1]
+  ],
+  'Dockerfile': [
+    [/^FROM\s+\S+/gm, 4],
+    [/^(?:RUN|CMD|ENTRYPOINT|COPY|WORKDIR|EXPOSE|ENV)\s/gm, 2]
+  ],
+  'Makefile': [
+    [/^\.PHONY\s*:/gm, 5],
+    [/^[\w./-]+\s*:(?:\s[^=]*)?$/gm, 1],
+    [/\$\((?:CC|CFLAGS|MAKE|\w+)\)/g, 1]
+  ],
+  'YAML': [
+    [/^[\w-]+:(?:\s+\S.*)?$/gm, 1],
+    [/^\s+-\s+[\w-]+:\s/gm, 1],
+    [/^---\s*$/gm, 2]
+  ],
+  'Markdown': [
+    [/^#{1,6}\s+\S/gm, 2],
+    [/\[[^\]]+\]\([^)]+\)/g, 2],
+    [/^```/gm, 2]
+  ]
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const detectByFilename = (fileName) => {
+  const name = fileName.toLowerCase();
+  if (FILENAME_MAP[name]) return FILENAME_MAP[name];
+
+  // Dockerfile.dev, Makefile.local
+  const prefix = name.split('.')[0];
+  return ['dockerfile', 'makefile'].includes(prefix) ? FILENAME_MAP[prefix] : null;
+};
+
+const detectByExtension = (fileName) => {
+  const match = fileName.match(/.\.([^.]+)$/);
+  return match ? LANGUAGE_MAP[match[1].toLowerCase()] || null : null;
+};
+
+// `#!/usr/bin/env node`, `#!/bin/bash -e`, `#!/usr/bin/env -S deno run`
+const detectByShebang = (content) => {
+  if (!content.startsWith('#!')) return null;
+  const match = content.match(/^#!\s*(\S+)(.*)/);
+  if (!match) return null;
+
+  let interpreter = path.posix.basename(match[1]);
+  if (interpreter === 'env') {
+    const args = match[2].trim().split(/\s+/).filter(arg => !arg.startsWith('-'));
+    interpreter = args[0] || '';
+  }
+
+  // python3.11 -> python3
+  const name = interpreter.replace(/(\d)\.\d+$/, '$1');
+  return SHEBANG_MAP[name] || SHEBANG_MAP[name.replace(/\d+$/, '')] || null;
+};
+
+// vim: `vim: set ft=python:` / `vi: syntax=ruby`; emacs: `-*- mode: python -*-` / `-*- python -*-`
+const detectByModeline = (content) => {
+  const lines = content.split('\n');
+  const candidates = lines.slice(0, 5).concat(lines.slice(-5));
+
+  for (const line of candidates) {
+    const vim = line.match(/\b(?:vim?|ex):.*?\b(?:ft|filetype|syn|syntax)=([\w+#-]+)/);
+    const emacs = line.match(/-\*-\s*(?:.*?mode:\s*)?([\w+#-]+)\s*(?:;.*)?-\*-/i);
+    const name = (vim && vim[1]) || (emacs && emacs[1]);
+    if (name && MODELINE_MAP[name.toLowerCase()]) {
+      return MODELINE_MAP[name.toLowerCase()];
+    }
+  }
+  return null;
+};
+
+const isJsonDocument = (content) => {
+  const trimmed = content.trim();
+  if (!/^[{[]/.test(trimmed)) return false;
+  try {
+    JSON.parse(trimmed);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Score the content against every language's weighted patterns. The
+ * confidence reflects how far the best language is ahead of the rest.
+ */
+const detectByContent = (content) => {
+  const sample = content.slice(0, HEURISTIC_SAMPLE_SIZE);
+
+  if (isJsonDocument(sample)) {
+    return { language: 'JSON', confidence: 0.9 };
+  }
+
+  const scores = Object.entries(HEURISTICS).map(([language, patterns]) => {
+    const score = patterns.reduce((total, [pattern, weight]) => {
+      const matches = (sample.match(pattern) || []).length;
+      return total + Math.min(matches, MAX_MATCHES_PER_PATTERN) * weight;
+    }, 0);
+    return { language, score };
+  }).sort((a, b) => b.score - a.score);
+
+  const [best, runnerUp] = scores;
+  if (best.score < MIN_HEURISTIC_SCORE) {
+    return null;
+  }
+
+  const margin = (best.score - runnerUp.score) / best.score;
+  return { language: best.language, confidence: round(0.3 + 0.5 * margin) };
+};
+
+/**
+ * Detect a file's language. Returns `{ language, confidence, source }`
+ * where `source` says which signal decided it: filename, extension,
+ * shebang, modeline or content. Unrecognized files are 'Unknown' with
+ * confidence 0.
+ */
+const detectLanguage = (filePath, content = '') => {
+  const fileName = path.posix.basename(filePath.replace(/\\/g, '/'));
+
+  const byFilename = detectByFilename(fileName);
+  if (byFilename) {
+    return { language: byFilename, confidence: 1, source: 'filename' };
+  }
+
+  const byExtension = detectByExtension(fileName);
+  if (byExtension) {
+    return { language: byExtension, confidence: 0.95, source: 'extension' };
+  }
+
+  const byShebang = detectByShebang(content);
+  if (byShebang) {
+    return { language: byShebang, confidence: 0.9, source: 'shebang' };
+  }
+
+  const byModeline = detectByModeline(content);
+  if (byModeline) {
+    return { language: byModeline, confidence: 0.9, source: 'modeline' };
+  }
+
+  const byContent = detectByContent(content);
+  if (byContent) {
+    return { ...byContent, source: 'content' };
+  }
+
+  return { language: 'Unknown', confidence: 0, source: null };
+};
+
+module.exports = {
+  detectLanguage
+};
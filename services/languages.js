@@ -0,0 +1,304 @@
+/**
+ * Language Definitions
+ * Maps file extensions, well-known filenames, shebang interpreters and
+ * modeline names to languages, and describes each language's comment
+ * and string syntax for line classification
+ */
+
+const LANGUAGE_MAP = {
+  'js': 'JavaScript',
+  'jsx': 'JavaScript',
+  'ts': 'TypeScript',
+  'tsx': 'TypeScript',
+  'py': 'Python',
+  'java': 'Java',
+  'cpp': 'C++',
+  'c': 'C',
+  'cs': 'C#',
+  'php': 'PHP',
+  'rb': 'Ruby',
+  'go': 'Go',
+  'rs': 'Rust',
+  'swift': 'Swift',
+  'kt': 'Kotlin',
+  'html': 'HTML',
+  'css': 'CSS',
+  'scss': 'SCSS',
+  'json': 'JSON',
+  'xml': 'XML',
+  'yaml': 'YAML',
+  'yml': 'YAML',
+  'md': 'Markdown',
+  'sh': 'Shell',
+  'sql': 'SQL',
+  'mjs': 'JavaScript',
+  'cjs': 'JavaScript',
+  'mts': 'TypeScript',
+  'cts': 'TypeScript',
+  'h': 'C',
+  'hpp': 'C++',
+  'cc': 'C++',
+  'bash': 'Shell',
+  'zsh': 'Shell',
+  'pl': 'Perl',
+  'groovy': 'Groovy',
+  'mk': 'Makefile',
+  'dockerfile': 'Dockerfile'
+};
+
+// Files recognized by their full name, regardless of extension
+const FILENAME_MAP = {
+  'dockerfile': 'Dockerfile',
+  'containerfile': 'Dockerfile',
+  'makefile': 'Makefile',
+  'gnumakefile': 'Makefile',
+  'cmakelists.txt': 'CMake',
+  'jenkinsfile': 'Groovy',
+  'gemfile': 'Ruby',
+  'rakefile': 'Ruby',
+  'podfile': 'Ruby',
+  'vagrantfile': 'Ruby',
+  '.bashrc': 'Shell',
+  '.bash_profile': 'Shell',
+  '.bash_aliases': 'Shell',
+  '.zshrc': 'Shell',
+  '.zprofile': 'Shell',
+  '.profile': 'Shell',
+  '.envrc': 'Shell',
+  '.gitignore': 'Ignore List',
+  '.dockerignore': 'Ignore List',
+  '.npmignore': 'Ignore List',
+  '.eslintignore': 'Ignore List',
+  '.babelrc': 'JSON',
+  '.eslintrc': 'JSON',
+  '.prettierrc': 'JSON',
+  '.firebaserc': 'JSON'
+};
+
+// Interpreters named on a `#!` line
+const SHEBANG_MAP = {
+  'node': 'JavaScript',
+  'nodejs': 'JavaScript',
+  'deno': 'TypeScript',
+  'ts-node': 'TypeScript',
+  'python': 'Python',
+  'python2': 'Python',
+  'python3': 'Python',
+  'ruby': 'Ruby',
+  'php': 'PHP',
+  'perl': 'Perl',
+  'sh': 'Shell',
+  'bash': 'Shell',
+  'zsh': 'Shell',
+  'dash': 'Shell',
+  'ksh': 'Shell',
+  'make': 'Makefile',
+  'groovy': 'Groovy'
+};
+
+// Language names used in vim `ft=`/`syntax=` and emacs `mode:` modelines
+const MODELINE_MAP = {
+  'javascript': 'JavaScript',
+  'js': 'JavaScript',
+  'typescript': 'TypeScript',
+  'python': 'Python',
+  'java': 'Java',
+  'cpp': 'C++',
+  'c++': 'C++',
+  'c': 'C',
+  'cs': 'C#',
+  'csharp': 'C#',
+  'php': 'PHP',
+  'ruby': 'Ruby',
+  'go': 'Go',
+  'rust': 'Rust',
+  'swift': 'Swift',
+  'kotlin': 'Kotlin',
+  'html': 'HTML',
+  'css': 'CSS',
+  'scss': 'SCSS',
+  'json': 'JSON',
+  'xml': 'XML',
+  'yaml': 'YAML',
+  'markdown': 'Markdown',
+  'sh': 'Shell',
+  'bash': 'Shell',
+  'zsh': 'Shell',
+  'shell-script': 'Shell',
+  'sql': 'SQL',
+  'perl': 'Perl',
+  'groovy': 'Groovy',
+  'make': 'Makefile',
+  'makefile': 'Makefile',
+  'dockerfile': 'Dockerfile',
+  'cmake': 'CMake'
+};
+
+// Reusable syntax fragments
+const C_BLOCK = { open: '/*', close: '*/' };
+const NESTED_C_BLOCK = { open: '/*', close: '*/', nested: true };
+const HTML_BLOCK = { open: '<!--', close: '-->' };
+const HASH_LINE = { marker: '#', afterSpace: true };
+
+const DOUBLE_QUOTED = { delimiter: '"', escape: '\\' };
+const SINGLE_QUOTED = { delimiter: '\'', escape: '\\' };
+const TRIPLE_QUOTED = { delimiter: '"""', escape: '\\', multiline: true };
+
+const C_STYLE = {
+  lineComments: [{ marker: '//' }],
+  blockComments: [C_BLOCK],
+  strings: [DOUBLE_QUOTED, SINGLE_QUOTED]
+};
+
+/**
+ * Lexical syntax per language, keyed by the names in LANGUAGE_MAP.
+ * - lineComments: `marker` starts a comment running to end of line;
+ *   `afterSpace` requires it to start a word (e.g. shell `#`)
+ * - blockComments: `open`/`close` pairs, optionally `nested` or only
+ *   recognized at the start of a line (`lineStart`)
+ * - strings: `delimiter`, optional `escape` character, `multiline`
+ *   when the literal may span lines, `docstring` when a literal that
+ *   begins a line documents code rather than being code
+ */
+const SYNTAX = {
+  'JavaScript': {
+    ...C_STYLE,
+    strings: [DOUBLE_QUOTED, SINGLE_QUOTED, { delimiter: '`', escape: '\\', multiline: true }]
+  },
+  'TypeScript': {
+    ...C_STYLE,
+    strings: [DOUBLE_QUOTED, SINGLE_QUOTED, { delimiter: '`', escape: '\\', multiline: true }]
+  },
+  'Python': {
+    lineComments: [{ marker: '#' }],
+    blockComments: [],
+    strings: [
+      { ...TRIPLE_QUOTED, docstring: true },
+      { delimiter: '\'\'\'', escape: '\\', multiline: true, docstring: true },
+      DOUBLE_QUOTED,
+      SINGLE_QUOTED
+    ]
+  },
+  'Java': {
+    ...C_STYLE,
+    strings: [TRIPLE_QUOTED, DOUBLE_QUOTED, SINGLE_QUOTED]
+  },
+  'C++': C_STYLE,
+  'C': C_STYLE,
+  'C#': {
+    ...C_STYLE,
+    strings: [{ delimiter: '@"', close: '"', multiline: true }, DOUBLE_QUOTED, SINGLE_QUOTED]
+  },
+  'PHP': {
+    lineComments: [{ marker: '//' }, { marker: '#' }],
+    blockComments: [C_BLOCK],
+    strings: [
+      { delimiter: '"', escape: '\\', multiline: true },
+      { delimiter: '\'', escape: '\\', multiline: true }
+    ]
+  },
+  'Ruby': {
+    lineComments: [{ marker: '#' }],
+    blockComments: [{ open: '=begin', close: '=end', lineStart: true }],
+    strings: [DOUBLE_QUOTED, SINGLE_QUOTED]
+  },
+  'Go': {
+    ...C_STYLE,
+    strings: [DOUBLE_QUOTED, SINGLE_QUOTED, { delimiter: '`', multiline: true }]
+  },
+  // Single quotes also introduce lifetimes (`'a`), so they are not string delimiters
+  'Rust': {
+    lineComments: [{ marker: '//' }],
+    blockComments: [NESTED_C_BLOCK],
+    strings: [{ delimiter: '"', escape: '\\', multiline: true }]
+  },
+  'Swift': {
+    lineComments: [{ marker: '//' }],
+    blockComments: [NESTED_C_BLOCK],
+    strings: [TRIPLE_QUOTED, DOUBLE_QUOTED]
+  },
+  'Kotlin': {
+    lineComments: [{ marker: '//' }],
+    blockComments: [NESTED_C_BLOCK],
+    strings: [{ delimiter: '"""', multiline: true }, DOUBLE_QUOTED, SINGLE_QUOTED]
+  },
+  // Apostrophes in text content are not string delimiters
+  'HTML': {
+    lineComments: [],
+    blockComments: [HTML_BLOCK],
+    strings: []
+  },
+  'XML': {
+    lineComments: [],
+    blockComments: [HTML_BLOCK],
+    strings: []
+  },
+  'Markdown': {
+    lineComments: [],
+    blockComments: [HTML_BLOCK],
+    strings: []
+  },
+  'CSS': {
+    lineComments: [],
+    blockComments: [C_BLOCK],
+    strings: [DOUBLE_QUOTED, SINGLE_QUOTED]
+  },
+  'SCSS': C_STYLE,
+  'JSON': {
+    lineComments: [],
+    blockComments: [],
+    strings: [DOUBLE_QUOTED]
+  },
+  'YAML': {
+    lineComments: [HASH_LINE],
+    blockComments: [],
+    strings: [DOUBLE_QUOTED, { delimiter: '\'' }]
+  },
+  'Shell': {
+    lineComments: [HASH_LINE],
+    blockComments: [],
+    strings: [
+      { delimiter: '"', escape: '\\', multiline: true },
+      { delimiter: '\'', multiline: true }
+    ]
+  },
+  'SQL': {
+    lineComments: [{ marker: '--' }],
+    blockComments: [C_BLOCK],
+    strings: [{ delimiter: '\'', multiline: true }, { delimiter: '"' }]
+  },
+  'Perl': {
+    lineComments: [HASH_LINE],
+    blockComments: [{ open: '=pod', close: '=cut', lineStart: true }],
+    strings: [DOUBLE_QUOTED, SINGLE_QUOTED]
+  },
+  'Groovy': C_STYLE,
+  'Dockerfile': {
+    lineComments: [{ marker: '#' }],
+    blockComments: [],
+    strings: [DOUBLE_QUOTED, SINGLE_QUOTED]
+  },
+  'Makefile': {
+    lineComments: [{ marker: '#' }],
+    blockComments: [],
+    strings: []
+  },
+  'CMake': {
+    lineComments: [{ marker: '#' }],
+    blockComments: [],
+    strings: [DOUBLE_QUOTED]
+  },
+  'Ignore List': {
+    lineComments: [{ marker: '#' }],
+    blockComments: [],
+    strings: []
+  }
+};
+
+module.exports = {
+  LANGUAGE_MAP,
+  FILENAME_MAP,
+  SHEBANG_MAP,
+  MODELINE_MAP,
+  SYNTAX
+};
@@ -0,0 +1,154 @@
+/**
+ * Rule Engine Service
+ * Registry of insight rules and the runner that turns an analysis into
+ * insights tagged with their rule id, severity and affected files
+ */
+
+const { BUILTIN_RULES } = require('./insightRules');
+
+const SEVERITIES = ['info', 'warning', 'error'];
+const SCOPES = ['file', 'analysis'];
+
+const registry = new Map();
+
+/**
+ * Add a rule to the registry (see insightRules.js for the rule shape).
+ * Throws when the rule is malformed or its id is taken.
+ */
+const registerRule = (rule) => {
+  if (!rule || typeof rule.id !== 'string' || !rule.id) {
+    throw new Error('Insight rules need a string id');
+  }
+  if (registry.has(rule.id)) {
+    throw new Error(`Insight rule "${rule.id}" is already registered`);
+  }
+  if (!SEVERITIES.includes(rule.severity)) {
+    throw new Error(`Insight rule "${rule.id}" has an invalid severity "${rule.severity}"`);
+  }
+  if (!SCOPES.includes(rule.scope) || typeof rule.check !== 'function') {
+    throw new Error(`Insight rule "${rule.id}" needs a scope of "file" or "analysis" and a check function`);
+  }
+  if (rule.scope === 'file' && typeof rule.report !== 'function') {
+    throw new Error(`File rule "${rule.id}" needs a report function`);
+  }
+
+  registry.set(rule.id, { options: {}, description: '', ...rule });
+};
+
+BUILTIN_RULES.forEach(registerRule);
+
+/**
+ * Public description of every registered rule
+ */
+const listRules = () => Array.from(registry.values()).map(rule => ({
+  id: rule.id,
+  severity: rule.severity,
+  description: rule.description,
+  scope: rule.scope,
+  options: rule.options
+}));
+
+/**
+ * Resolve per-rule settings for a run. Each source maps rule ids to
+ * `false`/`true` or `{ enabled, severity, options }`; later sources win.
+ * @returns {{ settings: Map, invalid: Array<{ id, reason }> }}
+ */
+const resolveRuleSettings = (...sources) => {
+  const settings = new Map();
+  for (const rule of registry.values()) {
+    settings.set(rule.id, { enabled: true, severity: rule.severity, severityConfigured: false, options: { ...rule.options } });
+  }
+
+  const invalid = [];
+  for (const source of sources) {
+    for (const [id, value] of Object.entries(source || {})) {
+      const setting = settings.get(id);
+      if (!setting) {
+        invalid.push({ id, reason: 'unknown rule' });
+        continue;
+      }
+
+      if (typeof value === 'boolean') {
+        setting.enabled = value;
+        continue;
+      }
+      if (!value || typeof value !== 'object') {
+        invalid.push({ id, reason: 'expected true, false or an object' });
+        continue;
+      }
+
+      if (value.enabled !== undefined) {
+        setting.enabled = value.enabled !== false;
+      }
+      if (value.severity !== undefined) {
+        if (SEVERITIES.includes(value.severity)) {
+          setting.severity = value.severity;
+          setting.severityConfigured = true;
+        } else {
+          invalid.push({ id, reason: `invalid severity "${value.severity}"` });
+        }
+      }
+      if (value.options && typeof value.options === 'object') {
+        Object.assign(setting.options, value.options);
+      }
+    }
+  }
+
+  return { settings, invalid };
+};
+
+// Warnings and errors both count as `type: 'warning'` for older clients
+const toInsight = (rule, setting, finding) => {
+  const { message, files, severity, ...extra } = finding;
+  const effectiveSeverity = !setting.severityConfigured && SEVERITIES.includes(severity)
+    ? severity
+    : setting.severity;
+
+  return {
+    type: effectiveSeverity === 'info' ? 'info' : 'warning',
+    message,
+    ruleId: rule.id,
+    severity: effectiveSeverity,
+    files: files || [],
+    ...extra
+  };
+};
+
+/**
+ * Run every enabled rule, in registration order.
+ * @param {Object} context - `{ analysis, options, projectConfig }`
+ * @param {Map} settings - From resolveRuleSettings
+ * @returns {Array} Insights
+ */
+const runRules = (context, settings) => {
+  const insights = [];
+
+  for (const rule of registry.values()) {
+    const setting = settings.get(rule.id);
+    if (!setting || !setting.enabled) continue;
+
+    if (rule.scope === 'file') {
+      const matches = context.analysis.files.filter(file => rule.check(file, setting.options, context));
+      if (matches.length === 0) continue;
+      const finding = rule.report(matches, setting.options, context);
+      insights.push(toInsight(rule, setting, { files: matches.map(file => file.path), ...finding }));
+      continue;
+    }
+
+    const result = rule.check(context, setting.options);
+    const findings = Array.isArray(result) ? result : (result ? [result] : []);
+    for (const finding of findings) {
+      insights.push(toInsight(rule, setting, finding));
+    }
+  }
+
+  return insights;
+};
+
+module.exports = {
+  SEVERITIES,
+  registerRule,
+  listRules,
+  resolveRuleSettings,
+  runRules
+};
@@ -0,0 +1,162 @@
+/**
+ * SARIF Formatter Service
+ * Converts an analysis into a SARIF 2.1.0 log for code scanning tools
+ */
+
+const { listRules } = require('./ruleEngine');
+const { SECURITY_RULES } = require('./securityScanner');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const TOOL_NAME = 'codebase-analyzer';
+const TOOL_VERSION = '1.0.0';
+
+const LEVELS = { error: 'error', warning: 'warning', info: 'note' };
+
+const cweNumber = (cwe) => cwe.replace(/^CWE-/, '');
+
+// Relative path as a URI reference, one encoded segment at a time
+const toUri = (filePath) => filePath.split('/').map(encodeURIComponent).join('/');
+
+const buildLocation = (filePath, line, column) => ({
+  physicalLocation: {
+    artifactLocation: { uri: toUri(filePath), uriBaseId: '%SRCROOT%' },
+    ...(line && {
+      region: {
+        startLine: line,
+        ...(column && { startColumn: column })
+      }
+    })
+  }
+});
+
+const buildRule = (rule) => {
+  const security = SECURITY_RULES[rule.id];
+  return {
+    id: rule.id,
+    name: rule.id.replace(/(^|-)(\w)/g, (match, dash, letter) => letter.toUpperCase()),
+    shortDescription: { text: rule.description },
+    defaultConfiguration: { level: LEVELS[rule.severity] },
+    ...(security && { helpUri: `https://cwe.mitre.org/data/definitions/${cweNumber(security.cwe)}.html` }),
+    properties: {
+      tags: security ? ['security', security.cwe] : ['maintainability'],
+      ...(rule.options && Object.keys(rule.options).length > 0 && { defaultOptions: rule.options })
+    }
+  };
+};
+
+/**
+ * Per-line results for insights whose rule has located findings, or null
+ * to fall back to one result per affected file
+ */
+const expandInsight = (insight, analysis) => {
+  if (SECURITY_RULES[insight.ruleId]) {
+    return (analysis.security || [])
+      .filter(issue => issue.ruleId === insight.ruleId)
+      .map(issue => ({
+        level: issue.severity,
+        message: `${issue.message} (${issue.cwe})`,
+        locations: [buildLocation(issue.path, issue.line, issue.column)]
+      }));
+  }
+
+  switch (insight.ruleId) {
+    case 'hardcoded-secrets':
+      return (insight.secrets || []).map(secret => ({
+        message: `Possible ${secret.type} committed in source`,
+        locations: [buildLocation(secret.path, secret.line)]
+      }));
+    case 'parse-errors':
+      return analysis.files
+        .filter(file => file.parseError)
+        .map(file => ({
+          message: `Could not parse file: ${file.parseError.message}`,
+          locations: [buildLocation(file.path, file.parseError.line, file.parseError.column)]
+        }));
+    case 'complexity-hotspots':
+      return (insight.hotspots || []).map(hotspot => ({
+        message: `${hotspot.name} has cyclomatic complexity ${hotspot.cyclomatic} and cognitive complexity ${hotspot.cognitive}`,
+        locations: [buildLocation(hotspot.path, hotspot.line)]
+      }));
+    case 'unresolved-imports':
+      return analysis.dependencyGraph.unresolved.map(entry => ({
+        message: `Import "${entry.specifier}" does not match a submitted file`,
+        locations: [buildLocation(entry.from, entry.line)]
+      }));
+    case 'circular-imports':
+      return (insight.cycles || []).map(cycle => ({
+        message: `Circular import chain: ${cycle.join(' -> ')}`,
+        locations: [buildLocation(cycle[0])]
+      }));
+    default:
+      return null;
+  }
+};
+
+const insightResults = (insight, analysis) => {
+  const expanded = expandInsight(insight, analysis);
+  if (expanded) return expanded;
+
+  if (insight.files && insight.files.length > 0) {
+    return insight.files.map(filePath => ({
+      message: insight.message,
+      locations: [buildLocation(filePath)]
+    }));
+  }
+  return [{ message: insight.message, locations: [] }];
+};
+
+/**
+ * Build the SARIF log. Every insight becomes one or more results under its
+ * rule; rules with located findings get one result per line.
+ * @param {Object} analysis - A result of analyzeCodebase
+ * @returns {Object} SARIF 2.1.0 log
+ */
+const toSarif = (analysis) => {
+  const rules = listRules();
+  const ruleIndex = new Map(rules.map((rule, index) => [rule.id, index]));
+
+  const results = [];
+  for (const insight of analysis.insights) {
+    for (const result of insightResults(insight, analysis)) {
+      results.push({
+        ruleId: insight.ruleId,
+        ...(ruleIndex.has(insight.ruleId) && { ruleIndex: ruleIndex.get(insight.ruleId) }),
+        level: LEVELS[result.level || insight.severity] || 'note',
+        message: { text: result.message },
+        locations: result.locations
+      });
+    }
+  }
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: TOOL_NAME,
+            version: TOOL_VERSION,
+            rules: rules.map(buildRule)
+          }
+        },
+        invocations: [
+          {
+            executionSuccessful: true,
+            endTimeUtc: analysis.summary.analyzedAt
+          }
+        ],
+        results,
+        properties: {
+          summary: analysis.summary,
+          ...(analysis.gate && { gate: analysis.gate })
+        }
+      }
+    ]
+  };
+};
+
+module.exports = {
+  SARIF_SCHEMA,
+  toSarif
+};
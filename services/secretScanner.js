@@ -0,0 +1,235 @@
+/**
+ * Secret Scanner Service
+ * Finds hardcoded credentials in file contents: private keys, cloud API
+ * keys, tokens, JWTs, service-account JSON, `.env`-style assignments and
+ * high-entropy strings. Findings only ever carry a redacted preview.
+ */
+
+const MAX_PREVIEW_LENGTH = 120;
+
+// Minimum length and Shannon entropy (bits per character) for a quoted
+// string to be reported as a possible secret on its own
+const ENTROPY_RULES = [
+  { charset: /^[0-9a-f]+$/i, minLength: 32, minEntropy: 3 },
+  { charset: /^[A-Za-z0-9+/=_-]+$/, minLength: 24, minEntropy: 4.2 }
+];
+
+// Variable names that suggest a credential. The lookbehind makes matching
+// start only at the beginning of a name, keeping long lines linear.
+const SECRET_NAME = '(?<![A-Za-z0-9_.-])[A-Za-z0-9_.-]*(?:secret|passw(?:or)?d|pwd|token|api[_-]?key|apikey|private[_-]?key|access[_-]?key|client[_-]?secret|credentials?)[A-Za-z0-9_.-]*';
+
+// Values that are clearly not real credentials
+const PLACEHOLDER = /^(?:x+|\*+|\.+|<.*>|\$\{.*\}|\{\{.*\}\}|%.*%|(?:your|my|some|example|sample|test|dummy|fake|placeholder|changeme|change_me|todo|replace|insert)[\w-]*|null|undefined|true|false|none)$/i;
+
+// Files made of KEY=value lines: dotenv, shell, properties and INI style
+const ENV_FILE = /(?:^|[\\/])(?:\.env(?:\.[\w.-]+)?|[^\\/]+\.(?:env|sh|bash|zsh|ksh|properties|ini|cfg|conf)|\.envrc|\.bashrc|\.bash_profile|\.zshrc|\.zprofile|\.profile)$/i;
+
+const isEnvFile = (path, language) => language === 'Shell' || (typeof path === 'string' && ENV_FILE.test(path));
+
+/**
+ * Pattern detectors, most specific first. `group` is the capture holding
+ * the secret (0 for the whole match). `envFilesOnly` detectors run on
+ * KEY=value files only.
+ */
+const DETECTORS = [
+  { type: 'private-key', pattern: /-----BEGIN (?:[A-Z]+ )*PRIVATE KEY(?: BLOCK)?-----/g, group: 0, keepHeader: true },
+  { type: 'aws-access-key-id', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g, group: 0 },
+  { type: 'aws-secret-access-key', pattern: /aws_?secret_?access_?key["']?\s*[:=]\s*["']?([A-Za-z0-9/+=]{40})(?![A-Za-z0-9/+=])/gi, group: 1 },
+  { type: 'google-api-key', pattern: /\bAIza[0-9A-Za-z_-]{35}(?![0-9A-Za-z_-])/g, group: 0 },
+  { type: 'github-token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36}|github_pat_[A-Za-z0-9_]{82})\b/g, group: 0 },
+  { type: 'slack-token', pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}/g, group: 0 },
+  { type: 'stripe-secret-key', pattern: /\b[rs]k_live_[0-9a-zA-Z]{24,}\b/g, group: 0 },
+  { type: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g, group: 0 },
+  // KEY=value assignments in .env files, shell scripts and the like,
+  // anywhere on the line (`A_KEY=x B_SECRET=y`). Unquoted values are
+  // ordinary code elsewhere (`this.apiKey = options.apiKey;`).
+  {
+    type: 'env-assignment',
+    pattern: new RegExp(`(?<![^\\s;])(${SECRET_NAME})\\s*=\\s*["']?([^\\s"'#]{8,})`, 'gi'),
+    group: 2,
+    checkValue: true,
+    envFilesOnly: true
+  },
+  // apiKey: "...", password = '...' in code and config files
+  {
+    type: 'secret-assignment',
+    pattern: new RegExp(`["']?(${SECRET_NAME})["']?\\s*[:=]\\s*["'\`]([^"'\`\\s]{8,})["'\`]`, 'gi'),
+    group: 2,
+    checkValue: true
+  }
+];
+
+const shannonEntropy = (value) => {
+  const counts = {};
+  for (const char of value) {
+    counts[char] = (counts[char] || 0) + 1;
+  }
+  let entropy = 0;
+  for (const count of Object.values(counts)) {
+    const probability = count / value.length;
+    entropy -= probability * Math.log2(probability);
+  }
+  return entropy;
+};
+
+const isPlaceholder = (value) => PLACEHOLDER.test(value) || /^(.)\1+$/.test(value) ||
+  /^(?:process\.env|import\.meta\.env|os\.environ|env\()/.test(value);
+
+const looksRandom = (value) => {
+  if (!/[0-9]/.test(value) || !/[a-zA-Z]/.test(value)) return false;
+  // Identifiers, paths and URLs rather than keys
+  if (/^[a-z]+(?:[A-Z][a-z]+)+$/.test(value) || /^\w+:\/\//.test(value) || /\.(?:js|ts|json|png|svg|css|html)$/.test(value)) {
+    return false;
+  }
+  // Subresource integrity and lockfile hashes are public
+  if (/^sha(?:1|256|384|512)-/.test(value)) return false;
+
+  return ENTROPY_RULES.some(rule => rule.charset.test(value) &&
+    value.length >= rule.minLength &&
+    shannonEntropy(value) >= rule.minEntropy);
+};
+
+/**
+ * Hide all but a few leading characters of a secret
+ */
+const redact = (secret) => {
+  const visible = Math.min(4, Math.floor(secret.length / 4));
+  return `${secret.slice(0, visible)}****`;
+};
+
+/**
+ * Previews for the secrets found on one line. Every secret on the line is
+ * redacted in every preview, so no finding shows its neighbours in
+ * cleartext; each preview is trimmed around its own secret.
+ * @param {string} line
+ * @param {Array<{ start, end, replacement }>} spans - Non-overlapping
+ */
+const buildPreviews = (line, spans) => {
+  const ordered = [...spans].sort((a, b) => a.start - b.start);
+  let redacted = '';
+  let position = 0;
+  const offsets = new Map();
+  for (const span of ordered) {
+    redacted += line.slice(position, span.start);
+    offsets.set(span, redacted.length);
+    redacted += span.replacement;
+    position = span.end;
+  }
+  redacted += line.slice(position);
+
+  return spans.map(span => {
+    const start = Math.max(0, offsets.get(span) - 40);
+    const preview = redacted.slice(start, start + MAX_PREVIEW_LENGTH).trim();
+    return start > 0 ? `…${preview}` : preview;
+  });
+};
+
+/**
+ * Locate a capture group within a regex match
+ */
+const groupIndex = (match, group) => (group === 0 ? match.index : match.index + match[0].indexOf(match[group]));
+
+/**
+ * Service-account key files: JSON with `"type": "service_account"` and a
+ * `"private_key"`. Reported once, at the private key.
+ */
+const findServiceAccount = (lines, content) => {
+  if (!/"type"\s*:\s*"service_account"/.test(content) || !/"private_key"\s*:/.test(content)) {
+    return null;
+  }
+  const lineIndex = lines.findIndex(line => /"private_key"\s*:/.test(line));
+  const line = lines[lineIndex];
+  const column = line.indexOf('"private_key"');
+  return {
+    type: 'service-account',
+    line: lineIndex + 1,
+    column: column + 1,
+    preview: '"private_key": "****"',
+    confidence: 'high'
+  };
+};
+
+/**
+ * Scan text for likely secrets.
+ * @param {string} content
+ * @param {Object} [file] - Where the content comes from
+ * @param {string} [file.path] - Path, used to recognize `.env`-style files
+ * @param {string} [file.language] - Detected language
+ * @returns {Array<{ type, line, column, preview, confidence }>} 1-based positions
+ */
+const scanSecrets = (content, { path, language } = {}) => {
+  const lines = content.split('\n');
+  const findings = [];
+  const detectors = isEnvFile(path, language) ? DETECTORS : DETECTORS.filter(detector => !detector.envFilesOnly);
+
+  const serviceAccount = findServiceAccount(lines, content);
+  if (serviceAccount) {
+    findings.push(serviceAccount);
+  }
+
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.replace(/\r$/, '');
+    // Service-account JSON keeps its private key on this line
+    if (serviceAccount && serviceAccount.line === index + 1) return;
+
+    const taken = [];
+    const overlaps = (start, end) => taken.some(range => start < range.end && end > range.start);
+
+    for (const detector of detectors) {
+      // Every occurrence on the line, e.g. several keys in one config entry
+      detector.pattern.lastIndex = 0;
+      let match;
+      while ((match = detector.pattern.exec(line)) !== null) {
+        const secret = match[detector.group];
+        const column = groupIndex(match, detector.group);
+        if (overlaps(column, column + secret.length)) continue;
+        if (detector.checkValue && (isPlaceholder(secret) || !(looksRandom(secret) || /[^A-Za-z]/.test(secret)))) {
+          continue;
+        }
+
+        taken.push({
+          start: column,
+          end: column + secret.length,
+          // A private key header is not itself secret
+          replacement: detector.keepHeader ? secret : redact(secret),
+          finding: {
+            type: detector.type,
+            line: index + 1,
+            column: column + 1,
+            preview: detector.keepHeader ? secret : null,
+            confidence: detector.checkValue ? 'medium' : 'high'
+          }
+        });
+      }
+    }
+
+    // Any other quoted string that looks like random key material
+    const strings = /["'`]([A-Za-z0-9+/=_-]{20,})["'`]/g;
+    let match;
+    while ((match = strings.exec(line)) !== null) {
+      const secret = match[1];
+      const column = match.index + 1;
+      if (overlaps(column, column + secret.length) || !looksRandom(secret)) continue;
+
+      taken.push({
+        start: column,
+        end: column + secret.length,
+        replacement: redact(secret),
+        finding: { type: 'high-entropy-string', line: index + 1, column: column + 1, preview: null, confidence: 'low' }
+      });
+    }
+
+    // Previews are built once every secret on the line is known
+    const previews = buildPreviews(line, taken);
+    taken.forEach((span, position) => {
+      findings.push({ ...span.finding, preview: span.finding.preview || previews[position] });
+    });
+  });
+
+  return findings.sort((a, b) => a.line - b.line || a.column - b.column);
+};
+
+module.exports = {
+  scanSecrets,
+  shannonEntropy
+};
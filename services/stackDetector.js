@@ -0,0 +1,145 @@
+/**
+ * Stack Detector Service
+ * Recognizes frameworks, build tools, test runners and platforms from the
+ * dependency inventory and from well-known files and file contents
+ */
+
+const { normalizePath } = require('./dependencyGraph');
+const { normalizePythonName } = require('./dependencyManifests');
+
+const CATEGORIES = ['framework', 'build', 'testing', 'platform'];
+
+// Files listed per technology; a Vue app can hold hundreds of .vue files
+const MAX_EVIDENCE = 10;
+
+const CONFIG_EXTENSION = '\\.(?:js|mjs|cjs|ts|mts|cts|json)$';
+
+// `name.config.js`, `name.config.ts`, ... anywhere in the tree
+const configFile = (name) => new RegExp(`(?:^|/)${name}\\.config${CONFIG_EXTENSION}`);
+
+const fileNamed = (...names) => new RegExp(`(?:^|/)(?:${names.map(name => name.replace(/\./g, '\\.')).join('|')})$`);
+
+const JVM_BUILD_FILE = fileNamed('pom.xml', 'build.gradle', 'build.gradle.kts');
+
+/**
+ * Known technologies. A technology is detected by any of:
+ * - `packages` - direct dependencies, by ecosystem
+ * - `files` - path patterns
+ * - `content` - `{ files, pattern }`: a matching file whose content matches
+ * Frameworks carry the `type` of project they indicate.
+ */
+const TECHNOLOGIES = [
+  { name: 'Express', category: 'framework', type: 'backend', packages: { npm: ['express'] } },
+  { name: 'Fastify', category: 'framework', type: 'backend', packages: { npm: ['fastify'] } },
+  { name: 'Koa', category: 'framework', type: 'backend', packages: { npm: ['koa'] } },
+  { name: 'NestJS', category: 'framework', type: 'backend', packages: { npm: ['@nestjs/core'] }, files: [fileNamed('nest-cli.json')] },
+  { name: 'React', category: 'framework', type: 'frontend', packages: { npm: ['react'] } },
+  { name: 'React Native', category: 'framework', type: 'mobile', packages: { npm: ['react-native'] } },
+  { name: 'Next.js', category: 'framework', type: 'fullstack', packages: { npm: ['next'] }, files: [configFile('next')] },
+  { name: 'Vue', category: 'framework', type: 'frontend', packages: { npm: ['vue'] }, files: [/\.vue$/] },
+  { name: 'Nuxt', category: 'framework', type: 'fullstack', packages: { npm: ['nuxt'] }, files: [configFile('nuxt')] },
+  { name: 'Angular', category: 'framework', type: 'frontend', packages: { npm: ['@angular/core'] }, files: [fileNamed('angular.json')] },
+  { name: 'Svelte', category: 'framework', type: 'frontend', packages: { npm: ['svelte'] }, files: [/\.svelte$/] },
+  {
+    name: 'Django',
+    category: 'framework',
+    type: 'backend',
+    packages: { PyPI: ['django'] },
+    content: [{ files: fileNamed('manage.py'), pattern: /\bdjango\b/i }]
+  },
+  { name: 'Flask', category: 'framework', type: 'backend', packages: { PyPI: ['flask'] } },
+  { name: 'FastAPI', category: 'framework', type: 'backend', packages: { PyPI: ['fastapi'] } },
+  {
+    name: 'Spring',
+    category: 'framework',
+    type: 'backend',
+    content: [
+      { files: JVM_BUILD_FILE, pattern: /org\.springframework/ },
+      { files: /\.(?:java|kt)$/, pattern: /@SpringBootApplication\b/ }
+    ]
+  },
+  { name: 'Ruby on Rails', category: 'framework', type: 'fullstack', packages: { RubyGems: ['rails'] } },
+
+  { name: 'TypeScript', category: 'build', packages: { npm: ['typescript'] }, files: [/(?:^|\/)tsconfig(?:\.[\w-]+)?\.json$/] },
+  { name: 'Vite', category: 'build', packages: { npm: ['vite'] }, files: [configFile('vite')] },
+  { name: 'Webpack', category: 'build', packages: { npm: ['webpack'] }, files: [configFile('webpack')] },
+  { name: 'Rollup', category: 'build', packages: { npm: ['rollup'] }, files: [configFile('rollup')] },
+  { name: 'Babel', category: 'build', packages: { npm: ['@babel/core'] }, files: [configFile('babel'), fileNamed('.babelrc', '.babelrc.json')] },
+  { name: 'Maven', category: 'build', files: [fileNamed('pom.xml', 'mvnw')] },
+  { name: 'Gradle', category: 'build', files: [fileNamed('build.gradle', 'build.gradle.kts', 'settings.gradle', 'settings.gradle.kts', 'gradlew')] },
+
+  { name: 'Jest', category: 'testing', packages: { npm: ['jest'] }, files: [configFile('jest')] },
+  { name: 'Vitest', category: 'testing', packages: { npm: ['vitest'] }, files: [configFile('vitest')] },
+  { name: 'Mocha', category: 'testing', packages: { npm: ['mocha'] }, files: [/(?:^|\/)\.mocharc\.(?:js|cjs|json|jsonc|ya?ml)$/] },
+  { name: 'Cypress', category: 'testing', packages: { npm: ['cypress'] }, files: [configFile('cypress')] },
+  { name: 'Playwright', category: 'testing', packages: { npm: ['@playwright/test'] }, files: [configFile('playwright')] },
+  { name: 'pytest', category: 'testing', packages: { PyPI: ['pytest'] }, files: [fileNamed('pytest.ini', 'conftest.py')] },
+  { name: 'RSpec', category: 'testing', packages: { RubyGems: ['rspec', 'rspec-rails'] }, files: [fileNamed('.rspec')] },
+  { name: 'JUnit', category: 'testing', content: [{ files: JVM_BUILD_FILE, pattern: /junit/i }] },
+
+  {
+    name: 'Firebase',
+    category: 'platform',
+    packages: { npm: ['firebase', 'firebase-admin', 'firebase-functions'] },
+    files: [fileNamed('firebase.json', '.firebaserc')]
+  },
+  {
+    name: 'Docker',
+    category: 'platform',
+    files: [/(?:^|\/)Dockerfile(?:\.[\w-]+)?$/, /\.dockerfile$/i, fileNamed('docker-compose.yml', 'docker-compose.yaml', 'compose.yml', 'compose.yaml')]
+  },
+  { name: 'GitHub Actions', category: 'platform', files: [/(?:^|\/)\.github\/workflows\/[^/]+\.ya?ml$/] },
+  { name: 'Vercel', category: 'platform', files: [fileNamed('vercel.json')] },
+  { name: 'Netlify', category: 'platform', files: [fileNamed('netlify.toml')] }
+];
+
+const packageName = (ecosystem, name) => (ecosystem === 'PyPI' ? normalizePythonName(name) : name);
+
+/**
+ * Detect the technologies a codebase uses.
+ * @param {Array} files - Analyzed `{ path, content }` files
+ * @param {Array} packages - `dependencies.packages` of the analysis
+ * @returns {{ technologies: Array<{ name, category, evidence: string[] }>, projectTypes: string[] }}
+ *   `evidence` lists up to 10 manifests and files each technology was found in;
+ *   `projectTypes` are the kinds of project the detected frameworks indicate
+ */
+const detectStack = (files, packages) => {
+  const paths = files.map(file => ({ file, path: normalizePath(file.path) }));
+  const technologies = [];
+  const projectTypes = new Set();
+
+  for (const technology of TECHNOLOGIES) {
+    const evidence = new Set();
+
+    for (const pkg of packages) {
+      const names = (technology.packages || {})[pkg.ecosystem];
+      if (pkg.direct && names && names.includes(packageName(pkg.ecosystem, pkg.name))) {
+        evidence.add(pkg.manifest);
+      }
+    }
+
+    for (const { file, path } of paths) {
+      const matchesFile = (technology.files || []).some(pattern => pattern.test(path));
+      const matchesContent = (technology.content || []).some(rule => rule.files.test(path) && rule.pattern.test(file.content));
+      if (matchesFile || matchesContent) {
+        evidence.add(file.path);
+      }
+    }
+
+    if (evidence.size === 0) continue;
+
+    technologies.push({
+      name: technology.name,
+      category: technology.category,
+      evidence: Array.from(evidence).sort().slice(0, MAX_EVIDENCE)
+    });
+    if (technology.type) projectTypes.add(technology.type);
+  }
+
+  return { technologies, projectTypes: Array.from(projectTypes).sort() };
+};
+
+module.exports = {
+  CATEGORIES,
+  detectStack
+};
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { compareVersions, matchAdvisories } = require('../services/advisoryDatabase');
+const { analyzeCodebase } = require('../services/codebaseAnalyzer');
+
+// Advisories keyed like indexAdvisories builds them
+const database = (ecosystem, name, events) => {
+  const advisory = {
+    id: 'GHSA-test',
+    summary: 'Test advisory',
+    database_specific: { severity: 'HIGH' },
+    affected: [{ package: { ecosystem, name }, ranges: [{ type: 'ECOSYSTEM', events }] }]
+  };
+  return { advisoryCount: 1, index: new Map([[`${ecosystem}:${name}`, [{ advisory, affected: advisory.affected[0] }]]]) };
+};
+
+const pypi = (range) => ({ name: 'requests', ecosystem: 'PyPI', range, version: null, dev: false, manifest: 'requirements.txt' });
+
+test('compareVersions orders semver and pre-release versions', () => {
+  assert.equal(compareVersions('npm', '1.2.3', '1.10.0'), -1);
+  assert.equal(compareVersions('PyPI', '2.0rc1', '2.0'), -1);
+  assert.equal(compareVersions('PyPI', '2.0.post1', '2.0'), 1);
+  assert.equal(compareVersions('PyPI', '1.0', '1.0.0'), 0);
+});
+
+test('matchAdvisories reports the affected range and fixed version', () => {
+  const db = database('npm', 'lodash', [{ introduced: '0' }, { fixed: '4.17.21' }]);
+  const [match] = matchAdvisories(db, [{ name: 'lodash', ecosystem: 'npm', version: '4.17.20', manifest: 'package.json' }]);
+  assert.equal(match.id, 'GHSA-test');
+  assert.equal(match.severity, 'high');
+  assert.equal(match.affectedRange, '<4.17.21');
+  assert.equal(match.fixedVersion, '4.17.21');
+  assert.deepEqual(matchAdvisories(db, [{ name: 'lodash', ecosystem: 'npm', version: '4.17.21' }]), []);
+});
+
+test('matchAdvisories infers the lowest version a range allows', () => {
+  const db = database('PyPI', 'requests', [{ introduced: '0' }, { fixed: '2.0.0' }]);
+  assert.equal(matchAdvisories(db, [pypi('>=1.5,<3')])[0].version, '1.5');
+  assert.equal(matchAdvisories(db, [pypi('~=1.8')])[0].version, '1.8');
+});
+
+test('matchAdvisories does not read != or <= as the lowest allowed version', () => {
+  const db = database('PyPI', 'requests', [{ introduced: '0' }, { fixed: '2.0.0' }]);
+  assert.deepEqual(matchAdvisories(db, [pypi('!=1.0.0,>=2.0.0')]), []);
+  assert.deepEqual(matchAdvisories(db, [pypi('<=1.9')]), []);
+  assert.equal(matchAdvisories(db, [pypi('!=1.2, >=1.1')])[0].version, '1.1');
+});
+
+test('analyzeCodebase reports an advisory database that could not be loaded', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'advisories-'));
+  const previous = process.env.ADVISORY_DB_PATH;
+  t.after(() => {
+    if (previous === undefined) delete process.env.ADVISORY_DB_PATH;
+    else process.env.ADVISORY_DB_PATH = previous;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+  const codebase = [{ path: 'package.json', content: JSON.stringify({ dependencies: { lodash: '4.17.20' } }) }];
+
+  process.env.ADVISORY_DB_PATH = path.join(directory, 'missing.json');
+  const missing = await analyzeCodebase(codebase);
+  assert.deepEqual(missing.vulnerabilities, []);
+  assert.deepEqual(missing.advisoryDatabase, { checked: false, advisoryCount: null, error: 'The advisory database could not be read' });
+  assert.ok(!missing.advisoryDatabase.error.includes(directory));
+  assert.ok(missing.insights.some(insight => insight.ruleId === 'advisory-database-unavailable' && insight.severity === 'warning'));
+
+  const malformed = path.join(directory, 'malformed.json');
+  fs.writeFileSync(malformed, '{ "vulns": [');
+  process.env.ADVISORY_DB_PATH = malformed;
+  assert.match((await analyzeCodebase(codebase)).advisoryDatabase.error, /^The advisory database is not valid JSON/);
+
+  const valid = path.join(directory, 'advisories.json');
+  fs.writeFileSync(valid, JSON.stringify({ vulns: [] }));
+  process.env.ADVISORY_DB_PATH = valid;
+  const checked = await analyzeCodebase(codebase);
+  assert.deepEqual(checked.advisoryDatabase, { checked: true, advisoryCount: 0, error: null });
+  assert.ok(!checked.insights.some(insight => insight.ruleId === 'advisory-database-unavailable'));
+
+  delete process.env.ADVISORY_DB_PATH;
+  assert.deepEqual((await analyzeCodebase(codebase)).advisoryDatabase, { checked: false, advisoryCount: null, error: null });
+});
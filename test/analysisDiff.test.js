@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { diffAnalyses } = require('../services/analysisDiff');
+
+const analysis = (files, insights = []) => ({
+  files,
+  statistics: {
+    totalLines: files.reduce((total, file) => total + file.lines, 0),
+    totalSize: files.reduce((total, file) => total + file.size, 0),
+    languages: { JavaScript: { files: files.length, bytes: 100, byteShare: 100 } }
+  },
+  insights
+});
+
+const file = (path, lines, extra = {}) => ({ path, language: 'JavaScript', lines, codeLines: lines, size: lines * 10, ...extra });
+
+const largeFiles = (...files) => ({
+  type: 'warning',
+  ruleId: 'large-files',
+  severity: 'warning',
+  message: `${files.length} file(s) are over 500 lines`,
+  files
+});
+
+test('diffAnalyses reports added, removed and modified files', () => {
+  const diff = diffAnalyses(
+    analysis([file('a.js', 10), file('b.js', 5), file('c.js', 1)]),
+    analysis([file('a.js', 12), file('c.js', 1), file('d.js', 3)])
+  );
+  assert.deepEqual(diff.files.added.map(entry => entry.path), ['d.js']);
+  assert.deepEqual(diff.files.removed.map(entry => entry.path), ['b.js']);
+  assert.deepEqual(diff.files.modified.map(entry => entry.path), ['a.js']);
+  assert.deepEqual(diff.files.modified[0].changes.lines, { base: 10, head: 12, delta: 2 });
+  assert.equal(diff.files.unchanged, 1);
+  assert.deepEqual(diff.totals.totalLines, { base: 16, head: 16, delta: 0 });
+});
+
+test('diffAnalyses reports a rule whose count changed as changed, not resolved and appeared', () => {
+  const diff = diffAnalyses(
+    analysis([], [largeFiles('a.js', 'b.js', 'c.js')]),
+    analysis([], [largeFiles('a.js', 'b.js', 'c.js', 'd.js', 'e.js')])
+  );
+  assert.deepEqual(diff.insights.appeared, []);
+  assert.deepEqual(diff.insights.resolved, []);
+  assert.deepEqual(diff.insights.changed, [{
+    ruleId: 'large-files',
+    type: 'warning',
+    severity: 'warning',
+    message: '5 file(s) are over 500 lines',
+    changes: {
+      message: { base: '3 file(s) are over 500 lines', head: '5 file(s) are over 500 lines' },
+      files: { base: 3, head: 5, delta: 2 }
+    }
+  }]);
+});
+
+test('diffAnalyses matches several findings of one rule separately', () => {
+  const vulnerability = (pkg) => ({
+    type: 'warning',
+    ruleId: 'vulnerable-dependencies',
+    severity: 'error',
+    message: `${pkg} has a known vulnerability`,
+    files: ['package.json']
+  });
+  const unchanged = largeFiles('a.js');
+  const diff = diffAnalyses(
+    analysis([], [unchanged, vulnerability('lodash'), vulnerability('minimist')]),
+    analysis([], [unchanged, vulnerability('minimist'), vulnerability('express')])
+  );
+  assert.deepEqual(diff.insights.changed, []);
+  assert.deepEqual(diff.insights.appeared.map(insight => insight.message), ['express has a known vulnerability']);
+  assert.deepEqual(diff.insights.resolved.map(insight => insight.message), ['lodash has a known vulnerability']);
+});
+
+test('diffAnalyses matches insights without rule ids on type and message', () => {
+  const diff = diffAnalyses(
+    analysis([], [{ type: 'info', message: 'Old' }]),
+    analysis([], [{ type: 'info', message: 'New' }])
+  );
+  assert.deepEqual(diff.insights.appeared, [{ type: 'info', message: 'New' }]);
+  assert.deepEqual(diff.insights.resolved, [{ type: 'info', message: 'Old' }]);
+  assert.deepEqual(diff.insights.changed, []);
+});
+
+test('diffAnalyses compares languages of results saved with plain file counts', () => {
+  const base = analysis([file('a.js', 10)]);
+  base.statistics.languages = { JavaScript: 1, CSS: 2 };
+  const head = analysis([file('a.js', 10), file('b.js', 5)]);
+  head.statistics.languages = { JavaScript: { files: 2, bytes: 150, byteShare: 100 } };
+
+  assert.deepEqual(diffAnalyses(base, head).languages, {
+    JavaScript: {
+      status: 'changed',
+      files: { base: 1, head: 2, delta: 1 },
+      bytes: { base: null, head: 150, delta: null },
+      byteShare: { base: null, head: 100, delta: null }
+    },
+    CSS: {
+      status: 'removed',
+      files: { base: 2, head: 0, delta: -2 },
+      bytes: { base: null, head: 0, delta: null },
+      byteShare: { base: null, head: 0, delta: null }
+    }
+  });
+
+  // Only the unknown metrics differ: nothing to report
+  head.statistics.languages = { JavaScript: { files: 1, bytes: 100, byteShare: 100 }, CSS: { files: 2, bytes: 10, byteShare: 9 } };
+  assert.deepEqual(diffAnalyses(base, head).languages, {});
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createJobQueue, describeJob } = require('../services/analysisJobs');
+const { createAnalysisStore } = require('../services/analysisStore');
+const { createFakeFirestore } = require('./helpers/fakeFirestore');
+
+const codebase = [
+  { path: 'src/index.js', content: "const util = require('./util');\nmodule.exports = () => util();\n" },
+  { path: 'src/util.js', content: 'module.exports = () => 42;\n' }
+];
+
+const waitFor = async (check) => {
+  for (let attempt = 0; attempt < 200; attempt++) {
+    const value = await check();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  throw new Error('Timed out waiting');
+};
+
+test('memory queue runs jobs in the background', async () => {
+  const queue = createJobQueue();
+  const job = await queue.createJob('alice', codebase, {}, null);
+  assert.equal(job.status, 'queued');
+
+  const finished = await waitFor(async () => {
+    const current = await queue.getJob(job.id, 'alice');
+    return current.status === 'completed' && current;
+  });
+  assert.deepEqual(describeJob(finished).progress, { processed: 2, total: 2, percent: 100 });
+  assert.equal((await queue.getJobResult(job.id, 'alice')).summary.totalFiles, 2);
+  assert.equal(await queue.getJob(job.id, 'bob'), null);
+});
+
+test('memory queue limits unfinished jobs per owner', async () => {
+  const queue = createJobQueue();
+  for (let index = 0; index < 5; index++) {
+    await queue.createJob('alice', codebase, {}, null);
+  }
+  await assert.rejects(queue.createJob('alice', codebase, {}, null), { statusCode: 429 });
+  await queue.createJob('bob', codebase, {}, null);
+});
+
+test('firestore queue keeps jobs where any instance can run and read them', async () => {
+  const firestore = createFakeFirestore();
+  const api = createJobQueue({ firestore });
+  const worker = createJobQueue({ firestore });
+
+  const job = await api.createJob('alice', codebase, { scanSecrets: false }, null);
+  assert.equal((await api.getJob(job.id, 'alice')).status, 'queued');
+
+  assert.equal(await worker.runJob('alice', job.id), true);
+  // Duplicate trigger deliveries do not run the job again
+  assert.equal(await worker.runJob('alice', job.id), false);
+
+  const finished = await api.getJob(job.id, 'alice');
+  assert.equal(finished.status, 'completed');
+  assert.equal(finished.progress.processed, 2);
+  assert.equal((await api.getJobResult(job.id, 'alice')).summary.totalFiles, 2);
+  assert.equal(await api.getJob(job.id, 'bob'), null);
+  // The submitted codebase is removed once the job is done
+  assert.ok(!firestore.paths().some(path => path.includes('/input/')));
+});
+
+test('firestore queue saves results to the analysis history when asked', async () => {
+  const firestore = createFakeFirestore();
+  const analysisStore = createAnalysisStore({ firestore });
+  const queue = createJobQueue({ firestore, analysisStore });
+
+  const job = await queue.createJob('alice', codebase, {}, { projectName: 'My App' });
+  await queue.runJob('alice', job.id);
+
+  const { analysisId } = await queue.getJob(job.id, 'alice');
+  const saved = await analysisStore.getAnalysis('alice', analysisId);
+  assert.equal(saved.projectId, 'my-app');
+  assert.deepEqual(await queue.getJobResult(job.id, 'alice'), saved.result);
+  assert.ok(!firestore.paths().some(path => path.includes('/result/')));
+});
+
+test('firestore queue records failures', async () => {
+  const firestore = createFakeFirestore();
+  const queue = createJobQueue({ firestore });
+  const job = await queue.createJob('alice', codebase, {}, null);
+  firestore.failWrites(path => path.includes('/result/'));
+
+  await queue.runJob('alice', job.id);
+  const failed = await queue.getJob(job.id, 'alice');
+  assert.equal(failed.status, 'failed');
+  assert.match(failed.error, /failed/);
+  assert.ok(failed.completedAt);
+});
+
+test('firestore queue reports jobs lost with their instance as failed', async (t) => {
+  const firestore = createFakeFirestore();
+  const queue = createJobQueue({ firestore });
+  for (let index = 0; index < 5; index++) {
+    await queue.createJob('alice', codebase, {}, null);
+  }
+  await assert.rejects(queue.createJob('alice', codebase, {}, null), { statusCode: 429 });
+
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 16 * 60 * 1000 });
+  const jobs = await queue.listJobs('alice');
+  assert.deepEqual(jobs.map(job => job.status), Array(5).fill('failed'));
+  await queue.createJob('alice', codebase, {}, null);
+});
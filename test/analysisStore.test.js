@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAnalysisStore, splitByBytes, summarizeAnalysis, toProjectId } = require('../services/analysisStore');
+const { createFakeFirestore } = require('./helpers/fakeFirestore');
+
+const result = (extra = {}) => ({
+  summary: { totalFiles: 1 },
+  statistics: { totalLines: 10, totalSize: 200, languages: { JavaScript: { files: 1, byteShare: 100 } } },
+  files: [{ path: 'a.js', codeLines: 8, commentLines: 2, functions: [{}], complexity: { totalCyclomatic: 3, totalCognitive: 1 } }],
+  insights: [{ type: 'warning', message: 'Large file' }],
+  ...extra
+});
+
+const backends = {
+  memory: () => ({ store: createAnalysisStore() }),
+  firestore: () => {
+    const firestore = createFakeFirestore();
+    return { store: createAnalysisStore({ firestore }), firestore };
+  }
+};
+
+test('toProjectId slugs project names', () => {
+  assert.equal(toProjectId('My App!'), 'my-app');
+  assert.equal(toProjectId(''), 'default');
+});
+
+test('summarizeAnalysis condenses metrics for trends', () => {
+  const summary = summarizeAnalysis(result());
+  assert.equal(summary.codeLines, 8);
+  assert.equal(summary.averageCyclomatic, 3);
+  assert.equal(summary.warningCount, 1);
+  assert.deepEqual(summary.languages, { JavaScript: 1 });
+});
+
+test('splitByBytes keeps pieces under the byte limit without splitting characters', () => {
+  const text = 'a€b😀c'.repeat(50);
+  const pieces = splitByBytes(text, 7);
+  assert.equal(pieces.join(''), text);
+  assert.ok(pieces.every(piece => Buffer.byteLength(piece) <= 7 && !piece.includes('�')));
+  assert.deepEqual(splitByBytes('', 7), []);
+});
+
+for (const [name, create] of Object.entries(backends)) {
+  test(`${name} store saves, pages and deletes analyses per user`, async () => {
+    const { store } = create();
+    const first = await store.saveAnalysis('alice', { projectName: 'My App', result: result() });
+    const second = await store.saveAnalysis('alice', { projectName: 'Other', result: result() });
+    await store.saveAnalysis('bob', { projectName: 'My App', result: result() });
+
+    assert.equal(first.projectId, 'my-app');
+    const page = await store.listAnalyses('alice', { limit: 1 });
+    assert.equal(page.analyses.length, 1);
+    assert.ok(page.nextPageToken);
+    const rest = await store.listAnalyses('alice', { limit: 1, pageToken: page.nextPageToken });
+    assert.deepEqual([...page.analyses, ...rest.analyses].map(record => record.id).sort(), [first.id, second.id].sort());
+
+    assert.deepEqual((await store.getAnalysis('alice', first.id)).result, result());
+    assert.equal(await store.getAnalysis('bob', first.id), null);
+    assert.equal(await store.deleteAnalysis('alice', first.id), true);
+    assert.equal(await store.getAnalysis('alice', first.id), null);
+  });
+
+  test(`${name} store matches a project by name as well as by slug`, async () => {
+    const { store } = create();
+    await store.saveAnalysis('alice', { projectName: 'My App', result: result() });
+    await store.saveAnalysis('alice', { projectName: 'Other', result: result() });
+
+    for (const projectId of ['my-app', 'My App']) {
+      assert.equal((await store.listAnalyses('alice', { projectId })).analyses.length, 1);
+      assert.equal((await store.listProjectHistory('alice', projectId)).length, 1);
+    }
+  });
+}
+
+test('firestore store chunks results by UTF-8 bytes', async () => {
+  const { store, firestore } = backends.firestore();
+  // Three bytes per character: 400K characters are ~1.2MB of JSON
+  const large = result({ notes: '€'.repeat(400 * 1024) });
+  const record = await store.saveAnalysis('alice', { projectName: 'Big', result: large });
+
+  const chunks = await firestore.collection('users').doc('alice')
+    .collection('analyses').doc(record.id)
+    .collection('chunks').get();
+  assert.equal(chunks.size, 2);
+  assert.ok(chunks.docs.every(chunk => Buffer.byteLength(chunk.get('data')) <= 900 * 1024));
+  assert.deepEqual((await store.getAnalysis('alice', record.id)).result, large);
+});
+
+test('firestore store deletes a record and its chunks atomically', async () => {
+  const { store, firestore } = backends.firestore();
+  const record = await store.saveAnalysis('alice', { projectName: 'My App', result: result() });
+
+  firestore.failWrites(path => path.endsWith('/chunks/0'));
+  await assert.rejects(store.deleteAnalysis('alice', record.id));
+  assert.deepEqual((await store.getAnalysis('alice', record.id)).result, result());
+
+  firestore.failWrites(null);
+  assert.equal(await store.deleteAnalysis('alice', record.id), true);
+  assert.deepEqual(firestore.paths(), []);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildTrends, summarizeTrends } = require('../services/analysisTrends');
+
+// An older record saved before code/comment lines and language shares were summarized
+const records = [
+  { id: 'a1', createdAt: '2026-01-01T00:00:00.000Z', summary: { totalLines: 100, totalFiles: 4, warningCount: 3 } },
+  {
+    id: 'a2',
+    createdAt: '2026-02-01T00:00:00.000Z',
+    summary: { totalLines: 150, totalFiles: 5, codeLines: 120, commentLines: 30, warningCount: 1, languageShare: { JavaScript: 80, CSS: 20 } }
+  },
+  {
+    id: 'a3',
+    createdAt: '2026-03-01T00:00:00.000Z',
+    summary: { totalLines: 160, totalFiles: 5, codeLines: 0, commentLines: 10, warningCount: 1, languageShare: { JavaScript: 100 } }
+  }
+];
+
+test('buildTrends lines series up with points and fills missing values', () => {
+  const { points, series, languageShare } = buildTrends(records);
+
+  assert.deepEqual(points.map(point => point.analysisId), ['a1', 'a2', 'a3']);
+  assert.deepEqual(series.totalLines, [100, 150, 160]);
+  assert.deepEqual(series.codeLines, [null, 120, 0]);
+  assert.deepEqual(series.commentRatio, [null, 0.25, 0]);
+  assert.deepEqual(series.averageCyclomatic, [null, null, null]);
+  assert.deepEqual(languageShare, { CSS: [null, 20, 0], JavaScript: [null, 80, 100] });
+});
+
+test('summarizeTrends compares the first and last known values', () => {
+  const changes = summarizeTrends(buildTrends(records));
+
+  assert.deepEqual(changes.totalLines, { first: 100, last: 160, delta: 60 });
+  assert.deepEqual(changes.codeLines, { first: 120, last: 0, delta: -120 });
+  assert.deepEqual(changes.warningCount, { first: 3, last: 1, delta: -2 });
+  assert.equal('averageCognitive' in changes, false);
+});
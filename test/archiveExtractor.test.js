@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { ArchiveError, detectArchiveFormat, extractArchive } = require('../services/archiveExtractor');
+const { parseArchiveUpload } = require('../middleware/archiveUpload');
+const { buildTar, buildZip } = require('./helpers/archives');
+
+test('extractArchive reads zip entries as text files', () => {
+  const archive = buildZip([
+    { name: 'project/src/index.js', content: 'console.log(1);\n' },
+    { name: 'project/README.md', content: '# Hi\n' }
+  ]);
+  assert.equal(detectArchiveFormat(archive), 'zip');
+  assert.deepEqual(extractArchive(archive), {
+    format: 'zip',
+    files: [
+      { path: 'project/src/index.js', content: 'console.log(1);\n' },
+      { path: 'project/README.md', content: '# Hi\n' }
+    ],
+    skipped: []
+  });
+});
+
+test('extractArchive skips unsafe paths, links, binary and oversized files in tarballs', () => {
+  const archive = zlib.gzipSync(buildTar([
+    { name: './src/app.js', content: 'let a = 1;' },
+    { name: '../escape.js', content: 'x' },
+    { name: 'link.js', type: '2' },
+    { name: 'image.png', content: 'PNG\0\0data' },
+    { name: 'big.txt', content: 'x'.repeat(200) }
+  ]));
+
+  const { format, files, skipped } = extractArchive(archive, { maxFileSize: 100 });
+  assert.equal(format, 'tar.gz');
+  assert.deepEqual(files, [{ path: 'src/app.js', content: 'let a = 1;' }]);
+  assert.deepEqual(skipped, [
+    { path: '../escape.js', reason: 'unsafe path' },
+    { path: 'link.js', reason: 'symbolic link' },
+    { path: 'image.png', reason: 'binary file' },
+    { path: 'big.txt', reason: 'file too large' }
+  ]);
+});
+
+test('extractArchive rejects unknown formats and archive bombs', () => {
+  assert.throws(() => extractArchive(Buffer.from('plain text')), ArchiveError);
+
+  const bomb = zlib.gzipSync(buildTar([{ name: 'zeros.txt', content: 'a'.repeat(1024 * 1024) }]));
+  assert.throws(() => extractArchive(bomb), { name: 'ArchiveError', statusCode: 413 });
+});
+
+// Just enough of an Express request for the middleware
+const fakeRequest = (contentType, body) => ({
+  headers: { 'content-type': contentType },
+  query: {},
+  body: {},
+  rawBody: body,
+  is: (types) => [].concat(types).some(type => contentType.startsWith(type))
+});
+
+test('parseArchiveUpload turns a multipart upload into a codebase', async () => {
+  const boundary = 'test-boundary';
+  const archive = buildZip([{ name: 'a.js', content: 'module.exports = 1;' }]);
+  const body = Buffer.concat([
+    Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="options"\r\n\r\n{"scanSecrets":false}\r\n`),
+    Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="save"\r\n\r\nfalse\r\n`),
+    Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="archive"; filename="code.zip"\r\n` +
+      'Content-Type: application/zip\r\n\r\n'),
+    archive,
+    Buffer.from(`\r\n--${boundary}--\r\n`)
+  ]);
+  const req = fakeRequest(`multipart/form-data; boundary=${boundary}`, body);
+
+  await new Promise((resolve, reject) => parseArchiveUpload(req, {}, error => (error ? reject(error) : resolve())));
+  assert.deepEqual(req.body.codebase, [{ path: 'a.js', content: 'module.exports = 1;' }]);
+  assert.deepEqual(req.body.options, { scanSecrets: false });
+  assert.equal(req.body.save, false);
+  assert.deepEqual(req.archive, { format: 'zip', extracted: 1, skipped: [] });
+});
+
+test('parseArchiveUpload answers 400 for a body that is not an archive', async () => {
+  const req = fakeRequest('application/octet-stream', Buffer.from('nope'));
+  const response = await new Promise((resolve, reject) => {
+    const res = {
+      status: code => ({ json: body => resolve({ code, body }) })
+    };
+    parseArchiveUpload(req, res, error => reject(error || new Error('next() was called')));
+  });
+  assert.equal(response.code, 400);
+  assert.equal(response.body.error, 'Invalid archive');
+});
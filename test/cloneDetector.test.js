@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectClones, tokenize } = require('../services/cloneDetector');
+const { SYNTAX } = require('../services/languages');
+
+const block = (name, limit) => `function ${name}(items) {
+  const result = [];
+  for (const item of items) {
+    if (item.size > ${limit}) {
+      result.push({ id: item.id, label: "large" });
+    }
+  }
+  return result;
+}
+`;
+
+test('tokenize skips comments and normalizes literals', () => {
+  const tokens = tokenize('const a = 42; // note\n/* block */ call("x");\n', SYNTAX.JavaScript);
+  assert.deepEqual(tokens.map(token => token.value), ['const', 'a', '=', '0', ';', 'call', '(', '"S"', ')', ';']);
+  assert.deepEqual(tokens.map(token => token.line), [1, 1, 1, 1, 1, 2, 2, 2, 2, 2]);
+});
+
+test('detectClones finds blocks that differ only in literals across files', () => {
+  const { clones, duplication } = detectClones([
+    { path: 'a.js', language: 'JavaScript', content: `${block('pick', 10)}module.exports = pick;\n` },
+    { path: 'b.js', language: 'JavaScript', content: `// copy\n${block('pick', 20)}` },
+    { path: 'notes.md', language: 'Markdown', content: block('pick', 10) }
+  ], { minTokens: 30 });
+
+  assert.equal(clones.length, 1);
+  assert.equal(clones[0].exact, false);
+  assert.deepEqual(clones[0].occurrences, [
+    { path: 'a.js', startLine: 1, endLine: 9 },
+    { path: 'b.js', startLine: 2, endLine: 10 }
+  ]);
+  assert.equal(duplication.duplicatedLines, 18);
+});
+
+test('detectClones ignores blocks below the minimum size', () => {
+  const files = [
+    { path: 'a.js', language: 'JavaScript', content: block('pick', 10) },
+    { path: 'b.js', language: 'JavaScript', content: block('pick', 10) }
+  ];
+  assert.deepEqual(detectClones(files, { minTokens: 500 }).clones, []);
+  assert.equal(detectClones(files, { minTokens: 30 }).clones[0].exact, true);
+});
+
+test('detectClones caps the minimum block size from options', () => {
+  const files = [
+    { path: 'a.js', language: 'JavaScript', content: block('pick', 10) },
+    { path: 'b.js', language: 'JavaScript', content: block('pick', 10) }
+  ];
+
+  const started = Date.now();
+  assert.deepEqual(detectClones(files, { minTokens: 1e12, minLines: 1e12 }).clones, []);
+  assert.ok(Date.now() - started < 1000);
+  // Non-numbers fall back to the defaults, values below 1 become 1
+  assert.equal(detectClones(files, { minTokens: 'many', minLines: -3 }).clones.length, 1);
+});
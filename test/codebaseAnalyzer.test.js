@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeCodebase } = require('../services/codebaseAnalyzer');
+
+const codebase = [
+  { path: 'src/a.js', content: 'module.exports = 1;\n' },
+  { path: 'src/b.js', content: "module.exports = require('./a');\n" },
+  { path: 'node_modules/x/index.js', content: '' },
+  { path: 'src/c.py', content: 'print(1)\n' }
+];
+
+test('analyzeCodebase reports start, then every file, for the stream route', async () => {
+  const events = [];
+  const result = await analyzeCodebase(codebase, {}, {
+    onStart: ({ total, skipped }) => events.push(['start', total, skipped.map(entry => entry.path)]),
+    onFile: (file, { processed, total, statistics }) => events.push(['file', file.path, processed, total, statistics.totalLines])
+  });
+
+  assert.deepEqual(events, [
+    ['start', 3, ['node_modules/x/index.js']],
+    ['file', 'src/a.js', 1, 3, 2],
+    ['file', 'src/b.js', 2, 3, 4],
+    ['file', 'src/c.py', 3, 3, 6]
+  ]);
+  assert.equal(result.summary.totalFiles, 3);
+  assert.deepEqual(result.files.map(file => file.path), ['src/a.js', 'src/b.js', 'src/c.py']);
+});
+
+test('analyzeCodebase stops between files once the signal is aborted', async () => {
+  // The stream route aborts when the client disconnects
+  const controller = new AbortController();
+  const analyzed = [];
+  await assert.rejects(
+    analyzeCodebase(codebase, {}, {
+      signal: controller.signal,
+      onFile: (file) => {
+        analyzed.push(file.path);
+        controller.abort();
+      }
+    }),
+    /Analysis aborted/
+  );
+  assert.deepEqual(analyzed, ['src/a.js']);
+
+  const started = [];
+  await assert.rejects(
+    analyzeCodebase(codebase, {}, {
+      signal: AbortSignal.abort(),
+      onStart: ({ total }) => started.push(total),
+      onFile: () => assert.fail('no file should be analyzed')
+    }),
+    /Analysis aborted/
+  );
+  assert.deepEqual(started, [3]);
+});
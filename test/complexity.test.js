@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { summarizeComplexity } = require('../services/complexity');
+const { walk, getNodeName } = require('../services/astUtils');
+const { parseScript } = require('../services/jsParser');
+
+const source = [
+  'function classify(items) {',
+  '  let total = 0;',
+  '  for (const item of items) {',
+  '    if (item.valid && item.active) {',
+  '      total += 1;',
+  '    } else if (item.pending) {',
+  '      total += 2;',
+  '    } else {',
+  '      total -= 1;',
+  '    }',
+  '  }',
+  '  const log = () => (total ? console.log(total) : null);',
+  "  return total > 0 ? 'up' : 'down';",
+  '}'
+].join('\n');
+
+test('measureFunction scores cyclomatic and cognitive complexity', () => {
+  const { functions } = parseScript('classify.js', source);
+  const classify = functions.find(fn => fn.name === 'classify');
+  // Nested functions are measured on their own
+  assert.deepEqual(classify.complexity, { cyclomatic: 6, cognitive: 7, maxNesting: 2 });
+  assert.deepEqual(functions.find(fn => fn.name === 'log').complexity, { cyclomatic: 2, cognitive: 1, maxNesting: 1 });
+});
+
+test('summarizeComplexity aggregates per-function scores', () => {
+  const { functions } = parseScript('classify.js', source);
+  assert.deepEqual(summarizeComplexity(functions), {
+    totalCyclomatic: 8,
+    averageCyclomatic: 4,
+    maxCyclomatic: 6,
+    totalCognitive: 8,
+    averageCognitive: 4,
+    maxCognitive: 7,
+    maxNesting: 2
+  });
+  assert.equal(summarizeComplexity([]).maxCyclomatic, 0);
+});
+
+test('walk visits nodes depth-first and can skip subtrees', () => {
+  const { ast } = parseScript('a.js', 'a.b.c(); function f() { inner(); }');
+  const names = [];
+  walk(ast.program, node => {
+    if (node.type === 'FunctionDeclaration') return false;
+    if (node.type === 'CallExpression') names.push(getNodeName(node.callee));
+    return true;
+  });
+  assert.deepEqual(names, ['a.b.c']);
+});
+
+test('getNodeName renders member chains, private names and literal keys', () => {
+  const { ast } = parseScript('a.js', "this.items['first']; class A { #secret = 1; }");
+  const [statement, cls] = ast.program.body;
+  assert.equal(getNodeName(statement.expression.object), 'this.items');
+  assert.equal(getNodeName(statement.expression), null);
+  assert.equal(getNodeName(cls.body.body[0].key), '#secret');
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findFileDeadCode, findUnusedExports } = require('../services/deadCode');
+const { parseScript } = require('../services/jsParser');
+
+test('findFileDeadCode reports unused top-level functions and unreachable statements', () => {
+  const { ast } = parseScript('a.js', `function used() { return 1; }
+function unused() { return unused(); }
+const helper = () => used();
+const config = { helper: 1 };
+
+function run(flag) {
+  if (flag) {
+    throw new Error('no');
+    console.log('never');
+  }
+  return helper();
+  var hoisted;
+  function inner() {}
+}
+module.exports = { run, config };
+`);
+
+  assert.deepEqual(findFileDeadCode(ast), {
+    unusedFunctions: [{ name: 'unused', line: 2, endLine: 2 }],
+    unreachable: [{ line: 9, endLine: 9, after: 'throw' }]
+  });
+});
+
+test('findUnusedExports skips entry points, whole-module imports and unimported files', () => {
+  const sources = {
+    'src/index.js': "import { format } from './format';\nimport * as all from './all';\nconst lib = require('./lib');\nexport const main = () => format(all, lib);\n",
+    'src/format.js': 'export const format = () => 1;\nexport const parse = () => 2;\nexport default format;\n',
+    'src/all.js': 'export const a = 1;\n',
+    'src/lib.js': 'exports.b = 2;\n',
+    'src/orphan.js': 'export const lonely = 1;\n'
+  };
+  const files = Object.entries(sources).map(([path, content]) => ({ path, ...parseScript(path, content) }));
+
+  assert.deepEqual(findUnusedExports(files, new Set(['src/index.js'])), [
+    { path: 'src/format.js', name: 'parse', kind: 'named', line: 2 },
+    { path: 'src/format.js', name: 'default', kind: 'default', line: 3 }
+  ]);
+});
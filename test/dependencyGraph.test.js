@@ -0,0 +1,212 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizePath,
+  resolveSpecifier,
+  buildDependencyGraph,
+  findCycles,
+  findEntryPoints,
+  findOrphans,
+  toDot
+} = require('../services/dependencyGraph');
+const { analyzeCodebase } = require('../services/codebaseAnalyzer');
+
+const requires = (...sources) => sources.map((source, index) => ({
+  source,
+  kind: 'require',
+  typeOnly: false,
+  specifiers: [],
+  line: index + 1
+}));
+
+// Every file imports every other file
+const completeGraph = (size) => {
+  const names = Array.from({ length: size }, (_, index) => `m${String(index).padStart(2, '0')}.js`);
+  return buildDependencyGraph(names.map(name => ({
+    path: name,
+    imports: requires(...names.filter(other => other !== name).map(other => `./${other}`))
+  })));
+};
+
+test('normalizePath strips leading ./ and converts backslashes', () => {
+  assert.equal(normalizePath('.\\src\\app.js'), 'src/app.js');
+  assert.equal(normalizePath('/src/../lib/a.js'), 'lib/a.js');
+});
+
+test('resolveSpecifier infers extensions, TypeScript sources and index files', () => {
+  const known = new Set(['src/util.ts', 'src/lib/index.js', 'src/data.json']);
+  assert.equal(resolveSpecifier('src/app.js', './util.js', known), 'src/util.ts');
+  assert.equal(resolveSpecifier('src/app.js', './lib', known), 'src/lib/index.js');
+  assert.equal(resolveSpecifier('src/app.js', './data', known), 'src/data.json');
+  assert.equal(resolveSpecifier('src/app.js', './missing', known), null);
+});
+
+test('buildDependencyGraph separates edges, unresolved imports, packages and builtins', () => {
+  const graph = buildDependencyGraph([
+    { path: 'src/index.js', imports: requires('./app', 'express', 'node:fs', './missing') },
+    { path: 'src/app.js', imports: requires('lodash/fp', 'path') }
+  ]);
+
+  assert.deepEqual(graph.edges.map(edge => [edge.from, edge.to]), [['src/index.js', 'src/app.js']]);
+  assert.deepEqual(graph.unresolved, [{ from: 'src/index.js', specifier: './missing', line: 4 }]);
+  assert.deepEqual(graph.externalPackages.map(pkg => pkg.name), ['express', 'lodash']);
+  assert.deepEqual(graph.builtins.map(builtin => builtin.name), ['fs', 'path']);
+});
+
+test('findCycles reports each cycle once, from its smallest file', () => {
+  const graph = buildDependencyGraph([
+    { path: 'b.js', imports: requires('./c') },
+    { path: 'c.js', imports: requires('./a') },
+    { path: 'a.js', imports: requires('./b') },
+    { path: 'self.js', imports: requires('./self') },
+    { path: 'leaf.js', imports: requires('./a') }
+  ]);
+
+  const { cycles, truncated } = findCycles(graph);
+  assert.equal(truncated, false);
+  assert.deepEqual(cycles.map(cycle => cycle.join(' -> ')).sort(), [
+    'a.js -> b.js -> c.js -> a.js',
+    'self.js -> self.js'
+  ]);
+});
+
+test('findCycles ignores type-only imports', () => {
+  const graph = buildDependencyGraph([
+    { path: 'a.ts', imports: requires('./b') },
+    { path: 'b.ts', imports: [{ source: './a', kind: 'import', typeOnly: true, specifiers: ['A'], line: 1 }] }
+  ]);
+  assert.deepEqual(findCycles(graph).cycles, []);
+});
+
+test('findCycles finds every elementary cycle of a dense component', () => {
+  // 4 files importing each other: 6 two-file, 8 three-file and 6 four-file cycles
+  const { cycles, truncated } = findCycles(completeGraph(4));
+  assert.equal(truncated, false);
+  assert.equal(cycles.length, 20);
+  assert.equal(new Set(cycles.map(cycle => cycle.join())).size, 20);
+});
+
+test('findCycles stays fast and truncates on a large dense component', () => {
+  const graph = completeGraph(40);
+  const started = Date.now();
+  const { cycles, truncated } = findCycles(graph, 100);
+
+  assert.equal(truncated, true);
+  assert.equal(cycles.length, 100);
+  assert.ok(Date.now() - started < 1000, `took ${Date.now() - started}ms`);
+});
+
+test('findCycles stays fast when most paths never close a cycle', () => {
+  // a <-> c01, and c01..c26 form a dense forward chain closed by c26 -> c01.
+  // Only one cycle runs through `a`, but there are millions of paths from it.
+  const size = 26;
+  const core = Array.from({ length: size }, (_, index) => `c${String(index + 1).padStart(2, '0')}.js`);
+  const files = [
+    { path: 'a.js', imports: requires('./c01.js') },
+    ...core.map((name, index) => ({
+      path: name,
+      imports: requires(
+        ...core.slice(index + 1).map(other => `./${other}`),
+        ...(index === 0 ? ['./a.js'] : []),
+        ...(index === size - 1 ? ['./c01.js'] : [])
+      )
+    }))
+  ];
+
+  const started = Date.now();
+  const { cycles, truncated } = findCycles(buildDependencyGraph(files));
+  assert.ok(Date.now() - started < 1000, `took ${Date.now() - started}ms`);
+  assert.equal(truncated, true);
+  assert.deepEqual(cycles[0], ['a.js', 'c01.js', 'a.js']);
+});
+
+test('findOrphans skips entry points declared in package.json', () => {
+  const files = [
+    { path: 'package.json', content: JSON.stringify({ main: 'src/index.js', bin: { tool: './bin/tool.js' } }) }
+  ];
+  const graph = buildDependencyGraph([
+    { path: 'src/index.js', imports: requires('./used') },
+    { path: 'src/used.js', imports: [] },
+    { path: 'src/unused.js', imports: [] },
+    { path: 'bin/tool.js', imports: [] }
+  ]);
+  const knownPaths = new Set(graph.nodes.map(node => node.id));
+
+  const entryPoints = findEntryPoints(files, knownPaths);
+  assert.deepEqual(Array.from(entryPoints).sort(), ['bin/tool.js', 'src/index.js']);
+  assert.deepEqual(findOrphans(graph, entryPoints), ['src/unused.js']);
+});
+
+test('findCycles handles import chains deeper than the call stack', () => {
+  const size = 20000;
+  const name = (index) => `m${index}.js`;
+  const graph = buildDependencyGraph(Array.from({ length: size }, (_, index) => ({
+    path: name(index),
+    imports: requires(`./${name((index + 1) % size)}`)
+  })));
+
+  const started = Date.now();
+  const { cycles, truncated } = findCycles(graph);
+  assert.ok(Date.now() - started < 5000);
+  assert.equal(truncated, false);
+  assert.equal(cycles.length, 1);
+  assert.equal(cycles[0].length, size + 1);
+  assert.equal(cycles[0][0], cycles[0][size]);
+});
+
+// What the graph route answers with, for JSON and ?format=dot
+const graphCodebase = [
+  {
+    path: 'src/index.ts',
+    content: "import { a } from './a';\nimport type { T } from './types';\nconst fs = require('fs');\n" +
+      "const lodash = require('lodash/fp');\nrequire('./missing');\n"
+  },
+  { path: 'src/a.js', content: "import './index';\nimport './index';\nexport const a = 1;\n" },
+  { path: 'src/types.ts', content: 'export type T = string;\n' },
+  { path: 'src/say "hi".js', content: "require('./a');\n" }
+];
+
+test('analyzeCodebase returns the dependency graph served as JSON', async () => {
+  const { dependencyGraph } = await analyzeCodebase(graphCodebase);
+
+  assert.deepEqual(dependencyGraph.nodes, [
+    { id: 'src/index.ts', imports: 2, importedBy: 1 },
+    { id: 'src/a.js', imports: 1, importedBy: 2 },
+    { id: 'src/types.ts', imports: 0, importedBy: 1 },
+    { id: 'src/say "hi".js', imports: 1, importedBy: 0 }
+  ]);
+  assert.deepEqual(
+    dependencyGraph.edges.map(edge => [edge.from, edge.to, edge.kind, edge.typeOnly, edge.line]),
+    [
+      ['src/index.ts', 'src/a.js', 'import', false, 1],
+      ['src/index.ts', 'src/types.ts', 'import', true, 2],
+      ['src/a.js', 'src/index.ts', 'import', false, 1],
+      ['src/a.js', 'src/index.ts', 'import', false, 2],
+      ['src/say "hi".js', 'src/a.js', 'require', false, 1]
+    ]
+  );
+  assert.deepEqual(dependencyGraph.unresolved, [{ from: 'src/index.ts', specifier: './missing', line: 5 }]);
+  assert.deepEqual(dependencyGraph.externalPackages, [{ name: 'lodash', importedBy: ['src/index.ts'] }]);
+  assert.deepEqual(dependencyGraph.builtins, [{ name: 'fs', importedBy: ['src/index.ts'] }]);
+});
+
+test('toDot draws each file once, each import edge once and quotes names', async () => {
+  const { dependencyGraph } = await analyzeCodebase(graphCodebase);
+
+  assert.equal(toDot(dependencyGraph), [
+    'digraph dependencies {',
+    '  rankdir=LR;',
+    '  node [shape=box];',
+    '  "src/index.ts";',
+    '  "src/a.js";',
+    '  "src/types.ts";',
+    '  "src/say \\"hi\\".js";',
+    '  "src/index.ts" -> "src/a.js";',
+    '  "src/index.ts" -> "src/types.ts";',
+    '  "src/a.js" -> "src/index.ts";',
+    '  "src/say \\"hi\\".js" -> "src/a.js";',
+    '}',
+    ''
+  ].join('\n'));
+  assert.equal(toDot({ nodes: [], edges: [] }), 'digraph dependencies {\n  rankdir=LR;\n  node [shape=box];\n}\n');
+});
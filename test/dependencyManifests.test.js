@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildDependencyInventory, normalizePythonName } = require('../services/dependencyManifests');
+
+const find = (packages, name) => packages.find(pkg => pkg.name === name);
+
+test('buildDependencyInventory resolves npm ranges from the lockfile next to the manifest', () => {
+  const { manifests, packages } = buildDependencyInventory([
+    {
+      path: 'web/package.json',
+      content: JSON.stringify({
+        dependencies: { express: '^4.18.0', shared: 'workspace:*' },
+        devDependencies: { jest: '^29.0.0' }
+      })
+    },
+    {
+      path: 'web/package-lock.json',
+      content: JSON.stringify({
+        lockfileVersion: 3,
+        packages: {
+          '': { name: 'web' },
+          'node_modules/express': { version: '4.18.2', license: 'MIT' },
+          'node_modules/jest': { version: '29.7.0', dev: true },
+          'node_modules/express/node_modules/debug': { version: '2.6.9' }
+        }
+      })
+    }
+  ]);
+
+  assert.deepEqual(manifests.map(manifest => [manifest.path, manifest.kind, manifest.dependencyCount]), [
+    ['web/package.json', 'manifest', 2],
+    ['web/package-lock.json', 'lockfile', 3]
+  ]);
+  assert.deepEqual(find(packages, 'express'), {
+    name: 'express',
+    ecosystem: 'npm',
+    range: '^4.18.0',
+    version: '4.18.2',
+    dev: false,
+    direct: true,
+    manifest: 'web/package.json',
+    lockfile: 'web/package-lock.json',
+    license: 'MIT'
+  });
+  assert.equal(find(packages, 'jest').dev, true);
+  assert.equal(find(packages, 'shared'), undefined);
+  assert.deepEqual(
+    [find(packages, 'debug').direct, find(packages, 'debug').version],
+    [false, '2.6.9']
+  );
+});
+
+test('buildDependencyInventory reads Python, Go and Ruby manifests', () => {
+  const { packages } = buildDependencyInventory([
+    { path: 'requirements-dev.txt', content: 'pytest==7.4.0  # tests\n-r requirements.txt\nRequests[socks]>=2.0 ; python_version > "3"\n' },
+    { path: 'go.mod', content: 'module x\n\nrequire (\n\tgithub.com/a/b v1.2.3\n\tgolang.org/x/net v0.1.0 // indirect\n)\n' },
+    { path: 'Gemfile', content: "gem 'rails', '7.1.0'\ngroup :test do\n  gem 'rspec'\nend\n" }
+  ]);
+
+  assert.deepEqual(find(packages, 'pytest'), {
+    name: 'pytest', ecosystem: 'PyPI', range: '==7.4.0', version: '7.4.0', dev: true, direct: true,
+    manifest: 'requirements-dev.txt', lockfile: null, license: null
+  });
+  assert.equal(find(packages, 'Requests').range, '>=2.0');
+  assert.equal(find(packages, 'golang.org/x/net').direct, false);
+  assert.equal(find(packages, 'rails').version, '7.1.0');
+  assert.equal(find(packages, 'rspec').dev, true);
+});
+
+test('buildDependencyInventory records parse errors instead of throwing', () => {
+  const { manifests, packages } = buildDependencyInventory([{ path: 'package.json', content: '{ nope' }]);
+  assert.equal(packages.length, 0);
+  assert.match(manifests[0].error, /JSON/);
+  assert.equal(normalizePythonName('Zope.Interface_x'), 'zope-interface-x');
+});
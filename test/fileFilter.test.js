@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { filterFiles, validateFilterOptions } = require('../services/fileFilter');
+
+const file = (path, content = '') => ({ path, content });
+const paths = (files) => files.map(entry => entry.path);
+
+test('filterFiles applies default excludes and normalizes paths', () => {
+  const { included, skipped } = filterFiles([
+    file('.\\src\\app.js'),
+    file('node_modules/lib/index.js'),
+    file('package-lock.json'),
+    file('public/app.min.js')
+  ]);
+
+  assert.deepEqual(paths(included), ['src/app.js']);
+  assert.deepEqual(skipped, [
+    { path: 'node_modules/lib/index.js', reason: 'default exclude', rule: '**/node_modules/**' },
+    { path: 'package-lock.json', reason: 'default exclude', rule: '**/package-lock.json' },
+    { path: 'public/app.min.js', reason: 'default exclude', rule: '**/*.min.js' }
+  ]);
+
+  const withoutDefaults = filterFiles([file('node_modules/lib/index.js')], { defaultExcludes: false });
+  assert.deepEqual(paths(withoutDefaults.included), ['node_modules/lib/index.js']);
+});
+
+test('filterFiles checks include globs before exclude globs', () => {
+  const { included, skipped } = filterFiles([
+    file('src/a.js'),
+    file('src/a.test.js'),
+    file('docs/guide.md')
+  ], { include: ['src/**'], exclude: ['**/*.test.js'] });
+
+  assert.deepEqual(paths(included), ['src/a.js']);
+  assert.deepEqual(skipped, [
+    { path: 'src/a.test.js', reason: 'excluded', rule: '**/*.test.js' },
+    { path: 'docs/guide.md', reason: 'not included', rule: null }
+  ]);
+});
+
+test('filterFiles honors nested .gitignore files, deepest last', () => {
+  const files = [
+    file('.gitignore', '*.log\ngenerated/\n'),
+    file('pkg/.gitignore', '!keep.log\n'),
+    file('debug.log'),
+    file('pkg/keep.log'),
+    file('pkg/generated/out.js'),
+    file('pkg/index.js')
+  ];
+
+  const { included, skipped } = filterFiles(files);
+  assert.deepEqual(paths(included), ['.gitignore', 'pkg/.gitignore', 'pkg/keep.log', 'pkg/index.js']);
+  assert.deepEqual(skipped, [
+    { path: 'debug.log', reason: 'gitignore', rule: '*.log', source: '.gitignore' },
+    { path: 'pkg/generated/out.js', reason: 'gitignore', rule: 'generated/', source: '.gitignore' }
+  ]);
+
+  assert.equal(filterFiles(files, { useGitignore: false }).skipped.length, 0);
+});
+
+test('filterFiles does not apply .gitignore files to paths above the root', () => {
+  const { included, skipped } = filterFiles([
+    file('.gitignore', '*.log\n'),
+    file('../shared/util.js'),
+    file('../shared/debug.log')
+  ]);
+
+  assert.deepEqual(paths(included), ['.gitignore', '../shared/util.js', '../shared/debug.log']);
+  assert.deepEqual(skipped, []);
+});
+
+test('validateFilterOptions accepts globs and rejects anything else', () => {
+  assert.equal(validateFilterOptions(undefined), null);
+  assert.equal(validateFilterOptions({ include: 'src/**', exclude: ['**/*.test.js'], useGitignore: false }), null);
+
+  assert.equal(validateFilterOptions(null), 'options must be an object');
+  assert.match(validateFilterOptions({ include: [42] }), /^options\.include must be/);
+  assert.match(validateFilterOptions({ exclude: ['src/**', ''] }), /^options\.exclude must be/);
+  assert.match(validateFilterOptions({ exclude: { glob: '*.js' } }), /^options\.exclude must be/);
+});
@@ -0,0 +1,139 @@
+/**
+ * In-memory stand-in for the parts of the firebase-admin Firestore API the
+ * services use: documents, subcollections, simple queries, batches and
+ * transactions. `failWrites(test)` makes writes to matching paths throw,
+ * applied atomically for batches and transactions like the real thing.
+ */
+
+const crypto = require('crypto');
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const COMPARE = {
+  '==': (a, b) => a === b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  in: (a, b) => b.includes(a)
+};
+
+const createFakeFirestore = () => {
+  const documents = new Map();
+  let shouldFail = () => false;
+
+  const snapshotOf = (ref) => {
+    const data = documents.get(ref.path);
+    return {
+      id: ref.id,
+      ref,
+      exists: data !== undefined,
+      data: () => clone(data),
+      get: (field) => clone(data && data[field])
+    };
+  };
+
+  const checkWrite = (path) => {
+    if (shouldFail(path)) throw new Error(`Write to ${path} failed`);
+  };
+
+  const applyWrite = ({ type, ref, data, options }) => {
+    if (type === 'delete') {
+      documents.delete(ref.path);
+    } else if (type === 'update') {
+      if (!documents.has(ref.path)) throw new Error(`No document to update: ${ref.path}`);
+      documents.set(ref.path, { ...documents.get(ref.path), ...clone(data) });
+    } else {
+      const base = options && options.merge ? documents.get(ref.path) : undefined;
+      documents.set(ref.path, { ...(base || {}), ...clone(data) });
+    }
+  };
+
+  // Validate every write first so a failing one leaves nothing applied
+  const commitWrites = (writes) => {
+    writes.forEach(write => checkWrite(write.ref.path));
+    writes.forEach(applyWrite);
+  };
+
+  const docRef = (path) => {
+    const ref = {
+      id: path.split('/').pop(),
+      path,
+      collection: name => collectionRef(`${path}/${name}`),
+      get: async () => snapshotOf(ref),
+      set: async (data, options) => commitWrites([{ type: 'set', ref, data, options }]),
+      update: async (data) => commitWrites([{ type: 'update', ref, data }]),
+      delete: async () => commitWrites([{ type: 'delete', ref }])
+    };
+    return ref;
+  };
+
+  const query = (path, { filters = [], orders = [], max = Infinity, after = null } = {}) => {
+    const extend = (change) => query(path, { filters, orders, max, after, ...change });
+
+    return {
+      where: (field, op, value) => extend({ filters: [...filters, { field, op, value }] }),
+      orderBy: (field, direction = 'asc') => extend({ orders: [...orders, { field, direction }] }),
+      limit: count => extend({ max: count }),
+      startAfter: snapshot => extend({ after: snapshot }),
+      get: async () => {
+        let docs = Array.from(documents.keys())
+          .filter(key => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'))
+          .map(key => snapshotOf(docRef(key)))
+          .filter(doc => filters.every(({ field, op, value }) => COMPARE[op](doc.get(field), value)));
+
+        docs.sort((a, b) => {
+          for (const { field, direction } of orders) {
+            const left = a.get(field);
+            const right = b.get(field);
+            if (left === right) continue;
+            const order = left < right ? -1 : 1;
+            return direction === 'desc' ? -order : order;
+          }
+          return a.id.localeCompare(b.id);
+        });
+
+        if (after) {
+          const index = docs.findIndex(doc => doc.ref.path === after.ref.path);
+          docs = docs.slice(index + 1);
+        }
+        docs = docs.slice(0, max);
+        return { docs, empty: docs.length === 0, size: docs.length };
+      }
+    };
+  };
+
+  const collectionRef = (path) => ({
+    ...query(path),
+    path,
+    doc: id => docRef(`${path}/${id || crypto.randomUUID().replace(/-/g, '').slice(0, 20)}`)
+  });
+
+  const batch = () => {
+    const writes = [];
+    return {
+      set(ref, data, options) { writes.push({ type: 'set', ref, data, options }); return this; },
+      update(ref, data) { writes.push({ type: 'update', ref, data }); return this; },
+      delete(ref) { writes.push({ type: 'delete', ref }); return this; },
+      commit: async () => commitWrites(writes)
+    };
+  };
+
+  return {
+    collection: name => collectionRef(name),
+    batch,
+    async runTransaction(updateFunction) {
+      const transaction = batch();
+      transaction.get = async ref => (typeof ref.get === 'function' ? ref.get() : null);
+      const result = await updateFunction(transaction);
+      await transaction.commit();
+      return result;
+    },
+    failWrites(test) {
+      shouldFail = test || (() => false);
+    },
+    paths: () => Array.from(documents.keys()).sort()
+  };
+};
+
+module.exports = { createFakeFirestore };
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeHtml, renderHtmlReport } = require('../services/htmlReport');
+const { analyzeCodebase } = require('../services/codebaseAnalyzer');
+
+test('escapeHtml escapes markup and quotes', () => {
+  assert.equal(escapeHtml(`<a href="x">Tom's & co</a>`), '&lt;a href=&quot;x&quot;&gt;Tom&#39;s &amp; co&lt;/a&gt;');
+  assert.equal(escapeHtml(null), '');
+});
+
+test('renderHtmlReport renders a self-contained page with escaped content', async () => {
+  const analysis = await analyzeCodebase([
+    { path: 'src/<b>x</b>.js', content: 'const run = (input) => eval(input);\nmodule.exports = run;\n' },
+    { path: 'styles/site.css', content: 'body { color: red; }\n' }
+  ]);
+  const html = renderHtmlReport(analysis, { title: '<script>alert(1)</script>' });
+
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.doesNotMatch(html, /<script src=|<link /);
+  assert.match(html, /<h1>&lt;script&gt;alert\(1\)&lt;\/script&gt;<\/h1>/);
+  assert.doesNotMatch(html, /<b>x<\/b>/);
+  assert.match(html, /src\/&lt;b&gt;x&lt;\/b&gt;\.js/);
+
+  // Error insights are listed first, with their rule id
+  assert.match(html, /<h2>Insights<\/h2>\s*<h3><span class="badge error">1<\/span> Errors<\/h3>/);
+  assert.match(html, /\(js-eval\)/);
+  assert.match(html, /<table class="sortable">/);
+});
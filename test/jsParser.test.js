@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isParsableScript, parseScript } = require('../services/jsParser');
+
+test('isParsableScript accepts JavaScript and TypeScript extensions only', () => {
+  assert.equal(isParsableScript('src/App.TSX'), true);
+  assert.equal(isParsableScript('lib/index.cjs'), true);
+  assert.equal(isParsableScript('main.py'), false);
+  assert.equal(isParsableScript('Makefile'), false);
+});
+
+test('parseScript extracts functions, classes and their methods', () => {
+  const { functions, classes } = parseScript('shapes.js', [
+    'class Circle extends Shape {',
+    '  constructor(r) { super(); this.r = r; }',
+    '  static unit() { return new Circle(1); }',
+    '  get area() { return Math.PI * this.r ** 2; }',
+    '}',
+    'const scale = async (shape, factor) => shape.r * factor;',
+    'export default function () {}'
+  ].join('\n'));
+
+  assert.deepEqual(classes.map(cls => [cls.name, cls.superClass, cls.methods.map(m => m.name)]), [
+    ['Circle', 'Shape', ['constructor', 'unit', 'area']]
+  ]);
+  assert.deepEqual(functions.map(fn => [fn.name, fn.kind]), [
+    ['constructor', 'constructor'],
+    ['unit', 'method'],
+    ['area', 'getter'],
+    ['scale', 'arrow'],
+    ['default', 'function']
+  ]);
+  const scale = functions.find(fn => fn.name === 'scale');
+  assert.equal(scale.async, true);
+  assert.equal(scale.params, 2);
+  assert.equal(functions.find(fn => fn.name === 'unit').static, true);
+});
+
+test('parseScript records imports and exports of both module systems', () => {
+  const { imports, exports } = parseScript('index.ts', [
+    "import type { Options } from './types';",
+    "import fs, { readFile } from 'fs';",
+    "const { join } = require('path');",
+    "export * from './util';",
+    "export const VERSION = '1';",
+    'module.exports.helper = () => {};',
+    "const lazy = () => import('./lazy');"
+  ].join('\n'));
+
+  assert.deepEqual(imports.map(entry => [entry.source, entry.kind, entry.typeOnly, entry.specifiers]), [
+    ['./types', 'import', true, ['Options']],
+    ['fs', 'import', false, ['default', 'readFile']],
+    ['path', 'require', false, ['join']],
+    ['./util', 'reexport', false, ['*']],
+    ['./lazy', 'dynamic', false, []]
+  ]);
+  assert.deepEqual(exports.map(entry => [entry.name, entry.kind]), [
+    ['*', 'all'],
+    ['VERSION', 'named'],
+    ['helper', 'commonjs']
+  ]);
+});
+
+test('parseScript reports syntax errors with their position', () => {
+  const { parseError, ast } = parseScript('broken.js', 'const = 1;');
+  assert.equal(ast, undefined);
+  assert.equal(parseError.line, 1);
+  assert.equal(parseError.column, 7);
+  assert.match(parseError.message, /Unexpected token/);
+});
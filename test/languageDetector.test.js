@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectLanguage } = require('../services/languageDetector');
+
+test('detectLanguage prefers well-known file names over extensions', () => {
+  assert.deepEqual(detectLanguage('docker/Dockerfile.dev'), { language: 'Dockerfile', confidence: 1, source: 'filename' });
+  assert.deepEqual(detectLanguage('src\\App.tsx'), { language: 'TypeScript', confidence: 0.95, source: 'extension' });
+});
+
+test('detectLanguage reads shebang lines and modelines of extensionless files', () => {
+  assert.equal(detectLanguage('bin/run', '#!/usr/bin/env -S python3.11 -u\nprint(1)').language, 'Python');
+  assert.equal(detectLanguage('bin/deploy', '#!/bin/bash -e\necho hi').source, 'shebang');
+  assert.deepEqual(detectLanguage('tool', 'puts 1\n# vim: set ft=ruby:'), { language: 'Ruby', confidence: 0.9, source: 'modeline' });
+});
+
+test('detectLanguage falls back to content heuristics', () => {
+  const python = [
+    'import os',
+    'class Runner:',
+    '    def run(self) -> None:',
+    '        self.value = os.getcwd()',
+    "if __name__ == '__main__':",
+    '    Runner().run()'
+  ].join('\n');
+  const result = detectLanguage('script', python);
+  assert.equal(result.language, 'Python');
+  assert.equal(result.source, 'content');
+  assert.ok(result.confidence > 0.3 && result.confidence <= 0.8);
+
+  assert.deepEqual(detectLanguage('data', '{"a": [1, 2]}'), { language: 'JSON', confidence: 0.9, source: 'content' });
+  assert.deepEqual(detectLanguage('README', 'Just some words.'), { language: 'Unknown', confidence: 0, source: null });
+});
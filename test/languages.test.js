@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LANGUAGE_MAP, FILENAME_MAP, SHEBANG_MAP, MODELINE_MAP, SYNTAX } = require('../services/languages');
+const { classifyLines } = require('../services/lineClassifier');
+
+test('every language that can be detected has comment and string syntax', () => {
+  const languages = new Set([
+    ...Object.values(LANGUAGE_MAP),
+    ...Object.values(FILENAME_MAP),
+    ...Object.values(SHEBANG_MAP),
+    ...Object.values(MODELINE_MAP)
+  ]);
+  const missing = Array.from(languages).filter(language => !SYNTAX[language]);
+  assert.deepEqual(missing, []);
+});
+
+test('shell # only starts a comment at the start of a word', () => {
+  assert.deepEqual(classifyLines('echo $# args\n# note', 'Shell'), { codeLines: 1, commentLines: 1, blankLines: 0 });
+});
+
+test('Rust block comments nest', () => {
+  const content = '/* outer /* inner */ still comment */\nfn main() {}';
+  assert.deepEqual(classifyLines(content, 'Rust'), { codeLines: 1, commentLines: 1, blankLines: 0 });
+});
+
+test('Ruby =begin/=end blocks only open at the start of a line', () => {
+  const content = '=begin\nnotes\n=end\nx = 1 =begin';
+  assert.deepEqual(classifyLines(content, 'Ruby'), { codeLines: 1, commentLines: 3, blankLines: 0 });
+});
+
+test('apostrophes in HTML text do not open strings', () => {
+  const content = "<p>It's here</p>\n<!-- note -->";
+  assert.deepEqual(classifyLines(content, 'HTML'), { codeLines: 1, commentLines: 1, blankLines: 0 });
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  countLicenses,
+  detectLicenses,
+  evaluateLicensePolicy,
+  identifyLicenseText,
+  parseExpression
+} = require('../services/licenseDetector');
+
+const MIT_TEXT = `MIT License
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software ...
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND.`;
+
+test('parseExpression builds AND/OR trees and rejects malformed expressions', () => {
+  assert.deepEqual(parseExpression('MIT OR (Apache-2.0 AND GPL-2.0 WITH Classpath-exception-2.0)'), {
+    or: [{ id: 'MIT' }, { and: [{ id: 'Apache-2.0' }, { id: 'GPL-2.0-only' }] }]
+  });
+  assert.equal(parseExpression('MIT OR'), null);
+  assert.equal(parseExpression('(MIT'), null);
+  assert.equal(identifyLicenseText(MIT_TEXT), 'MIT');
+});
+
+test('detectLicenses reads license files, manifests, headers and dependencies', () => {
+  const inventory = detectLicenses([
+    { path: 'LICENSE', content: MIT_TEXT },
+    { path: 'package.json', content: JSON.stringify({ name: 'app', license: 'MIT' }) },
+    { path: 'src/vendor.js', content: '// SPDX-License-Identifier: GPL-3.0-or-later\nmodule.exports = 1;\n' },
+    { path: 'NOTICE.txt', content: 'nothing' },
+    { path: 'LICENSE.custom', content: 'All rights reserved.' }
+  ], [
+    { name: 'left-pad', version: '1.3.0', dev: false, manifest: 'package.json', lockfile: 'package-lock.json', license: 'WTFPL' },
+    { name: 'jest', version: '29.7.0', dev: true, manifest: 'package.json', lockfile: 'package-lock.json', license: 'MIT' }
+  ]);
+
+  assert.deepEqual(inventory.map(entry => [entry.source, entry.path, entry.license]), [
+    ['file', 'LICENSE', 'MIT'],
+    ['manifest', 'package.json', 'MIT'],
+    ['header', 'src/vendor.js', 'GPL-3.0-or-later'],
+    ['file', 'LICENSE.custom', null],
+    ['dependency', 'package-lock.json', 'WTFPL'],
+    ['dependency', 'package-lock.json', 'MIT']
+  ]);
+  assert.deepEqual(countLicenses(inventory), { MIT: 3, 'GPL-3.0-or-later': 1, UNKNOWN: 1, WTFPL: 1 });
+
+  const policy = evaluateLicensePolicy(inventory, { allow: ['MIT', 'Apache-*'], deny: ['GPL-*'] });
+  assert.equal(policy.passed, false);
+  assert.deepEqual(policy.violations.map(violation => [violation.path, violation.reason, violation.licenses]), [
+    ['src/vendor.js', 'denied', ['GPL-3.0-or-later']],
+    ['LICENSE.custom', 'unknown', []],
+    ['package-lock.json', 'not allowed', ['WTFPL']]
+  ]);
+});
+
+test('evaluateLicensePolicy passes OR expressions with one acceptable choice and skips dev dependencies', () => {
+  const inventory = [
+    { license: 'GPL-2.0-only OR MIT', ids: ['GPL-2.0-only', 'MIT'], source: 'manifest', path: 'package.json' },
+    { license: 'AGPL-3.0-only', ids: ['AGPL-3.0-only'], source: 'dependency', path: 'package-lock.json', dev: true }
+  ];
+
+  assert.equal(evaluateLicensePolicy(inventory, { deny: ['GPL-2.0-only', 'AGPL-3.0-only'] }).passed, true);
+  const withDev = evaluateLicensePolicy(inventory, { deny: ['AGPL-3.0-only'], includeDev: true });
+  assert.deepEqual(withDev.violations.map(violation => violation.reason), ['denied']);
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyLines, maskComments } = require('../services/lineClassifier');
+
+test('classifyLines counts code, comment and blank lines', () => {
+  const content = [
+    '/* header',
+    '   comment */',
+    'const a = 1; // trailing',
+    '',
+    'const url = "http://example.com"; ',
+    '// only a comment'
+  ].join('\n');
+  assert.deepEqual(classifyLines(content, 'JavaScript'), { codeLines: 2, commentLines: 3, blankLines: 1 });
+});
+
+test('classifyLines treats Python docstrings as comments', () => {
+  const content = 'def f():\n    """Docs\n    more"""\n    return "#not a comment"\n';
+  assert.deepEqual(classifyLines(content, 'Python'), { codeLines: 2, commentLines: 2, blankLines: 1 });
+});
+
+test('maskComments blanks comments but keeps strings, lines and columns', () => {
+  const content = 'x = f"#{x}"; eval(data)  # eval(y)\r\n"""doc # text"""\n';
+  const masked = maskComments(content, 'Python');
+  assert.equal(masked, 'x = f"#{x}"; eval(data)           \r\n"""doc # text"""\n');
+  assert.equal(maskComments('a /* b */ c\n/* d\ne */ f', 'JavaScript'), 'a         c\n    \n     f');
+});
@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readProjectConfig } = require('../services/projectConfig');
+
+test('readProjectConfig parses the root config file', () => {
+  const result = readProjectConfig([
+    { path: './.codeanalyzer.json', content: '{"gate":{"maxFileLines":500}}' },
+    { path: 'nested/.codeanalyzer.json', content: '{"gate":{"maxFileLines":1}}' }
+  ]);
+  assert.deepEqual(result, { config: { gate: { maxFileLines: 500 } }, source: '.codeanalyzer.json', error: null });
+});
+
+test('readProjectConfig reports invalid or non-object config', () => {
+  assert.equal(readProjectConfig([{ path: '.codeanalyzer.json', content: '[1]' }]).error, 'expected a JSON object');
+  const broken = readProjectConfig([{ path: '.codeanalyzer.json', content: '{' }]);
+  assert.deepEqual(broken.config, {});
+  assert.ok(broken.error);
+  assert.deepEqual(readProjectConfig([]), { config: {}, source: null, error: null });
+});
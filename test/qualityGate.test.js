@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluateGate } = require('../services/qualityGate');
+
+const analysis = (overrides = {}) => ({
+  files: [
+    { path: 'src/big.js', language: 'JavaScript', size: 9000, lines: 400, codeLines: 300, commentLines: 3 },
+    { path: 'src/small.js', language: 'JavaScript', size: 100, lines: 10, codeLines: 8, commentLines: 2 }
+  ],
+  insights: [{ type: 'warning', message: 'Large file' }],
+  cycles: [],
+  statistics: {},
+  ...overrides
+});
+
+test('evaluateGate fails file rules with the offending files', () => {
+  const gate = evaluateGate(analysis(), { maxFileLines: 100, maxWarnings: 1 });
+  assert.equal(gate.passed, false);
+  assert.equal(gate.failures.length, 1);
+  assert.equal(gate.failures[0].rule, 'maxFileLines');
+  assert.deepEqual(gate.failures[0].files, [{ path: 'src/big.js', value: 400 }]);
+});
+
+test('evaluateGate reports project rules and their files', () => {
+  const gate = evaluateGate(analysis(), { minCommentRatio: 0.1 });
+  assert.equal(gate.passed, false);
+  assert.equal(gate.failures[0].actual, 0.02);
+  assert.deepEqual(gate.failures[0].files.map(file => file.path), ['src/big.js']);
+});
+
+test('evaluateGate ignores unknown rules and invalid thresholds', () => {
+  const gate = evaluateGate(analysis(), { maxBananas: 1, maxFileSize: -1 });
+  assert.equal(gate.passed, true);
+  assert.deepEqual(gate.rules, {});
+  assert.deepEqual(gate.ignored, [
+    { rule: 'maxBananas', reason: 'unknown rule' },
+    { rule: 'maxFileSize', reason: 'threshold must be a non-negative number' }
+  ]);
+});
+
+test('evaluateGate treats inherited object properties as unknown rules', () => {
+  // Parsed config, so `__proto__` is an own key like the others
+  const rules = JSON.parse('{"hasOwnProperty":1,"toString":1,"valueOf":1,"constructor":1,"__proto__":1}');
+  const gate = evaluateGate(analysis(), rules);
+  assert.equal(gate.passed, true);
+  assert.deepEqual(gate.ignored.map(entry => entry.rule), Object.keys(rules));
+  assert.ok(gate.ignored.every(entry => entry.reason === 'unknown rule'));
+});
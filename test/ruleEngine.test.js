@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { registerRule, listRules, resolveRuleSettings, runRules } = require('../services/ruleEngine');
+const { analyzeCodebase } = require('../services/codebaseAnalyzer');
+
+test('resolveRuleSettings lets later sources win and reports bad settings', () => {
+  const { settings, invalid } = resolveRuleSettings(
+    { 'large-codebase': { options: { maxFiles: 10 } }, 'many-functions': false },
+    { 'large-codebase': { severity: 'warning' }, 'many-functions': true, 'no-such-rule': true },
+    { 'parse-errors': { severity: 'fatal' }, 'orphan-modules': 'off' }
+  );
+
+  assert.deepEqual(settings.get('large-codebase'), {
+    enabled: true,
+    severity: 'warning',
+    severityConfigured: true,
+    options: { maxFiles: 10 }
+  });
+  assert.equal(settings.get('many-functions').enabled, true);
+  assert.equal(settings.get('parse-errors').severity, 'warning');
+  assert.deepEqual(invalid, [
+    { id: 'no-such-rule', reason: 'unknown rule' },
+    { id: 'parse-errors', reason: 'invalid severity "fatal"' },
+    { id: 'orphan-modules', reason: 'expected true, false or an object' }
+  ]);
+});
+
+test('registerRule validates rules and runRules reports their findings', () => {
+  assert.throws(() => registerRule({ id: 'empty-codebase', severity: 'info', scope: 'analysis', check: () => null }), /already registered/);
+  assert.throws(() => registerRule({ id: 'bad-file-rule', severity: 'info', scope: 'file', check: () => true }), /needs a report function/);
+
+  registerRule({
+    id: 'legacy-files',
+    severity: 'info',
+    scope: 'file',
+    options: { directory: 'legacy/' },
+    check: (file, options) => file.path.startsWith(options.directory),
+    report: files => ({ message: `${files.length} legacy file(s)`, severity: 'warning' })
+  });
+  assert.ok(listRules().some(rule => rule.id === 'legacy-files' && rule.options.directory === 'legacy/'));
+
+  const analysis = { files: [{ path: 'legacy/a.js' }, { path: 'src/b.js' }] };
+  const only = Object.fromEntries(listRules().map(rule => [rule.id, rule.id === 'legacy-files']));
+
+  // A finding can escalate itself unless the severity was configured
+  assert.deepEqual(runRules({ analysis }, resolveRuleSettings(only).settings), [
+    { type: 'warning', message: '1 legacy file(s)', ruleId: 'legacy-files', severity: 'warning', files: ['legacy/a.js'] }
+  ]);
+  const [configured] = runRules({ analysis }, resolveRuleSettings(only, { 'legacy-files': { severity: 'info' } }).settings);
+  assert.equal(configured.severity, 'info');
+  assert.equal(configured.type, 'info');
+});
+
+test('built-in rules report cycles, dead code and rule settings of an analysis', async () => {
+  const result = await analyzeCodebase([
+    { path: 'src/index.js', content: "const { a } = require('./a');\na();\n" },
+    { path: 'src/a.js', content: "const b = require('./b');\nconst a = () => { return b(); console.log('never'); };\nmodule.exports = { a };\n" },
+    { path: 'src/b.js', content: "const { a } = require('./a');\nmodule.exports = () => a;\n" }
+  ], { rules: { 'not-a-rule': true } });
+
+  const byRule = new Map(result.insights.map(insight => [insight.ruleId, insight]));
+  assert.deepEqual(byRule.get('circular-imports').files.sort(), ['src/a.js', 'src/b.js']);
+  assert.deepEqual(byRule.get('unreachable-code').files, ['src/a.js']);
+  assert.match(byRule.get('invalid-config').message, /not-a-rule \(unknown rule\)/);
+  assert.equal(byRule.has('empty-codebase'), false);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SARIF_SCHEMA, toSarif } = require('../services/sarifFormatter');
+const { analyzeCodebase } = require('../services/codebaseAnalyzer');
+
+test('toSarif reports located findings once per line under their rule', async () => {
+  const analysis = await analyzeCodebase([
+    { path: 'src/index.js', content: "require('./a');\n" },
+    { path: 'src/a.js', content: "require('./b');\nmodule.exports = (input) => eval(input);\n" },
+    { path: 'src/b.js', content: "require('./a');\n" },
+    { path: 'src/my file.js', content: "require('./missing');\n" }
+  ]);
+  const log = toSarif(analysis);
+
+  assert.equal(log.$schema, SARIF_SCHEMA);
+  assert.equal(log.version, '2.1.0');
+  const [run] = log.runs;
+  const rules = run.tool.driver.rules;
+
+  const evalResults = run.results.filter(result => result.ruleId === 'js-eval');
+  assert.equal(evalResults.length, 1);
+  assert.equal(evalResults[0].level, 'error');
+  assert.equal(rules[evalResults[0].ruleIndex].id, 'js-eval');
+  assert.equal(rules[evalResults[0].ruleIndex].helpUri, 'https://cwe.mitre.org/data/definitions/95.html');
+  assert.equal(evalResults[0].locations[0].physicalLocation.region.startLine, 2);
+
+  const cycle = run.results.find(result => result.ruleId === 'circular-imports');
+  assert.equal(cycle.level, 'warning');
+  assert.match(cycle.message.text, /^Circular import chain: src\/a\.js -> src\/b\.js/);
+
+  // Paths are URI references with each segment encoded
+  const unresolved = run.results.find(result => result.ruleId === 'unresolved-imports');
+  assert.deepEqual(unresolved.locations[0].physicalLocation, {
+    artifactLocation: { uri: 'src/my%20file.js', uriBaseId: '%SRCROOT%' },
+    region: { startLine: 1 }
+  });
+
+  // Info insights become notes
+  const fileType = run.results.find(result => result.ruleId === 'common-file-type');
+  assert.deepEqual({ level: fileType.level, locations: fileType.locations }, { level: 'note', locations: [] });
+  assert.equal(run.invocations[0].endTimeUtc, analysis.summary.analyzedAt);
+});
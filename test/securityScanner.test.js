@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scanSecurity } = require('../services/securityScanner');
+const { parseScript } = require('../services/jsParser');
+
+const scanJs = (content) => scanSecurity({ language: 'JavaScript', content, ast: parseScript('app.js', content).ast });
+const scanPy = (content) => scanSecurity({ language: 'Python', content });
+const rules = (findings) => findings.map(finding => `${finding.ruleId}:${finding.line}`);
+
+test('JavaScript eval and string timers are reported', () => {
+  const findings = scanJs('eval(input);\nsetTimeout("run()", 10);\nsetTimeout(run, 10);\n');
+  assert.deepEqual(rules(findings), ['js-eval:1', 'js-eval:2']);
+  assert.equal(findings[0].cwe, 'CWE-95');
+});
+
+test('exec() with a command built in place or held in a variable is reported', () => {
+  const findings = scanJs([
+    "const { exec } = require('child_process');",
+    'exec(`ls ${dir}`);',
+    'const cmd = `ls ${dir}`;',
+    'exec(cmd);',
+    "const LIST = 'ls -la';",
+    'exec(LIST);',
+    "exec('ls');"
+  ].join('\n'));
+  assert.deepEqual(rules(findings), ['js-command-injection:2', 'js-command-injection:4']);
+});
+
+test('Python checks skip comments but not code after a # inside a string', () => {
+  const findings = scanPy([
+    'label = f"#{x}"; eval(data)',
+    '# eval(data)',
+    'value = 1  # exec(code)',
+    'os.system("rm " + path)'
+  ].join('\n'));
+  assert.deepEqual(rules(findings), ['py-eval:1', 'py-command-injection:4']);
+  assert.equal(findings[0].column, 18);
+});
+
+test('Python SQL built with string formatting is reported', () => {
+  const findings = scanPy('cursor.execute(\n    "SELECT * FROM users WHERE id = %s" % user_id)\ncursor.execute("SELECT 1", params)\n');
+  assert.deepEqual(rules(findings), ['py-sql-injection:1']);
+});
+
+test('Files without checks return no findings', () => {
+  assert.deepEqual(scanSecurity({ language: 'Go', content: 'exec.Command(x)' }), []);
+});
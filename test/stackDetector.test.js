@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectStack } = require('../services/stackDetector');
+
+const pkg = (name, ecosystem, manifest, direct = true) => ({ name, ecosystem, manifest, direct });
+
+test('detectStack combines direct dependencies, file names and file contents', () => {
+  const files = [
+    { path: 'package.json', content: '{}' },
+    { path: 'vite.config.ts', content: 'export default {}' },
+    { path: 'src/App.vue', content: '<template></template>' },
+    { path: 'api/manage.py', content: 'from django.core.management import execute_from_command_line' },
+    { path: '.github/workflows/ci.yml', content: 'on: push' },
+    { path: 'tools/Dockerfile.dev', content: 'FROM node:20' }
+  ];
+  const packages = [
+    pkg('vue', 'npm', 'package.json'),
+    pkg('express', 'npm', 'package.json', false),
+    pkg('PyTest', 'PyPI', 'api/requirements.txt')
+  ];
+
+  const { technologies, projectTypes } = detectStack(files, packages);
+  assert.deepEqual(technologies, [
+    { name: 'Vue', category: 'framework', evidence: ['package.json', 'src/App.vue'] },
+    { name: 'Django', category: 'framework', evidence: ['api/manage.py'] },
+    { name: 'Vite', category: 'build', evidence: ['vite.config.ts'] },
+    { name: 'pytest', category: 'testing', evidence: ['api/requirements.txt'] },
+    { name: 'Docker', category: 'platform', evidence: ['tools/Dockerfile.dev'] },
+    { name: 'GitHub Actions', category: 'platform', evidence: ['.github/workflows/ci.yml'] }
+  ]);
+  assert.deepEqual(projectTypes, ['backend', 'frontend']);
+});
+
+test('detectStack lists at most ten evidence files per technology', () => {
+  const files = Array.from({ length: 12 }, (_, index) => ({ path: `src/C${String(index).padStart(2, '0')}.svelte`, content: '' }));
+  const [svelte] = detectStack(files, []).technologies;
+  assert.equal(svelte.name, 'Svelte');
+  assert.equal(svelte.evidence.length, 10);
+  assert.equal(detectStack([], []).technologies.length, 0);
+});